@@ -0,0 +1,81 @@
+/**
+ * JSON schemas every AI answer is validated against, and the prompt version each analysis uses.
+ * Bump a prompt version whenever its prompt or schema changes; it is stored on every report
+ * so answers from different prompt generations can be told apart.
+ */
+export const PROMPT_VERSIONS = {
+    department: 'department-analysis@4',
+    global: 'global-report@3',
+    adhoc: 'global-analysis@4',
+};
+
+const RISK_LEVEL = { type: 'string', enum: ['Low', 'Medium', 'High'] };
+
+const shortText = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+
+const textList = (minItems, maxItems, maxLength = 300) => ({
+    type: 'array',
+    minItems,
+    maxItems,
+    items: shortText(maxLength),
+});
+
+const DEPARTMENT_RISKS = {
+    type: 'array',
+    maxItems: 20,
+    items: {
+        type: 'object',
+        required: ['department', 'riskLevel', 'reason'],
+        additionalProperties: false,
+        properties: {
+            department: shortText(200),
+            riskLevel: RISK_LEVEL,
+            reason: shortText(300),
+        },
+    },
+};
+
+// Department report (POST /api/ai-reports/generate)
+export const DEPARTMENT_ANALYSIS_SCHEMA = {
+    $id: 'department-analysis',
+    type: 'object',
+    required: ['summary', 'riskLevel', 'recommendations'],
+    additionalProperties: false,
+    properties: {
+        summary: shortText(1500),
+        riskLevel: RISK_LEVEL,
+        recommendations: textList(1, 5),
+        insights: textList(0, 5),
+    },
+};
+
+// Monthly global report generated by the job queue
+export const GLOBAL_REPORT_SCHEMA = {
+    $id: 'global-report',
+    type: 'object',
+    required: ['summary', 'insights', 'recommendations', 'riskLevel'],
+    additionalProperties: false,
+    properties: {
+        summary: shortText(1500),
+        insights: textList(0, 3, 200),
+        recommendations: textList(1, 3, 200),
+        riskLevel: RISK_LEVEL,
+        risks: DEPARTMENT_RISKS,
+        optimizationTips: textList(0, 5),
+    },
+};
+
+// On-demand organisation analysis (POST /api/ai-reports/analyze).
+// The spending prediction comes from the forecast service, not the model.
+export const ADHOC_ANALYSIS_SCHEMA = {
+    $id: 'global-analysis',
+    type: 'object',
+    required: ['summary', 'risks', 'suggestions', 'optimizationTips'],
+    additionalProperties: false,
+    properties: {
+        summary: shortText(1500),
+        risks: DEPARTMENT_RISKS,
+        suggestions: textList(1, 5),
+        optimizationTips: textList(0, 5),
+    },
+};
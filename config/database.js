@@ -2,6 +2,8 @@ import mongoose from 'mongoose';
 
 const connectDB = async () => {
     try {
+        // Budget transfers use transactions, so MONGODB_URI must point at a replica set or mongos
+        // (a single-node replica set is enough for development)
         const conn = await mongoose.connect(process.env.MONGODB_URI);
 
         console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
@@ -0,0 +1,138 @@
+/**
+ * Every permission a role can grant.
+ * Roles may also hold "*" (everything) or "<resource>:*" (every action on a resource).
+ */
+export const PERMISSIONS = {
+    'expense:read': 'View expenses',
+    'expense:create': 'Create and submit expenses',
+    'expense:update': 'Edit expenses',
+    'expense:delete': 'Delete expenses',
+    'expense:approve': 'Approve or reject expenses below the admin approval threshold',
+    'expense:approve_large': 'Approve or reject expenses at or above the admin approval threshold',
+    'expense:import': 'Bulk import expenses',
+    'expense:export': 'Export expenses',
+    'department:read': 'View departments',
+    'department:manage': 'Create, edit and delete departments and their budgets',
+    'budget:read': 'View budgets and their history',
+    'budget:manage': 'Allocate and adjust budgets',
+    'transfer:read': 'View budget transfers',
+    'transfer:manage': 'Transfer budget between departments and reverse transfers',
+    'report:read': 'View AI reports',
+    'report:generate': 'Generate AI reports and analyses',
+    'report:delete': 'Delete AI reports',
+    'dashboard:organisation': 'View the organisation-wide dashboard',
+    'dashboard:department': 'View the own-department dashboard',
+    'forecast:read': 'View spending forecasts',
+    'rollup:manage': 'Check and rebuild the materialised spending rollups',
+    'recurring:read': 'View recurring expense templates',
+    'recurring:manage': 'Create, edit, skip and delete recurring expense templates',
+    'recurring:run': 'Trigger posting of due recurring expenses',
+    'alert:receive': 'Receive budget threshold alerts',
+    'alert:manage': 'Configure budget alert thresholds and test notification channels',
+    'audit:read': 'View and export the audit log',
+    'trash:manage': 'View, restore and purge deleted records',
+    'user:manage': 'Invite, edit and deactivate users',
+    'role:manage': 'Create and edit roles',
+    'webhook:manage': 'Manage webhook subscriptions and view their delivery log',
+    'job:manage': 'View background jobs and their errors, and re-run them',
+};
+
+/**
+ * Roles created on first start. "department" scoped roles only see their own department's data.
+ * Existing roles are never overwritten, so edits made through the API survive restarts.
+ */
+export const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        label: 'Administrator',
+        description: 'Full access to every department and setting',
+        scope: 'all',
+        permissions: ['*'],
+    },
+    {
+        name: 'department_head',
+        label: 'Department Head',
+        description: 'Manages and approves the expenses of their department',
+        scope: 'department',
+        permissions: [
+            'expense:read',
+            'expense:create',
+            'expense:update',
+            'expense:delete',
+            'expense:approve',
+            'expense:import',
+            'department:read',
+            'budget:read',
+            'report:read',
+            'dashboard:department',
+            'forecast:read',
+            'recurring:read',
+            'recurring:manage',
+            'alert:receive',
+        ],
+    },
+    {
+        name: 'department_member',
+        label: 'Department Member',
+        description: 'Records and submits expenses for their department',
+        scope: 'department',
+        permissions: [
+            'expense:read',
+            'expense:create',
+            'expense:update',
+            'department:read',
+            'budget:read',
+            'dashboard:department',
+            'recurring:read',
+        ],
+    },
+    {
+        name: 'finance_viewer',
+        label: 'Finance Viewer',
+        description: 'Read-only access across all departments',
+        scope: 'all',
+        permissions: [
+            'expense:read',
+            'expense:export',
+            'department:read',
+            'budget:read',
+            'transfer:read',
+            'report:read',
+            'dashboard:organisation',
+            'forecast:read',
+            'recurring:read',
+            'alert:receive',
+        ],
+    },
+    {
+        name: 'approver',
+        label: 'Approver',
+        description: 'Approves or rejects expenses of any department and amount',
+        scope: 'all',
+        permissions: [
+            'expense:read',
+            'expense:approve',
+            'expense:approve_large',
+            'department:read',
+            'budget:read',
+            'dashboard:organisation',
+        ],
+    },
+    {
+        name: 'auditor',
+        label: 'Auditor',
+        description: 'Read-only access to all records and the audit log',
+        scope: 'all',
+        permissions: [
+            'expense:read',
+            'expense:export',
+            'department:read',
+            'budget:read',
+            'transfer:read',
+            'report:read',
+            'dashboard:organisation',
+            'recurring:read',
+            'audit:read',
+        ],
+    },
+];
@@ -0,0 +1,45 @@
+/**
+ * Events webhook subscriptions can listen to.
+ * Subscriptions may also use "*" (everything) or "<resource>.*" (every event of a resource).
+ */
+export const WEBHOOK_EVENTS = {
+    'expense.created': 'An expense was created, imported or posted from a recurring template',
+    'expense.updated': 'An expense was edited',
+    'expense.deleted': 'An expense was moved to the trash',
+    'expense.submitted': 'A draft expense was submitted for approval',
+    'expense.approved': 'An expense was approved',
+    'expense.rejected': 'An expense was rejected',
+    'budget.created': 'A budget was allocated for a period',
+    'budget.updated': 'A budget amount was changed',
+    'budget.adjusted': 'A budget was increased or decreased by an adjustment',
+    'budget.deleted': 'A budget was deleted',
+    'budget.transferred': 'Budget was moved between departments',
+    'budget.transfer_reversed': 'A budget transfer was reversed',
+    'budget.threshold_crossed': 'A department passed one of its budget alert thresholds',
+    'department.created': 'A department was created',
+    'department.updated': 'A department was edited or moved',
+    'department.deleted': 'A department was moved to the trash',
+    'report.generated': 'An AI report was generated',
+    'notification.sent': 'A notification was sent through the webhook notification channel',
+};
+
+// Sent by the test-ping route only; subscriptions don't need to list it
+export const PING_EVENT = 'webhook.ping';
+
+/**
+ * Whether an event pattern is "*", a known event or "<known resource>.*"
+ */
+export const isValidEventPattern = (pattern) => {
+    if (pattern === '*' || WEBHOOK_EVENTS[pattern]) return true;
+
+    const [resource, action] = pattern.split('.');
+    return action === '*' && Object.keys(WEBHOOK_EVENTS).some((event) => event.startsWith(`${resource}.`));
+};
+
+/**
+ * Whether a list of event patterns covers an event
+ */
+export const matchesEvent = (patterns, event) => {
+    const [resource] = event.split('.');
+    return patterns.includes('*') || patterns.includes(event) || patterns.includes(`${resource}.*`);
+};
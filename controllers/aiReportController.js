@@ -4,18 +4,25 @@ import Expense from '../models/Expense.js';
 import { generateFinancialAnalysis, generateGlobalAnalysis } from '../services/aiService.js';
 import {
     calculateDepartmentSpending,
+    calculateCommittedSpending,
     getExpenseBreakdown,
     calculateTotalBudget,
     calculateTotalSpent,
-    getDepartmentBreakdown,
-    getMonthlyTrend
+    getDepartmentBreakdown
 } from '../services/analyticsService.js';
+import { getDepartmentMonthlyBudget } from '../services/budgetService.js';
+import { getSpendingForecast } from '../services/forecastService.js';
+import { getFlaggedExpenses } from '../services/anomalyService.js';
+import { getMonthlyTrend } from '../services/trendService.js';
+import { recordAudit } from '../services/auditService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { getLLMProviderName, getLLMUsageTotals } from '../services/llmService.js';
 import { body, validationResult } from 'express-validator';
 
 /**
  * @desc    Generate AI report for department
  * @route   POST /api/ai-reports/generate
- * @access  Private/Admin
+ * @access  Private (report:generate)
  */
 export const generateReport = async (req, res) => {
     try {
@@ -47,10 +54,12 @@ export const generateReport = async (req, res) => {
             });
         }
 
-        // Calculate current month spending
+        // Calculate current month budget and spending
+        const allocatedBudget = await getDepartmentMonthlyBudget(departmentId, month, year);
         const totalSpent = await calculateDepartmentSpending(departmentId, month, year);
-        const remainingBudget = department.allocatedBudget - totalSpent;
-        const percentageUsed = (totalSpent / department.allocatedBudget) * 100;
+        const committed = await calculateCommittedSpending(departmentId, month, year);
+        const remainingBudget = allocatedBudget - totalSpent;
+        const percentageUsed = allocatedBudget > 0 ? (totalSpent / allocatedBudget) * 100 : 0;
 
         // Calculate previous month spending
         let prevMonth = month - 1;
@@ -69,10 +78,16 @@ export const generateReport = async (req, res) => {
         // Get expense breakdown
         const expenseBreakdown = await getExpenseBreakdown(departmentId, month, year);
 
+        // Projections the model is given rather than asked to make
+        const forecast = await getSpendingForecast(month, year, [department._id]);
+
+        // Expenses anomaly detection flagged, for the model to comment on
+        const anomalies = await getFlaggedExpenses(department._id, month, year);
+
         // Prepare data for AI
         const departmentData = {
             departmentName: department.name,
-            allocatedBudget: department.allocatedBudget,
+            allocatedBudget,
             totalSpent,
             remainingBudget,
             percentageUsed,
@@ -81,6 +96,8 @@ export const generateReport = async (req, res) => {
             month,
             year,
             expenseBreakdown,
+            forecast,
+            anomalies,
         };
 
         // Generate AI analysis
@@ -102,17 +119,34 @@ export const generateReport = async (req, res) => {
             summary: aiResult.data.summary,
             riskLevel: aiResult.data.riskLevel,
             recommendations: aiResult.data.recommendations,
+            insights: aiResult.data.insights,
+            isFallback: aiResult.isFallback,
+            fallbackReason: aiResult.fallbackReason,
+            promptVersion: aiResult.promptVersion,
             dataSnapshot: {
-                allocatedBudget: department.allocatedBudget,
+                allocatedBudget,
                 totalSpent,
+                committed,
                 remainingBudget,
                 percentageUsed: parseFloat(percentageUsed.toFixed(2)),
                 previousMonthSpent,
                 monthOverMonthChange: parseFloat(monthOverMonthChange.toFixed(2)),
             },
+            forecast: forecast.total,
+            llmUsage: aiResult.usage,
             generatedBy: req.user.id,
         });
 
+        await recordAudit(req, {
+            action: 'report.create',
+            entityType: 'AIReport',
+            entityId: report._id,
+            departmentId: report.departmentId,
+            after: report,
+        });
+
+        emitWebhookEvent('report.generated', report);
+
         await report.populate('departmentId', 'name');
         await report.populate('generatedBy', 'name email');
 
@@ -134,7 +168,7 @@ export const generateReport = async (req, res) => {
 /**
  * @desc    Get all AI reports
  * @route   GET /api/ai-reports
- * @access  Private
+ * @access  Private (report:read)
  */
 export const getAllReports = async (req, res) => {
     try {
@@ -154,7 +188,7 @@ export const getAllReports = async (req, res) => {
         if (year) filter.year = parseInt(year);
 
         const reports = await AIReport.find(filter)
-            .populate('departmentId', 'name allocatedBudget')
+            .populate('departmentId', 'name')
             .populate('generatedBy', 'name email')
             .sort({ year: -1, month: -1 });
 
@@ -176,12 +210,12 @@ export const getAllReports = async (req, res) => {
 /**
  * @desc    Get single AI report
  * @route   GET /api/ai-reports/:id
- * @access  Private
+ * @access  Private (report:read)
  */
 export const getReportById = async (req, res) => {
     try {
         const report = await AIReport.findById(req.params.id)
-            .populate('departmentId', 'name allocatedBudget')
+            .populate('departmentId', 'name')
             .populate('generatedBy', 'name email');
 
         if (!report) {
@@ -208,7 +242,7 @@ export const getReportById = async (req, res) => {
 /**
  * @desc    Delete AI report
  * @route   DELETE /api/ai-reports/:id
- * @access  Private/Admin
+ * @access  Private (report:delete)
  */
 export const deleteReport = async (req, res) => {
     try {
@@ -223,6 +257,14 @@ export const deleteReport = async (req, res) => {
 
         await report.deleteOne();
 
+        await recordAudit(req, {
+            action: 'report.delete',
+            entityType: 'AIReport',
+            entityId: report._id,
+            departmentId: report.departmentId,
+            before: report,
+        });
+
         res.status(200).json({
             success: true,
             message: 'Report deleted successfully',
@@ -240,7 +282,7 @@ export const deleteReport = async (req, res) => {
 /**
  * @desc    Generate Global AI Analysis
  * @route   POST /api/ai-reports/analyze
- * @access  Private/Admin
+ * @access  Private (report:generate)
  */
 export const generateGlobalAI = async (req, res) => {
     try {
@@ -261,8 +303,11 @@ export const generateGlobalAI = async (req, res) => {
         // 2. Department Breakdown
         const departmentBreakdown = await getDepartmentBreakdown(month, year);
 
-        // 3. Monthly Trends
-        const monthlyTrend = await getMonthlyTrend(null, year, 6);
+        // 3. Monthly Trends (6 months up to the report's month)
+        const monthlyTrend = await getMonthlyTrend(parseInt(month), parseInt(year));
+
+        // Spending forecast, given to the model rather than asked of it
+        const forecast = await getSpendingForecast(month, year);
 
         // 4. Prepare Data for AI
         const globalData = {
@@ -272,7 +317,8 @@ export const generateGlobalAI = async (req, res) => {
             departmentBreakdown,
             monthlyTrend,
             month,
-            year
+            year,
+            forecast
         };
 
         // 5. Call AI Service
@@ -288,7 +334,12 @@ export const generateGlobalAI = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: aiResult.data
+            data: aiResult.data,
+            forecast: forecast.total,
+            usage: aiResult.usage,
+            isFallback: aiResult.isFallback,
+            fallbackReason: aiResult.fallbackReason,
+            promptVersion: aiResult.promptVersion
         });
 
     } catch (error) {
@@ -301,6 +352,45 @@ export const generateGlobalAI = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get LLM token usage: stored reports per provider/model, and calls since the server started
+ * @route   GET /api/ai-reports/usage
+ * @access  Private (report:generate)
+ */
+export const getLLMUsage = async (req, res) => {
+    try {
+        const reports = await AIReport.aggregate([
+            { $match: { 'llmUsage.provider': { $exists: true } } },
+            {
+                $group: {
+                    _id: { provider: '$llmUsage.provider', model: '$llmUsage.model' },
+                    reports: { $sum: 1 },
+                    promptTokens: { $sum: '$llmUsage.promptTokens' },
+                    completionTokens: { $sum: '$llmUsage.completionTokens' },
+                    totalTokens: { $sum: '$llmUsage.totalTokens' },
+                },
+            },
+            { $sort: { totalTokens: -1 } },
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                provider: getLLMProviderName(),
+                reports: reports.map(({ _id, ...totals }) => ({ ..._id, ...totals })),
+                sinceStartup: getLLMUsageTotals(),
+            },
+        });
+    } catch (error) {
+        console.error('Get LLM Usage Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
 // Validation rules
 export const reportValidation = [
     body('departmentId').notEmpty().withMessage('Department is required'),
@@ -0,0 +1,200 @@
+import { query, validationResult } from 'express-validator';
+import { getSpendingForecast } from '../services/forecastService.js';
+import { getSpendingTrend, parseDay, TREND_GRANULARITIES, TREND_GROUPINGS } from '../services/trendService.js';
+import { buildDepartmentFilter } from '../services/permissionService.js';
+import { checkSpendingRollups, queueRollupRebuild } from '../services/rollupService.js';
+
+/**
+ * @desc    Forecast month-end, next-month and fiscal-year-end spending with confidence intervals,
+ *          in total, per department and per category
+ * @route   GET /api/analytics/forecast?month=&year=&departmentId=
+ * @access  Private (forecast:read)
+ */
+export const getForecast = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const currentDate = new Date();
+        const month = req.query.month ? parseInt(req.query.month) : currentDate.getMonth() + 1;
+        const year = req.query.year ? parseInt(req.query.year) : currentDate.getFullYear();
+
+        // Later months have no spending to project from yet
+        if (year * 12 + month > currentDate.getFullYear() * 12 + currentDate.getMonth() + 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Forecasts can only be made for the current or an earlier month',
+            });
+        }
+
+        // Department scoped users only see forecasts for their own departments
+        const departmentFilter = buildDepartmentFilter(req.user, req.query.departmentId);
+        if (departmentFilter === null) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+        const departmentIds = departmentFilter && (departmentFilter.$in || [departmentFilter]);
+
+        const forecast = await getSpendingForecast(month, year, departmentIds);
+
+        res.status(200).json({
+            success: true,
+            data: forecast,
+        });
+    } catch (error) {
+        console.error('Get Forecast Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Approved spending against budget over a date range, in day, week, month, fiscal quarter
+ *          or fiscal year buckets, optionally split by department or category
+ * @route   GET /api/analytics/trend?startDate=&endDate=&granularity=&groupBy=&departmentId=
+ * @access  Private (budget:read)
+ */
+export const getTrend = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        // Department scoped users only see their own departments
+        const departmentFilter = buildDepartmentFilter(req.user, req.query.departmentId);
+        if (departmentFilter === null) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+        const departmentIds = departmentFilter && (departmentFilter.$in || [departmentFilter]);
+
+        // A missing end of the range defaults to six months from the other end, or to the six months up to today
+        let { startDate, endDate } = req.query;
+        if (!endDate) {
+            const start = startDate && parseDay(startDate);
+            endDate = start ? new Date(start.getFullYear(), start.getMonth() + 6, start.getDate() - 1) : new Date();
+        }
+        if (!startDate) {
+            const end = parseDay(endDate);
+            startDate = new Date(end.getFullYear(), end.getMonth() - 5, 1);
+        }
+
+        const trend = await getSpendingTrend({
+            startDate,
+            endDate,
+            granularity: req.query.granularity,
+            groupBy: req.query.groupBy,
+            departmentIds,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: trend,
+        });
+    } catch (error) {
+        console.error('Get Trend Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Compare the materialised spending rollups with totals computed from the expenses
+ * @route   GET /api/analytics/rollups/check?year=&month=
+ * @access  Private (rollup:manage)
+ */
+export const checkRollups = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const year = req.query.year ? parseInt(req.query.year) : undefined;
+        const month = req.query.month ? parseInt(req.query.month) : undefined;
+
+        const result = await checkSpendingRollups({ year, month });
+
+        res.status(200).json({
+            success: true,
+            message: result.consistent
+                ? 'Spending rollups match the expenses'
+                : `${result.mismatchCount} spending rollup(s) differ from the expenses`,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Check Rollups Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Queue a rebuild of the spending rollups from the expenses
+ * @route   POST /api/analytics/rollups/rebuild
+ * @access  Private (rollup:manage)
+ */
+export const rebuildRollups = async (req, res) => {
+    try {
+        const job = await queueRollupRebuild(req.user.id);
+
+        res.status(202).json({
+            success: true,
+            message: 'Spending rollup rebuild queued',
+            data: job,
+        });
+    } catch (error) {
+        console.error('Rebuild Rollups Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+export const forecastValidation = [
+    query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    query('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Year must be between 2020 and 2100'),
+    query('departmentId').optional().isMongoId().withMessage('Invalid department'),
+];
+
+export const trendValidation = [
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+    query('granularity').optional().isIn(TREND_GRANULARITIES).withMessage(`Granularity must be one of: ${TREND_GRANULARITIES.join(', ')}`),
+    query('groupBy').optional().isIn(TREND_GROUPINGS).withMessage(`Group by must be one of: ${TREND_GROUPINGS.join(', ')}`),
+    query('departmentId').optional().isMongoId().withMessage('Invalid department'),
+];
+
+export const rollupCheckValidation = [
+    query('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Year must be between 2020 and 2100'),
+    query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    query('month').if(query('year').not().exists()).not().exists().withMessage('A month needs a year'),
+];
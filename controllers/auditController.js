@@ -0,0 +1,122 @@
+import AuditLog from '../models/AuditLog.js';
+import { toCsvRow } from '../utils/csv.js';
+
+/**
+ * Build an audit log query from request filters
+ */
+const buildAuditFilter = (query) => {
+    const { userId, entityType, entityId, departmentId, action, startDate, endDate } = query;
+
+    const filter = {};
+    if (userId) filter.actor = userId;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (departmentId) filter.departmentId = departmentId;
+    if (action) filter.action = action;
+
+    if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    return filter;
+};
+
+/**
+ * @desc    Query the audit log
+ * @route   GET /api/audit
+ * @access  Private (audit:read)
+ */
+export const getAuditLogs = async (req, res) => {
+    try {
+        const filter = buildAuditFilter(req.query);
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .populate('actor', 'name email')
+                .populate('departmentId', 'name')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: logs.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: logs,
+        });
+    } catch (error) {
+        console.error('Get Audit Logs Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Export the audit log to CSV
+ * @route   GET /api/audit/export/csv
+ * @access  Private (audit:read)
+ */
+export const exportAuditLogs = async (req, res) => {
+    try {
+        const filter = buildAuditFilter(req.query);
+
+        const cursor = AuditLog.find(filter)
+            .populate('actor', 'name email')
+            .populate('departmentId', 'name')
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
+        res.status(200);
+
+        res.write(toCsvRow([
+            'Timestamp', 'Actor', 'Actor Email', 'Actor Role', 'Action', 'Entity Type', 'Entity ID',
+            'Department', 'IP', 'Changes', 'Before', 'After',
+        ]));
+
+        for await (const log of cursor) {
+            res.write(toCsvRow([
+                log.createdAt,
+                log.actor?.name,
+                log.actor?.email,
+                log.actorRole,
+                log.action,
+                log.entityType,
+                log.entityId,
+                log.departmentId?.name,
+                log.ip,
+                (log.changes || []).map((change) => change.field).join('; '),
+                log.before ? JSON.stringify(log.before) : '',
+                log.after ? JSON.stringify(log.after) : '',
+            ]));
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('Export Audit Logs Error:', error);
+
+        // Headers are gone once streaming has started
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
@@ -1,22 +1,78 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
 import { body, validationResult } from 'express-validator';
+import {
+    hashToken,
+    generateOpaqueToken,
+    issueTokenPair,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllSessions,
+} from '../services/tokenService.js';
+import { sendPasswordResetEmail } from '../services/mailService.js';
+import { recordAudit } from '../services/auditService.js';
+import { passwordPolicyValidator, validatePassword } from '../utils/passwordPolicy.js';
+import { getMemberships } from '../services/permissionService.js';
 
-// Generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d',
+const DEFAULT_MAX_FAILED_LOGINS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+
+const getMaxFailedLogins = () => parseInt(process.env.MAX_FAILED_LOGINS) || DEFAULT_MAX_FAILED_LOGINS;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES;
+const getPasswordResetTtlMinutes = () => {
+    return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_PASSWORD_RESET_TTL_MINUTES;
+};
+
+const lockedResponse = (res, user) => {
+    const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    return res.status(423).json({
+        success: false,
+        message: `Account is locked after too many failed login attempts. Try again in ${minutes} minute(s) or reset your password`,
+    });
+};
+
+/**
+ * Count a failed login and lock the account once the limit is reached.
+ * The counter is incremented atomically so parallel attempts can't slip past the limit.
+ * @returns {Object|null} - Updated user when the account was just locked, otherwise null
+ */
+const recordFailedLogin = async (req, user) => {
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    );
+
+    if (!updated || updated.failedLoginAttempts < getMaxFailedLogins()) {
+        return null;
+    }
+
+    updated.lockUntil = new Date(Date.now() + getLockoutMinutes() * 60 * 1000);
+    updated.failedLoginAttempts = 0;
+    await updated.save();
+
+    await recordAudit(req, {
+        action: 'user.lock',
+        entityType: 'User',
+        entityId: updated._id,
+        departmentId: updated.departmentId,
     });
+
+    return updated;
 };
 
 /**
- * @desc    Register new user
+ * @desc    Register new user with an invitation
  * @route   POST /api/auth/register
- * @access  Public (Admin creates dept heads)
+ * @access  Public (invite token required; the first admin is created with `npm run create:admin`)
  */
 export const register = async (req, res) => {
+    let invitation = null;
+
     try {
-        console.log('📝 Registration attempt:', { body: req.body });
+        console.log('📝 Registration attempt:', { email: req.body.email });
 
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -28,7 +84,7 @@ export const register = async (req, res) => {
             });
         }
 
-        const { name, email, password, role, departmentId } = req.body;
+        const { name, email, password, inviteToken } = req.body;
 
         // Check if user already exists
         const userExists = await User.findOne({ email });
@@ -40,6 +96,35 @@ export const register = async (req, res) => {
             });
         }
 
+        if (!inviteToken) {
+            return res.status(403).json({
+                success: false,
+                message: 'Registration requires an invitation',
+            });
+        }
+
+        // Claim the invitation atomically so it can only be used once
+        invitation = await Invitation.findOneAndUpdate(
+            {
+                tokenHash: hashToken(inviteToken),
+                email: email.toLowerCase(),
+                acceptedAt: null,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() },
+            },
+            { acceptedAt: new Date() },
+            { new: true }
+        );
+
+        if (!invitation) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation is invalid, expired or was issued for a different email address',
+            });
+        }
+
+        const { role, departmentId } = invitation;
+
         console.log('✅ Creating user:', { name, email, role, departmentId });
 
         // Create user
@@ -48,13 +133,16 @@ export const register = async (req, res) => {
             email,
             password,
             role,
-            departmentId: role === 'department_head' ? departmentId : undefined,
+            departmentId,
         });
 
+        invitation.acceptedUserId = user._id;
+        await invitation.save();
+
         console.log('✅ User created successfully:', user._id);
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Generate access and refresh tokens
+        const { token, refreshToken } = await issueTokenPair(user, req);
 
         res.status(201).json({
             success: true,
@@ -68,10 +156,17 @@ export const register = async (req, res) => {
                     departmentId: user.departmentId,
                 },
                 token,
+                refreshToken,
             },
         });
     } catch (error) {
         console.error('❌ Register Error:', error);
+
+        // Release the invitation if the account could not be created
+        if (invitation && !invitation.acceptedUserId) {
+            await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } }).catch(() => {});
+        }
+
         res.status(500).json({
             success: false,
             message: 'Server error during registration',
@@ -107,18 +202,39 @@ export const login = async (req, res) => {
             });
         }
 
+        // Locked accounts don't get to try passwords at all
+        if (user.isLocked()) {
+            return lockedResponse(res, user);
+        }
+
         // Check password
         const isPasswordMatch = await user.comparePassword(password);
 
         if (!isPasswordMatch) {
+            const lockedUser = await recordFailedLogin(req, user);
+            if (lockedUser) {
+                return lockedResponse(res, lockedUser);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password',
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        if (user.failedLoginAttempts > 0 || user.lockUntil) {
+            await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+        }
+
+        if (!user.active) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account has been deactivated',
+            });
+        }
+
+        // Generate access and refresh tokens
+        const { token, refreshToken } = await issueTokenPair(user, req);
 
         res.status(200).json({
             success: true,
@@ -132,6 +248,7 @@ export const login = async (req, res) => {
                     departmentId: user.departmentId,
                 },
                 token,
+                refreshToken,
             },
         });
     } catch (error) {
@@ -151,7 +268,9 @@ export const login = async (req, res) => {
  */
 export const getMe = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id).populate('departmentId', 'name');
+        const user = await User.findById(req.user.id)
+            .populate('departmentId', 'name')
+            .populate('memberships.departmentId', 'name');
 
         res.status(200).json({
             success: true,
@@ -162,6 +281,9 @@ export const getMe = async (req, res) => {
                     email: user.email,
                     role: user.role,
                     departmentId: user.departmentId,
+                    memberships: getMemberships(user),
+                    permissions: req.user.permissions,
+                    scope: req.user.scope,
                 },
             },
         });
@@ -175,15 +297,332 @@ export const getMe = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refresh = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            data: {
+                token,
+                refreshToken,
+            },
+        });
+    } catch (error) {
+        if (error.status === 401) {
+            return res.status(401).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        console.error('Refresh Token Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Log out the current session
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+export const logout = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        await revokeRefreshToken(req.body.refreshToken);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully',
+        });
+    } catch (error) {
+        console.error('Logout Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Log out all sessions of the current user
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAll = async (req, res) => {
+    try {
+        await revokeAllSessions(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'All sessions have been logged out',
+        });
+    } catch (error) {
+        console.error('Logout All Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Change the current user's password
+ * @route   POST /api/auth/change-password
+ * @access  Private
+ */
+export const changePassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user._id).select('+password');
+
+        const isPasswordMatch = await user.comparePassword(currentPassword);
+        if (!isPasswordMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect',
+            });
+        }
+
+        if (await user.comparePassword(newPassword)) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password',
+            });
+        }
+
+        // Saving a new password signs out every other session (see the User model hooks)
+        user.password = newPassword;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'user.password_change',
+            entityType: 'User',
+            entityId: user._id,
+            departmentId: user.departmentId,
+        });
+
+        // Keep the session that made the change signed in
+        const { token, refreshToken } = await issueTokenPair(user, req);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                token,
+                refreshToken,
+            },
+        });
+    } catch (error) {
+        console.error('Change Password Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res) => {
+    // Same answer whether or not the account exists, so the endpoint can't be used to probe emails
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent',
+    };
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+        if (!user || !user.active) {
+            return res.status(200).json(genericResponse);
+        }
+
+        // Only the most recent reset link works
+        await PasswordResetToken.updateMany({ userId: user._id, usedAt: null }, { usedAt: new Date() });
+
+        const token = generateOpaqueToken();
+        const ttlMinutes = getPasswordResetTtlMinutes();
+
+        await PasswordResetToken.create({
+            userId: user._id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+            requestedByIp: req.ip,
+        });
+
+        await sendPasswordResetEmail(user, token, ttlMinutes);
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error('Forgot Password Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Set a new password with a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { token, password } = req.body;
+        const invalidToken = {
+            success: false,
+            message: 'Password reset link is invalid or has expired',
+        };
+
+        const resetToken = await PasswordResetToken.findOne({
+            tokenHash: hashToken(token),
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+
+        if (!resetToken) {
+            return res.status(400).json(invalidToken);
+        }
+
+        const user = await User.findById(resetToken.userId);
+        if (!user || !user.active) {
+            return res.status(400).json(invalidToken);
+        }
+
+        const problems = validatePassword(password, user);
+        if (problems.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: problems.map((msg) => ({ path: 'password', msg })),
+            });
+        }
+
+        // Claim the token atomically so it can only be used once
+        const claimed = await PasswordResetToken.findOneAndUpdate(
+            { _id: resetToken._id, usedAt: null },
+            { usedAt: new Date() }
+        );
+
+        if (!claimed) {
+            return res.status(400).json(invalidToken);
+        }
+
+        // Saving a new password signs out every session (see the User model hooks)
+        user.password = password;
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'user.password_reset',
+            entityType: 'User',
+            entityId: user._id,
+            departmentId: user.departmentId,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset, please log in with your new password',
+        });
+    } catch (error) {
+        console.error('Reset Password Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
 // Validation rules
 export const registerValidation = [
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Please provide a valid email'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role').isIn(['admin', 'department_head']).withMessage('Invalid role'),
+    body('password').custom(passwordPolicyValidator),
+    body('inviteToken').optional().isString().withMessage('Invalid invitation token'),
 ];
 
 export const loginValidation = [
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').notEmpty().withMessage('Password is required'),
 ];
+
+export const refreshTokenValidation = [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+];
+
+export const changePasswordValidation = [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').custom(passwordPolicyValidator),
+];
+
+export const forgotPasswordValidation = [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+];
+
+export const resetPasswordValidation = [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isString().notEmpty().withMessage('Password is required'),
+];
@@ -0,0 +1,478 @@
+import Budget from '../models/Budget.js';
+import Department from '../models/Department.js';
+import { body, validationResult } from 'express-validator';
+import { assertBudgetFitsHierarchy, buildPeriodKey, recordBudgetAdjustment } from '../services/budgetService.js';
+import { scheduleReportGeneration } from '../services/reportService.js';
+import { recordAudit } from '../services/auditService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { buildDepartmentFilter, canAccessDepartment } from '../services/permissionService.js';
+
+/**
+ * Schedule report regeneration for every calendar month a budget period covers
+ */
+const scheduleReportsForPeriod = (budget) => {
+    if (budget.periodType === 'monthly') {
+        scheduleReportGeneration(budget.month, budget.year);
+        return;
+    }
+
+    // Quarterly and fiscal-year changes show up in the current month's report
+    const currentDate = new Date();
+    scheduleReportGeneration(currentDate.getMonth() + 1, currentDate.getFullYear());
+};
+
+/**
+ * @desc    Create budget for a department and period
+ * @route   POST /api/budgets
+ * @access  Private (budget:manage)
+ */
+export const createBudget = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { departmentId, amount, notes, reason } = req.body;
+
+        const period = buildPeriodKey(req.body);
+        if (!period) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid period. Monthly budgets need a month, quarterly budgets a quarter.',
+            });
+        }
+
+        const department = await Department.findById(departmentId);
+        if (!department) {
+            return res.status(404).json({
+                success: false,
+                message: 'Department not found',
+            });
+        }
+
+        const existing = await Budget.findOne({ departmentId, ...period });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A budget already exists for this department and period',
+            });
+        }
+
+        await assertBudgetFitsHierarchy({ departmentId, period, amount: parseFloat(amount) });
+
+        const budget = await Budget.create({
+            departmentId,
+            ...period,
+            amount,
+            notes,
+            createdBy: req.user.id,
+            history: [{
+                action: 'allocated',
+                amount,
+                previousAmount: 0,
+                newAmount: amount,
+                reason: reason || 'Initial allocation',
+                performedBy: req.user.id,
+            }],
+        });
+
+        await recordAudit(req, {
+            action: 'budget.create',
+            entityType: 'Budget',
+            entityId: budget._id,
+            departmentId: budget.departmentId,
+            after: budget,
+        });
+
+        emitWebhookEvent('budget.created', budget);
+
+        scheduleReportsForPeriod(budget);
+
+        await budget.populate('departmentId', 'name');
+
+        res.status(201).json({
+            success: true,
+            message: 'Budget created successfully',
+            data: budget,
+        });
+    } catch (error) {
+        console.error('Create Budget Error:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A budget already exists for this department and period',
+            });
+        }
+
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get all budgets
+ * @route   GET /api/budgets
+ * @access  Private (budget:read)
+ */
+export const getAllBudgets = async (req, res) => {
+    try {
+        const { departmentId, periodType, year, month, quarter } = req.query;
+
+        const filter = {};
+
+        // Department scoped users only see the budgets of the departments they belong to
+        const departmentFilter = buildDepartmentFilter(req.user, departmentId);
+        if (departmentFilter === null) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+        if (departmentFilter) filter.departmentId = departmentFilter;
+
+        if (periodType) filter.periodType = periodType;
+        if (year) filter.year = parseInt(year);
+        if (month) filter.month = parseInt(month);
+        if (quarter) filter.quarter = parseInt(quarter);
+
+        const budgets = await Budget.find(filter)
+            .select('-history')
+            .populate('departmentId', 'name')
+            .populate('createdBy', 'name email')
+            .sort({ year: -1, quarter: -1, month: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: budgets.length,
+            data: budgets,
+        });
+    } catch (error) {
+        console.error('Get Budgets Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get single budget
+ * @route   GET /api/budgets/:id
+ * @access  Private (budget:read)
+ */
+export const getBudgetById = async (req, res) => {
+    try {
+        const budget = await Budget.findById(req.params.id)
+            .select('-history')
+            .populate('departmentId', 'name')
+            .populate('createdBy', 'name email');
+
+        if (!budget) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found',
+            });
+        }
+
+        if (!canAccessDepartment(req.user, budget.departmentId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: budget,
+        });
+    } catch (error) {
+        console.error('Get Budget Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get allocation history of a budget
+ * @route   GET /api/budgets/:id/history
+ * @access  Private (budget:read)
+ */
+export const getBudgetHistory = async (req, res) => {
+    try {
+        const budget = await Budget.findById(req.params.id)
+            .populate('departmentId', 'name')
+            .populate('history.performedBy', 'name email');
+
+        if (!budget) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found',
+            });
+        }
+
+        if (!canAccessDepartment(req.user, budget.departmentId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        const history = [...budget.history].sort((a, b) => b.performedAt - a.performedAt);
+
+        res.status(200).json({
+            success: true,
+            count: history.length,
+            data: {
+                budgetId: budget._id,
+                department: budget.departmentId,
+                periodType: budget.periodType,
+                year: budget.year,
+                month: budget.month,
+                quarter: budget.quarter,
+                amount: budget.amount,
+                history,
+            },
+        });
+    } catch (error) {
+        console.error('Get Budget History Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Update budget amount or notes
+ * @route   PUT /api/budgets/:id
+ * @access  Private (budget:manage)
+ */
+export const updateBudget = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { amount, notes, reason } = req.body;
+
+        const budget = await Budget.findById(req.params.id);
+
+        if (!budget) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found',
+            });
+        }
+
+        const before = budget.toObject();
+
+        if (notes !== undefined) budget.notes = notes;
+
+        if (amount !== undefined && parseFloat(amount) !== budget.amount) {
+            const newAmount = parseFloat(amount);
+
+            await assertBudgetFitsHierarchy({
+                departmentId: budget.departmentId,
+                period: buildPeriodKey(budget),
+                amount: newAmount,
+            });
+
+            budget.history.push({
+                action: 'adjusted',
+                amount: newAmount - budget.amount,
+                previousAmount: budget.amount,
+                newAmount,
+                reason: reason || '',
+                performedBy: req.user.id,
+            });
+            budget.amount = newAmount;
+        }
+
+        await budget.save();
+
+        await recordAudit(req, {
+            action: 'budget.update',
+            entityType: 'Budget',
+            entityId: budget._id,
+            departmentId: budget.departmentId,
+            before,
+            after: budget,
+        });
+
+        emitWebhookEvent('budget.updated', budget);
+
+        scheduleReportsForPeriod(budget);
+
+        res.status(200).json({
+            success: true,
+            message: 'Budget updated successfully',
+            data: budget,
+        });
+    } catch (error) {
+        console.error('Update Budget Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Record an adjustment against a budget period
+ * @route   POST /api/budgets/adjust
+ * @access  Private (budget:manage)
+ */
+export const adjustBudget = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { departmentId, amount, reason } = req.body;
+
+        const period = buildPeriodKey(req.body);
+        if (!period) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid period. Monthly budgets need a month, quarterly budgets a quarter.',
+            });
+        }
+
+        const department = await Department.findById(departmentId);
+        if (!department) {
+            return res.status(404).json({
+                success: false,
+                message: 'Department not found',
+            });
+        }
+
+        const before = await Budget.findOne({ departmentId, ...period });
+        const budget = await recordBudgetAdjustment({
+            departmentId,
+            period,
+            amount: parseFloat(amount),
+            reason,
+            userId: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'budget.adjust',
+            entityType: 'Budget',
+            entityId: budget._id,
+            departmentId,
+            before,
+            after: budget,
+        });
+
+        emitWebhookEvent('budget.adjusted', budget);
+
+        scheduleReportsForPeriod(budget);
+
+        res.status(200).json({
+            success: true,
+            message: 'Budget adjusted successfully',
+            data: budget,
+        });
+    } catch (error) {
+        console.error('Adjust Budget Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Delete budget
+ * @route   DELETE /api/budgets/:id
+ * @access  Private (budget:manage)
+ */
+export const deleteBudget = async (req, res) => {
+    try {
+        const budget = await Budget.findById(req.params.id);
+
+        if (!budget) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found',
+            });
+        }
+
+        await budget.deleteOne();
+
+        await recordAudit(req, {
+            action: 'budget.delete',
+            entityType: 'Budget',
+            entityId: budget._id,
+            departmentId: budget.departmentId,
+            before: budget,
+        });
+
+        emitWebhookEvent('budget.deleted', budget);
+
+        scheduleReportsForPeriod(budget);
+
+        res.status(200).json({
+            success: true,
+            message: 'Budget deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete Budget Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+const periodValidation = [
+    body('periodType').isIn(['monthly', 'quarterly', 'fiscal_year']).withMessage('Period type must be monthly, quarterly or fiscal_year'),
+    body('year').isInt({ min: 2020, max: 2100 }).withMessage('Year must be between 2020 and 2100'),
+    body('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    body('quarter').optional().isInt({ min: 1, max: 4 }).withMessage('Quarter must be between 1 and 4'),
+];
+
+export const budgetValidation = [
+    body('departmentId').notEmpty().withMessage('Department is required'),
+    body('amount').isFloat({ min: 0 }).withMessage('Budget amount must be a non-negative number'),
+    ...periodValidation,
+];
+
+export const budgetUpdateValidation = [
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Budget amount must be a non-negative number'),
+];
+
+export const budgetAdjustmentValidation = [
+    body('departmentId').notEmpty().withMessage('Department is required'),
+    body('amount').isFloat().withMessage('Adjustment amount must be a number'),
+    body('reason').trim().notEmpty().withMessage('A reason is required for budget adjustments'),
+    ...periodValidation,
+];
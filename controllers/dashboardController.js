@@ -2,16 +2,19 @@ import {
     calculateTotalBudget,
     calculateTotalSpent,
     getDepartmentBreakdown,
-    getMonthlyTrend,
-    calculateDepartmentSpending,
+    calculateCommittedSpending,
+    getDepartmentRollups,
+    flattenDepartmentTree,
 } from '../services/analyticsService.js';
 import Department from '../models/Department.js';
 import AIReport from '../models/AIReport.js';
+import { canAccessDepartment, getUserDepartmentIds } from '../services/permissionService.js';
+import { getMonthlyTrend } from '../services/trendService.js';
 
 /**
  * @desc    Get admin dashboard data
  * @route   GET /api/dashboard/admin
- * @access  Private/Admin
+ * @access  Private (dashboard:organisation)
  */
 export const getAdminDashboard = async (req, res) => {
     try {
@@ -19,22 +22,23 @@ export const getAdminDashboard = async (req, res) => {
         const currentMonth = req.query.month ? parseInt(req.query.month) : currentDate.getMonth() + 1;
         const currentYear = req.query.year ? parseInt(req.query.year) : currentDate.getFullYear();
 
-        // Calculate totals
-        const totalBudget = await calculateTotalBudget(currentMonth, currentYear);
-        const totalSpent = await calculateTotalSpent(currentMonth, currentYear);
+        // Totals, department breakdown and the monthly trend (6 months up to the selected one) are independent aggregations
+        const [totalBudget, totalSpent, committed, departmentBreakdown, monthlyTrend] = await Promise.all([
+            calculateTotalBudget(currentMonth, currentYear),
+            calculateTotalSpent(currentMonth, currentYear),
+            calculateCommittedSpending(null, currentMonth, currentYear),
+            getDepartmentBreakdown(currentMonth, currentYear),
+            getMonthlyTrend(currentMonth, currentYear),
+        ]);
         const remainingBudget = totalBudget - totalSpent;
         const percentageUsed = totalBudget > 0 ? (totalSpent / totalBudget) * 100 : 0;
 
-        // Get department breakdown
-        const departmentBreakdown = await getDepartmentBreakdown(currentMonth, currentYear);
-
-        // Get monthly trend (last 6 months)
-        const monthlyTrend = await getMonthlyTrend(null, currentYear, 6);
-
-        // Get risk summary
-        const highRiskDepartments = departmentBreakdown.filter(dept => dept.percentageUsed > 90).length;
-        const mediumRiskDepartments = departmentBreakdown.filter(dept => dept.percentageUsed > 75 && dept.percentageUsed <= 90).length;
-        const lowRiskDepartments = departmentBreakdown.filter(dept => dept.percentageUsed <= 75).length;
+        // Get risk summary - rows are rolled up, so only top-level departments are counted
+        // (a sub-department's spend is already part of its parent's percentage)
+        const topLevelDepartments = departmentBreakdown.filter(dept => dept.depth === 0);
+        const highRiskDepartments = topLevelDepartments.filter(dept => dept.percentageUsed > 90).length;
+        const mediumRiskDepartments = topLevelDepartments.filter(dept => dept.percentageUsed > 75 && dept.percentageUsed <= 90).length;
+        const lowRiskDepartments = topLevelDepartments.filter(dept => dept.percentageUsed <= 75).length;
 
         // Get recent AI reports
         const recentReports = await AIReport.find({ month: currentMonth, year: currentYear })
@@ -48,6 +52,7 @@ export const getAdminDashboard = async (req, res) => {
                 summary: {
                     totalBudget,
                     totalSpent,
+                    committed,
                     remainingBudget,
                     percentageUsed: parseFloat(percentageUsed.toFixed(2)),
                 },
@@ -76,15 +81,52 @@ export const getAdminDashboard = async (req, res) => {
 };
 
 /**
- * @desc    Get department head dashboard data
- * @route   GET /api/dashboard/department
- * @access  Private/DepartmentHead
+ * Remaining budget, usage and warning level from allocation and spend
+ */
+const summariseBudget = (allocatedBudget, totalSpent, committed) => {
+    const remainingBudget = allocatedBudget - totalSpent;
+    const percentageUsed = allocatedBudget > 0 ? (totalSpent / allocatedBudget) * 100 : 0;
+
+    // Determine warning level
+    let warningLevel = 'normal';
+    if (percentageUsed > 100) {
+        warningLevel = 'danger';
+    } else if (percentageUsed > 90) {
+        warningLevel = 'warning';
+    }
+
+    return {
+        allocatedBudget,
+        totalSpent,
+        committed,
+        remainingBudget,
+        percentageUsed: parseFloat(percentageUsed.toFixed(2)),
+        warningLevel,
+    };
+};
+
+/**
+ * @desc    Get dashboard data for the departments the user belongs to
+ * @route   GET /api/dashboard/department?departmentId=
+ * @access  Private (dashboard:department)
  */
 export const getDepartmentDashboard = async (req, res) => {
     try {
-        const departmentId = req.user.departmentId;
+        // An optional selector narrows the dashboard to one of the user's departments
+        let departmentIds;
+        if (req.query.departmentId) {
+            if (!canAccessDepartment(req.user, req.query.departmentId)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied',
+                });
+            }
+            departmentIds = [req.query.departmentId];
+        } else {
+            departmentIds = getUserDepartmentIds(req.user);
+        }
 
-        if (!departmentId) {
+        if (departmentIds.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Department not assigned to user',
@@ -95,62 +137,60 @@ export const getDepartmentDashboard = async (req, res) => {
         const currentMonth = req.query.month ? parseInt(req.query.month) : currentDate.getMonth() + 1;
         const currentYear = req.query.year ? parseInt(req.query.year) : currentDate.getFullYear();
 
-        // Get department details - first try with month/year, then without
-        let department = await Department.findOne({
-            _id: departmentId,
-            month: currentMonth,
-            year: currentYear,
-        });
+        const departments = await Department.find({ _id: { $in: departmentIds } }).sort({ name: 1 });
 
-        // If no period-specific department found, get the general department
-        if (!department) {
-            department = await Department.findById(departmentId);
-        }
-
-        if (!department) {
+        if (departments.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Department not found',
             });
         }
 
-        // Calculate spending
-        const totalSpent = await calculateDepartmentSpending(departmentId, currentMonth, currentYear);
-        const remainingBudget = department.allocatedBudget - totalSpent;
-        const percentageUsed = (totalSpent / department.allocatedBudget) * 100;
-
-        // Get monthly trend (last 6 months)
-        const monthlyTrend = await getMonthlyTrend(departmentId, currentYear, 6);
-
-        // Get latest AI report
-        const latestReport = await AIReport.findOne({
-            departmentId,
-            month: currentMonth,
-            year: currentYear,
-        }).sort({ createdAt: -1 });
-
-        // Determine warning level
-        let warningLevel = 'normal';
-        if (percentageUsed > 100) {
-            warningLevel = 'danger';
-        } else if (percentageUsed > 90) {
-            warningLevel = 'warning';
-        }
+        // List the primary department first
+        const primaryId = req.user.departmentId?.toString();
+        departments.sort((a, b) => (b._id.toString() === primaryId) - (a._id.toString() === primaryId));
+
+        // Each department's own figures and those including its sub-departments come from the same rollup;
+        // the monthly trend (6 months up to the selected one) is summed across the departments
+        const [tree, reports, monthlyTrend] = await Promise.all([
+            getDepartmentRollups(currentMonth, currentYear),
+            AIReport.find({ departmentId: { $in: departments.map((department) => department._id) }, month: currentMonth, year: currentYear })
+                .sort({ createdAt: -1 }),
+            getMonthlyTrend(currentMonth, currentYear, departments.map((department) => department._id)),
+        ]);
+        const rollups = new Map(flattenDepartmentTree(tree).map((row) => [row.departmentId.toString(), row]));
+
+        const summaries = departments.map((department) => {
+            const id = department._id.toString();
+            const rollup = rollups.get(id);
+
+            const summary = {
+                id: department._id,
+                name: department.name,
+                ...summariseBudget(rollup?.ownBudget || 0, rollup?.ownSpent || 0, rollup?.ownCommitted || 0),
+            };
+
+            if (rollup && rollup.childCount > 0) {
+                summary.rollup = summariseBudget(rollup.allocatedBudget, rollup.totalSpent, rollup.committed);
+            }
+
+            // Latest AI report
+            summary.latestReport = reports.find((report) => report.departmentId.toString() === id) || null;
+
+            return summary;
+        });
+
+        const total = (field) => summaries.reduce((sum, summary) => sum + summary[field], 0);
 
         res.status(200).json({
             success: true,
             data: {
-                department: {
-                    id: department._id,
-                    name: department.name,
-                    allocatedBudget: department.allocatedBudget,
-                    totalSpent,
-                    remainingBudget,
-                    percentageUsed: parseFloat(percentageUsed.toFixed(2)),
-                    warningLevel,
-                },
+                summary: summariseBudget(total('allocatedBudget'), total('totalSpent'), total('committed')),
+                departments: summaries,
+                // First (primary) department, for clients showing a single department
+                department: summaries[0],
                 monthlyTrend,
-                latestReport,
+                latestReport: summaries[0].latestReport,
                 period: {
                     month: currentMonth,
                     year: currentYear,
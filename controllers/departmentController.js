@@ -1,13 +1,52 @@
 import Department from '../models/Department.js';
 import Expense from '../models/Expense.js';
+import Budget from '../models/Budget.js';
 import { body, validationResult } from 'express-validator';
-import { calculateDepartmentSpending } from '../services/analyticsService.js';
+import { getDepartmentRollups, getDepartmentSpendingTotals } from '../services/analyticsService.js';
 import { scheduleReportGeneration } from '../services/reportService.js';
+import {
+    assertBudgetFitsHierarchy,
+    buildPeriodKey,
+    getMonthlyBudgetAmounts,
+    recordBudgetAdjustment,
+} from '../services/budgetService.js';
+import { assignParent, refreshDescendantAncestors } from '../services/departmentService.js';
+import { recordAudit } from '../services/auditService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { getAlertThresholds, scheduleBudgetAlertCheck } from '../services/alertService.js';
+
+/**
+ * Resolve the calendar month a request asks about, defaulting to the current month
+ */
+const getRequestedMonth = (query) => {
+    const currentDate = new Date();
+    return {
+        month: query.month ? parseInt(query.month) : currentDate.getMonth() + 1,
+        year: query.year ? parseInt(query.year) : currentDate.getFullYear(),
+    };
+};
+
+/**
+ * Attach budget and spending figures for a month to a department
+ */
+const withSpending = (department, allocatedBudget, totalSpent) => {
+    const remaining = allocatedBudget - totalSpent;
+    const percentageUsed = allocatedBudget > 0 ? (totalSpent / allocatedBudget) * 100 : 0;
+
+    return {
+        ...department,
+        allocatedBudget,
+        totalSpent,
+        spentBudget: totalSpent,
+        remaining,
+        percentageUsed: parseFloat(percentageUsed.toFixed(2)),
+    };
+};
 
 /**
  * @desc    Create new department
  * @route   POST /api/departments
- * @access  Private/Admin
+ * @access  Private (department:manage)
  */
 export const createDepartment = async (req, res) => {
     try {
@@ -20,18 +59,67 @@ export const createDepartment = async (req, res) => {
             });
         }
 
-        const { name, description, head, allocatedBudget, status, month, year } = req.body;
+        const { name, description, head, allocatedBudget, status, month, year, parentId } = req.body;
 
-        const department = await Department.create({
+        const department = new Department({
             name,
             description,
             head,
-            allocatedBudget: allocatedBudget || 0,
             status: status || 'Active',
-            month,
-            year,
             createdBy: req.user?.id,
         });
+        await assignParent(department, parentId);
+
+        // An initial allocation must fit the parent's budget before anything is written
+        let initialPeriod = null;
+        if (allocatedBudget > 0) {
+            const currentDate = new Date();
+            initialPeriod = buildPeriodKey({
+                periodType: !month && year ? 'fiscal_year' : 'monthly',
+                year: year || currentDate.getFullYear(),
+                month: month || currentDate.getMonth() + 1,
+            });
+
+            await assertBudgetFitsHierarchy({
+                departmentId: department._id,
+                parentId: department.parentId,
+                period: initialPeriod,
+                amount: parseFloat(allocatedBudget),
+            });
+        }
+
+        await department.save();
+
+        await recordAudit(req, {
+            action: 'department.create',
+            entityType: 'Department',
+            entityId: department._id,
+            departmentId: department._id,
+            after: department,
+        });
+
+        emitWebhookEvent('department.created', department);
+
+        // An initial allocation becomes the department's first budget
+        if (initialPeriod) {
+            const budget = await recordBudgetAdjustment({
+                departmentId: department._id,
+                period: initialPeriod,
+                amount: parseFloat(allocatedBudget),
+                reason: 'Initial allocation',
+                userId: req.user?.id,
+            });
+
+            await recordAudit(req, {
+                action: 'budget.create',
+                entityType: 'Budget',
+                entityId: budget._id,
+                departmentId: department._id,
+                after: budget,
+            });
+
+            emitWebhookEvent('budget.created', budget);
+        }
 
         res.status(201).json({
             success: true,
@@ -49,9 +137,9 @@ export const createDepartment = async (req, res) => {
             });
         }
 
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Server error',
+            message: error.status ? error.message : 'Server error',
             error: error.message,
         });
     }
@@ -60,41 +148,32 @@ export const createDepartment = async (req, res) => {
 /**
  * @desc    Get all departments
  * @route   GET /api/departments
- * @access  Private
+ * @access  Private (department:read)
  */
 export const getAllDepartments = async (req, res) => {
     try {
-        const { month, year } = req.query;
+        const { month, year } = getRequestedMonth(req.query);
 
-        const filter = {};
-        if (month) filter.month = parseInt(month);
-        if (year) filter.year = parseInt(year);
-
-        const departments = await Department.find(filter)
+        const departments = await Department.find({})
             .populate('createdBy', 'name email')
             .lean()
             .sort({ createdAt: -1 });
 
-        // Calculate spending for each department
-        const departmentsWithSpending = await Promise.all(
-            departments.map(async (dept) => {
-                const totalSpent = await calculateDepartmentSpending(dept._id, dept.month, dept.year);
-                const remaining = dept.allocatedBudget - totalSpent;
-                const percentageUsed = (totalSpent / dept.allocatedBudget) * 100;
-
-                return {
-                    ...dept,
-                    totalSpent,
-                    spentBudget: totalSpent,
-                    remaining,
-                    percentageUsed: parseFloat(percentageUsed.toFixed(2)),
-                };
-            })
-        );
+        const [budgets, { spent }] = await Promise.all([
+            getMonthlyBudgetAmounts(month, year),
+            getDepartmentSpendingTotals(month, year),
+        ]);
+
+        // Budget and spending of each department in the requested month
+        const departmentsWithSpending = departments.map((dept) => {
+            const id = dept._id.toString();
+            return withSpending(dept, budgets.get(id) || 0, spent.get(id) || 0);
+        });
 
         res.status(200).json({
             success: true,
             count: departmentsWithSpending.length,
+            period: { month, year },
             data: departmentsWithSpending,
         });
     } catch (error) {
@@ -107,10 +186,35 @@ export const getAllDepartments = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get the department tree with budgets and spending rolled up for a month
+ * @route   GET /api/departments/tree
+ * @access  Private (department:read)
+ */
+export const getDepartmentTree = async (req, res) => {
+    try {
+        const { month, year } = getRequestedMonth(req.query);
+        const tree = await getDepartmentRollups(month, year);
+
+        res.status(200).json({
+            success: true,
+            period: { month, year },
+            data: tree,
+        });
+    } catch (error) {
+        console.error('Get Department Tree Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
 /**
  * @desc    Get single department
  * @route   GET /api/departments/:id
- * @access  Private
+ * @access  Private (department:read)
  */
 export const getDepartmentById = async (req, res) => {
     try {
@@ -125,20 +229,18 @@ export const getDepartmentById = async (req, res) => {
             });
         }
 
-        // Calculate spending
-        const totalSpent = await calculateDepartmentSpending(department._id, department.month, department.year);
-        const remaining = department.allocatedBudget - totalSpent;
-        const percentageUsed = (totalSpent / department.allocatedBudget) * 100;
+        // Calculate budget and spending for the requested month
+        const { month, year } = getRequestedMonth(req.query);
+        const [budgets, { spent }] = await Promise.all([
+            getMonthlyBudgetAmounts(month, year, [department._id]),
+            getDepartmentSpendingTotals(month, year, [department._id]),
+        ]);
+        const id = department._id.toString();
 
         res.status(200).json({
             success: true,
-            data: {
-                ...department,
-                totalSpent,
-                spentBudget: totalSpent,
-                remaining,
-                percentageUsed: parseFloat(percentageUsed.toFixed(2)),
-            },
+            period: { month, year },
+            data: withSpending(department, budgets.get(id) || 0, spent.get(id) || 0),
         });
     } catch (error) {
         console.error('Get Department Error:', error);
@@ -153,11 +255,11 @@ export const getDepartmentById = async (req, res) => {
 /**
  * @desc    Update department
  * @route   PUT /api/departments/:id
- * @access  Private/Admin
+ * @access  Private (department:manage)
  */
 export const updateDepartment = async (req, res) => {
     try {
-        const { name, description, head, allocatedBudget, status, month, year } = req.body;
+        const { name, description, head, status, parentId } = req.body;
 
         const department = await Department.findById(req.params.id);
 
@@ -168,20 +270,49 @@ export const updateDepartment = async (req, res) => {
             });
         }
 
+        const before = department.toObject();
+
         if (name) department.name = name;
         if (description !== undefined) department.description = description;
         if (head !== undefined) department.head = head;
-        if (allocatedBudget !== undefined) department.allocatedBudget = allocatedBudget;
         if (status) department.status = status;
-        if (month) department.month = month;
-        if (year) department.year = year;
+
+        const isMoved = parentId !== undefined && String(parentId || '') !== String(department.parentId || '');
+        if (isMoved) {
+            await assignParent(department, parentId);
+
+            // Existing allocations must fit within the new parent's budgets
+            const budgets = await Budget.find({ departmentId: department._id });
+            for (const budget of budgets) {
+                await assertBudgetFitsHierarchy({
+                    departmentId: department._id,
+                    parentId: department.parentId,
+                    period: buildPeriodKey(budget),
+                    amount: budget.amount,
+                });
+            }
+        }
 
         await department.save();
 
+        // Sub-departments move along with it
+        if (isMoved) {
+            await refreshDescendantAncestors(department);
+        }
+
+        await recordAudit(req, {
+            action: 'department.update',
+            entityType: 'Department',
+            entityId: department._id,
+            departmentId: department._id,
+            before,
+            after: department,
+        });
+
+        emitWebhookEvent('department.updated', department);
+
         // Trigger AI Report Generation (Async)
-        const reportMonth = department.month || new Date().getMonth() + 1;
-        const reportYear = department.year || new Date().getFullYear();
-        scheduleReportGeneration(reportMonth, reportYear);
+        scheduleReportGeneration(new Date().getMonth() + 1, new Date().getFullYear());
 
         res.status(200).json({
             success: true,
@@ -190,22 +321,22 @@ export const updateDepartment = async (req, res) => {
         });
     } catch (error) {
         console.error('Update Department Error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Server error',
+            message: error.status ? error.message : 'Server error',
             error: error.message,
         });
     }
 };
 
 /**
- * @desc    Add budget to department
+ * @desc    Add budget to department for a period (defaults to the current month)
  * @route   PUT /api/departments/:id/add-budget
- * @access  Private/Admin
+ * @access  Private (budget:manage)
  */
 export const addBudget = async (req, res) => {
     try {
-        const { amount } = req.body;
+        const { amount, reason } = req.body;
 
         if (!amount || amount <= 0) {
             return res.status(400).json({
@@ -223,24 +354,117 @@ export const addBudget = async (req, res) => {
             });
         }
 
-        // Add to existing budget
-        department.allocatedBudget += parseFloat(amount);
+        const currentDate = new Date();
+        const period = buildPeriodKey({
+            periodType: req.body.periodType || 'monthly',
+            year: req.body.year || currentDate.getFullYear(),
+            month: req.body.month || currentDate.getMonth() + 1,
+            quarter: req.body.quarter,
+        });
 
-        await department.save();
+        if (!period) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid budget period',
+            });
+        }
+
+        // Record the addition as an adjustment against the period's budget
+        const before = await Budget.findOne({ departmentId: department._id, ...period });
+        const budget = await recordBudgetAdjustment({
+            departmentId: department._id,
+            period,
+            amount: parseFloat(amount),
+            reason: reason || 'Budget added',
+            userId: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'budget.adjust',
+            entityType: 'Budget',
+            entityId: budget._id,
+            departmentId: department._id,
+            before,
+            after: budget,
+        });
+
+        emitWebhookEvent('budget.adjusted', budget);
 
         // Trigger AI Report Generation (Async)
-        // Use department's month/year if available, else current date
-        const reportMonth = department.month || new Date().getMonth() + 1;
-        const reportYear = department.year || new Date().getFullYear();
+        const reportMonth = period.month || currentDate.getMonth() + 1;
+        const reportYear = period.periodType === 'monthly' ? period.year : currentDate.getFullYear();
         scheduleReportGeneration(reportMonth, reportYear);
 
         res.status(200).json({
             success: true,
             message: `Successfully added ${amount} to department budget`,
-            data: department,
+            data: budget,
         });
     } catch (error) {
         console.error('Add Budget Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Set the budget alert thresholds of a department (null restores the defaults)
+ * @route   PUT /api/departments/:id/alert-thresholds
+ * @access  Private (alert:manage)
+ */
+export const updateAlertThresholds = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const department = await Department.findById(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({
+                success: false,
+                message: 'Department not found',
+            });
+        }
+
+        const before = department.toObject();
+        const { thresholds } = req.body;
+
+        department.alertThresholds = thresholds === null ? undefined : [...new Set(thresholds.map(Number))];
+        await department.save();
+
+        await recordAudit(req, {
+            action: 'department.update',
+            entityType: 'Department',
+            entityId: department._id,
+            departmentId: department._id,
+            before,
+            after: department,
+        });
+
+        emitWebhookEvent('department.updated', department);
+
+        // Spending may already be past a new threshold
+        scheduleBudgetAlertCheck(department._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert thresholds updated successfully',
+            data: {
+                departmentId: department._id,
+                alertThresholds: getAlertThresholds(department),
+                usesDefaults: department.alertThresholds === undefined,
+            },
+        });
+    } catch (error) {
+        console.error('Update Alert Thresholds Error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error',
@@ -252,7 +476,7 @@ export const addBudget = async (req, res) => {
 /**
  * @desc    Delete department
  * @route   DELETE /api/departments/:id
- * @access  Private/Admin
+ * @access  Private (department:manage)
  */
 export const deleteDepartment = async (req, res) => {
     try {
@@ -265,6 +489,16 @@ export const deleteDepartment = async (req, res) => {
             });
         }
 
+        // Sub-departments must be moved or deleted first
+        const childCount = await Department.countDocuments({ parentId: department._id });
+
+        if (childCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete department. It has ${childCount} sub-department(s).`,
+            });
+        }
+
         // Check if there are expenses associated
         const expenseCount = await Expense.countDocuments({ departmentId: department._id });
 
@@ -275,7 +509,21 @@ export const deleteDepartment = async (req, res) => {
             });
         }
 
-        await department.deleteOne();
+        const before = department.toObject();
+
+        // Soft delete - budgets are kept so a restored department comes back intact
+        await department.softDelete(req.user.id);
+
+        await recordAudit(req, {
+            action: 'department.delete',
+            entityType: 'Department',
+            entityId: department._id,
+            departmentId: department._id,
+            before,
+            after: department,
+        });
+
+        emitWebhookEvent('department.deleted', department);
 
         res.status(200).json({
             success: true,
@@ -295,4 +543,14 @@ export const deleteDepartment = async (req, res) => {
 export const departmentValidation = [
     body('name').trim().notEmpty().withMessage('Department name is required'),
     body('allocatedBudget').optional().isNumeric().withMessage('Allocated budget must be a number').isFloat({ min: 0 }).withMessage('Budget cannot be negative'),
+    body('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    body('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Year must be between 2020 and 2100'),
+    body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent department'),
+];
+
+export const alertThresholdsValidation = [
+    body('thresholds')
+        .custom((value) => value === null || Array.isArray(value))
+        .withMessage('Thresholds must be a list of percentages, or null to use the defaults'),
+    body('thresholds.*').isFloat({ gt: 0, max: 1000 }).withMessage('Each threshold must be a percentage between 0 and 1000'),
 ];
@@ -1,13 +1,80 @@
 import Expense from '../models/Expense.js';
 import Department from '../models/Department.js';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 
 import { scheduleReportGeneration } from '../services/reportService.js';
+import { canReviewExpense, submitExpenseForApproval } from '../services/approvalService.js';
+import { recordAudit } from '../services/auditService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { scheduleBudgetAlertCheck } from '../services/alertService.js';
+import { applyAnomalyScore, scheduleAnomalyScoring } from '../services/anomalyService.js';
+import { buildDepartmentFilter, canAccessDepartment } from '../services/permissionService.js';
+import { validateExpenseImport } from '../services/expenseImportService.js';
+import { EXPORT_FORMATS, resolveExportColumns, streamExpenseExport } from '../services/expenseExportService.js';
+
+// Expenses are saved with optimistic concurrency: saving one that changed since it was loaded fails
+const isConcurrentEdit = (error) => error.name === 'VersionError';
+
+/**
+ * Build the expense query shared by listing and export from request filters.
+ * Department scoped users only see the departments they belong to.
+ * @returns {Object|null} - Filter, or null when a department outside the user's scope was requested
+ */
+const buildExpenseFilter = (query, user) => {
+    const { departmentId, month, year, category, startDate, endDate, status, minAmount, maxAmount, search } = query;
+
+    const filter = {};
+
+    // Department scoping, with an optional department selector
+    const departmentFilter = buildDepartmentFilter(user, departmentId);
+    if (departmentFilter === null) return null;
+    if (departmentFilter) filter.departmentId = departmentFilter;
+
+    // Category filter
+    if (category) {
+        filter.category = category;
+    }
+
+    // Approval status filter
+    if (status) {
+        filter.status = status;
+    }
+
+    // Date filters - either bound of a range may be given on its own
+    if (month && year) {
+        const start = new Date(year, month - 1, 1);
+        const end = new Date(year, month, 0, 23, 59, 59);
+        filter.date = { $gte: start, $lte: end };
+    } else if (startDate || endDate) {
+        filter.date = {};
+        if (startDate) filter.date.$gte = new Date(startDate);
+        if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    // Amount range
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        filter.amount = {};
+        if (minAmount !== undefined) filter.amount.$gte = parseFloat(minAmount);
+        if (maxAmount !== undefined) filter.amount.$lte = parseFloat(maxAmount);
+    }
+
+    // Full-text search over descriptions
+    if (search) {
+        filter.$text = { $search: search };
+    }
+
+    return filter;
+};
+
+// Fields the expense listing can be sorted by
+const SORT_FIELDS = ['date', 'amount', 'category', 'createdAt'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
 
 /**
  * @desc    Create new expense
  * @route   POST /api/expenses
- * @access  Private
+ * @access  Private (expense:create)
  */
 export const createExpense = async (req, res) => {
     try {
@@ -19,7 +86,7 @@ export const createExpense = async (req, res) => {
             });
         }
 
-        const { departmentId, amount, category, description, date } = req.body;
+        const { departmentId, amount, category, description, date, status } = req.body;
 
         // Verify department exists
         const department = await Department.findById(departmentId);
@@ -30,37 +97,61 @@ export const createExpense = async (req, res) => {
             });
         }
 
-        // If user is department head, verify they can only add expenses to their department
-        if (req.user.role === 'department_head') {
-            if (req.user.departmentId.toString() !== departmentId) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'You can only add expenses to your own department',
-                });
-            }
+        // Department scoped users can only add expenses to departments they belong to
+        if (!canAccessDepartment(req.user, departmentId, 'expense:create')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only add expenses to departments you belong to',
+            });
         }
 
         const expenseDate = date ? new Date(date) : new Date();
-        const expense = await Expense.create({
+        const expense = new Expense({
             departmentId,
             amount,
             category,
             description,
             date: expenseDate,
             createdBy: req.user.id,
+            status: 'draft',
         });
 
-        // Trigger AI Report Generation (Async)
-        const reportMonth = expenseDate.getMonth() + 1;
-        const reportYear = expenseDate.getFullYear();
-        scheduleReportGeneration(reportMonth, reportYear);
+        // Drafts stay out of the approval queue until explicitly submitted
+        if (status !== 'draft') {
+            submitExpenseForApproval(expense, req.user);
+        }
+
+        await applyAnomalyScore(expense);
+
+        await expense.save();
+
+        await recordAudit(req, {
+            action: 'expense.create',
+            entityType: 'Expense',
+            entityId: expense._id,
+            departmentId: expense.departmentId,
+            after: expense,
+        });
+
+        emitWebhookEvent('expense.created', expense);
+
+        // Trigger AI Report Generation (Async) - only approved spend affects reports
+        if (expense.status === 'approved') {
+            const reportMonth = expenseDate.getMonth() + 1;
+            const reportYear = expenseDate.getFullYear();
+            scheduleReportGeneration(reportMonth, reportYear);
+        }
+
+        scheduleBudgetAlertCheck(expense.departmentId, expense.date);
 
         await expense.populate('departmentId', 'name');
         await expense.populate('createdBy', 'name email');
 
         res.status(201).json({
             success: true,
-            message: 'Expense created successfully',
+            message: expense.status === 'submitted'
+                ? 'Expense submitted for approval'
+                : 'Expense created successfully',
             data: expense,
         });
     } catch (error) {
@@ -74,45 +165,68 @@ export const createExpense = async (req, res) => {
 };
 
 /**
- * @desc    Get all expenses
- * @route   GET /api/expenses
- * @access  Private
+ * @desc    Get expenses, paginated
+ * @route   GET /api/expenses?page=1&limit=50&sortBy=date&order=desc&search=&minAmount=&maxAmount=
+ * @access  Private (expense:read)
  */
 export const getAllExpenses = async (req, res) => {
     try {
-        const { departmentId, month, year, category, startDate, endDate } = req.query;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
 
-        const filter = {};
+        const { sortBy = 'date', order = 'desc' } = req.query;
 
-        // Role-based filtering
-        if (req.user.role === 'department_head') {
-            filter.departmentId = req.user.departmentId;
-        } else if (departmentId) {
-            filter.departmentId = departmentId;
+        if (!SORT_FIELDS.includes(sortBy)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot sort by ${sortBy}. Use one of: ${SORT_FIELDS.join(', ')}`,
+            });
         }
 
-        // Category filter
-        if (category) {
-            filter.category = category;
+        const filter = buildExpenseFilter(req.query, req.user);
+        if (!filter) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
         }
 
-        // Date filters
-        if (month && year) {
-            const start = new Date(year, month - 1, 1);
-            const end = new Date(year, month, 0, 23, 59, 59);
-            filter.date = { $gte: start, $lte: end };
-        } else if (startDate && endDate) {
-            filter.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
-        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
 
-        const expenses = await Expense.find(filter)
-            .populate('departmentId', 'name allocatedBudget')
-            .populate('createdBy', 'name email')
-            .sort({ date: -1 });
+        // _id breaks ties so pages don't overlap when sort values repeat
+        const direction = order === 'asc' ? 1 : -1;
+        const sort = { [sortBy]: direction, _id: direction };
+
+        const [expenses, total] = await Promise.all([
+            Expense.find(filter)
+                .populate('departmentId', 'name')
+                .populate('createdBy', 'name email')
+                .populate('reviewedBy', 'name email')
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Expense.countDocuments(filter),
+        ]);
+
+        const pages = Math.ceil(total / limit);
 
         res.status(200).json({
             success: true,
             count: expenses.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages,
+                hasNextPage: page < pages,
+                hasPrevPage: page > 1,
+            },
             data: expenses,
         });
     } catch (error) {
@@ -125,16 +239,83 @@ export const getAllExpenses = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get expenses flagged by anomaly detection, highest score first
+ * @route   GET /api/expenses/anomalies?page=1&limit=50&minScore=&departmentId=&month=&year=&category=&status=
+ * @access  Private (expense:read)
+ */
+export const getExpenseAnomalies = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const filter = buildExpenseFilter(req.query, req.user);
+        if (!filter) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        filter['anomaly.flagged'] = true;
+        if (req.query.minScore !== undefined) {
+            filter['anomaly.score'] = { $gte: parseInt(req.query.minScore) };
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [expenses, total] = await Promise.all([
+            Expense.find(filter)
+                .populate('departmentId', 'name')
+                .populate('createdBy', 'name email')
+                .sort({ 'anomaly.score': -1, date: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Expense.countDocuments(filter),
+        ]);
+
+        const pages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            count: expenses.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages,
+                hasNextPage: page < pages,
+                hasPrevPage: page > 1,
+            },
+            data: expenses,
+        });
+    } catch (error) {
+        console.error('Get Expense Anomalies Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
 /**
  * @desc    Get single expense
  * @route   GET /api/expenses/:id
- * @access  Private
+ * @access  Private (expense:read)
  */
 export const getExpenseById = async (req, res) => {
     try {
         const expense = await Expense.findById(req.params.id)
-            .populate('departmentId', 'name allocatedBudget')
-            .populate('createdBy', 'name email');
+            .populate('departmentId', 'name')
+            .populate('createdBy', 'name email')
+            .populate('reviewedBy', 'name email');
 
         if (!expense) {
             return res.status(404).json({
@@ -143,14 +324,12 @@ export const getExpenseById = async (req, res) => {
             });
         }
 
-        // Department heads can only view their own department's expenses
-        if (req.user.role === 'department_head') {
-            if (expense.departmentId._id.toString() !== req.user.departmentId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied',
-                });
-            }
+        // Department scoped users can only view their own department's expenses
+        if (!canAccessDepartment(req.user, expense.departmentId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
         }
 
         res.status(200).json({
@@ -170,7 +349,7 @@ export const getExpenseById = async (req, res) => {
 /**
  * @desc    Update expense
  * @route   PUT /api/expenses/:id
- * @access  Private
+ * @access  Private (expense:update)
  */
 export const updateExpense = async (req, res) => {
     try {
@@ -185,29 +364,60 @@ export const updateExpense = async (req, res) => {
             });
         }
 
-        // Department heads can only update their own department's expenses
-        if (req.user.role === 'department_head') {
-            if (expense.departmentId.toString() !== req.user.departmentId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied',
-                });
-            }
+        // Department scoped users can only update their own department's expenses
+        if (!canAccessDepartment(req.user, expense.departmentId, 'expense:update')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
         }
 
+        const before = expense.toObject();
+
         expense.amount = amount || expense.amount;
         expense.category = category || expense.category;
         expense.description = description !== undefined ? description : expense.description;
         expense.date = date || expense.date;
 
+        // Pending or approved expenses go back through approval when what was reviewed changes: the amount
+        // (which may need a different approver), or the month and category the spend counts towards
+        const isReviewedChange = ['amount', 'date', 'category'].some((field) => expense.isModified(field));
+        if (isReviewedChange && ['submitted', 'approved'].includes(expense.status)) {
+            submitExpenseForApproval(expense, req.user);
+        }
+
+        // Rescore only when something the detector looks at changed
+        if (['amount', 'category', 'description', 'date'].some((field) => expense.isModified(field))) {
+            await applyAnomalyScore(expense);
+        }
+
         await expense.save();
 
+        await recordAudit(req, {
+            action: 'expense.update',
+            entityType: 'Expense',
+            entityId: expense._id,
+            departmentId: expense.departmentId,
+            before,
+            after: expense,
+        });
+
+        emitWebhookEvent('expense.updated', expense);
+
         // Trigger AI Report Generation (Async)
         const expenseDate = new Date(expense.date);
         const reportMonth = expenseDate.getMonth() + 1;
         const reportYear = expenseDate.getFullYear();
         scheduleReportGeneration(reportMonth, reportYear);
 
+        scheduleBudgetAlertCheck(expense.departmentId, expense.date);
+
+        // Moving the expense to another month lowers that month's spending, which may clear its alerts
+        const previousDate = new Date(before.date);
+        if (previousDate.getMonth() !== expenseDate.getMonth() || previousDate.getFullYear() !== expenseDate.getFullYear()) {
+            scheduleBudgetAlertCheck(expense.departmentId, previousDate);
+        }
+
         await expense.populate('departmentId', 'name');
         await expense.populate('createdBy', 'name email');
 
@@ -217,6 +427,13 @@ export const updateExpense = async (req, res) => {
             data: expense,
         });
     } catch (error) {
+        if (isConcurrentEdit(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The expense was changed by someone else in the meantime. Reload it and try again.',
+            });
+        }
+
         console.error('Update Expense Error:', error);
         res.status(500).json({
             success: false,
@@ -229,7 +446,7 @@ export const updateExpense = async (req, res) => {
 /**
  * @desc    Delete expense
  * @route   DELETE /api/expenses/:id
- * @access  Private
+ * @access  Private (expense:delete)
  */
 export const deleteExpense = async (req, res) => {
     try {
@@ -242,23 +459,51 @@ export const deleteExpense = async (req, res) => {
             });
         }
 
-        // Department heads can only delete their own department's expenses
-        if (req.user.role === 'department_head') {
-            if (expense.departmentId.toString() !== req.user.departmentId.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied',
-                });
-            }
+        // Department scoped users can only delete their own department's expenses
+        if (!canAccessDepartment(req.user, expense.departmentId, 'expense:delete')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        const before = expense.toObject();
+
+        // Soft delete - the expense moves to the trash and can be restored by an admin
+        await expense.softDelete(req.user.id);
+
+        await recordAudit(req, {
+            action: 'expense.delete',
+            entityType: 'Expense',
+            entityId: expense._id,
+            departmentId: expense.departmentId,
+            before,
+            after: expense,
+        });
+
+        emitWebhookEvent('expense.deleted', expense);
+
+        // Removing approved spend changes the monthly report
+        if (expense.status === 'approved') {
+            const expenseDate = new Date(expense.date);
+            scheduleReportGeneration(expenseDate.getMonth() + 1, expenseDate.getFullYear());
         }
 
-        await expense.deleteOne();
+        // Lower spending may clear crossed thresholds
+        scheduleBudgetAlertCheck(expense.departmentId, expense.date);
 
         res.status(200).json({
             success: true,
             message: 'Expense deleted successfully',
         });
     } catch (error) {
+        if (isConcurrentEdit(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The expense was changed by someone else in the meantime. Reload it and try again.',
+            });
+        }
+
         console.error('Delete Expense Error:', error);
         res.status(500).json({
             success: false,
@@ -269,47 +514,391 @@ export const deleteExpense = async (req, res) => {
 };
 
 /**
- * @desc    Export expenses to CSV
- * @route   GET /api/expenses/export/csv
- * @access  Private/Admin
+ * @desc    Submit a draft or rejected expense for approval
+ * @route   PUT /api/expenses/:id/submit
+ * @access  Private (expense:create)
  */
-export const exportExpenses = async (req, res) => {
+export const submitExpense = async (req, res) => {
     try {
-        const { departmentId, month, year } = req.query;
+        const expense = await Expense.findById(req.params.id);
+
+        if (!expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found',
+            });
+        }
 
-        const filter = {};
-        if (departmentId) filter.departmentId = departmentId;
+        // Department scoped users can only submit their own department's expenses
+        if (!canAccessDepartment(req.user, expense.departmentId, 'expense:create')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
 
-        if (month && year) {
-            const start = new Date(year, month - 1, 1);
-            const end = new Date(year, month, 0, 23, 59, 59);
-            filter.date = { $gte: start, $lte: end };
+        if (!['draft', 'rejected'].includes(expense.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Expense is already ${expense.status}`,
+            });
         }
 
-        const expenses = await Expense.find(filter)
-            .populate('departmentId', 'name')
-            .populate('createdBy', 'name email')
-            .sort({ date: -1 });
+        const before = expense.toObject();
+
+        submitExpenseForApproval(expense, req.user);
+        await expense.save();
+
+        await recordAudit(req, {
+            action: 'expense.submit',
+            entityType: 'Expense',
+            entityId: expense._id,
+            departmentId: expense.departmentId,
+            before,
+            after: expense,
+        });
+
+        emitWebhookEvent('expense.submitted', expense);
+
+        if (expense.status === 'approved') {
+            const expenseDate = new Date(expense.date);
+            scheduleReportGeneration(expenseDate.getMonth() + 1, expenseDate.getFullYear());
+        }
+
+        await expense.populate('departmentId', 'name');
+        await expense.populate('createdBy', 'name email');
+
+        res.status(200).json({
+            success: true,
+            message: expense.status === 'approved'
+                ? 'Expense approved'
+                : 'Expense submitted for approval',
+            data: expense,
+        });
+    } catch (error) {
+        if (isConcurrentEdit(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The expense was changed by someone else in the meantime. Reload it and try again.',
+            });
+        }
+
+        console.error('Submit Expense Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Approve a submitted expense
+ * @route   PUT /api/expenses/:id/approve
+ * @access  Private (expense:approve; expense:approve_large at or above the admin threshold)
+ */
+export const approveExpense = async (req, res) => {
+    try {
+        const expense = await Expense.findById(req.params.id);
 
-        // Create CSV
-        let csv = 'Date,Department,Category,Amount,Description,Created By\n';
+        if (!expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found',
+            });
+        }
 
-        expenses.forEach((expense) => {
-            const date = new Date(expense.date).toLocaleDateString();
-            const department = expense.departmentId.name;
-            const category = expense.category;
-            const amount = expense.amount;
-            const description = (expense.description || '').replace(/,/g, ';');
-            const createdBy = expense.createdBy.name;
+        if (expense.status !== 'submitted') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only submitted expenses can be approved',
+            });
+        }
+
+        if (!canReviewExpense(req.user, expense)) {
+            return res.status(403).json({
+                success: false,
+                message: `Reviewing this expense requires the ${expense.requiredApproverRole === 'admin' ? 'expense:approve_large' : 'expense:approve'} permission for its department`,
+            });
+        }
+
+        const before = expense.toObject();
+
+        expense.status = 'approved';
+        expense.reviewedBy = req.user.id;
+        expense.reviewedAt = new Date();
+        expense.reviewReason = req.body.reason;
+
+        await expense.save();
 
-            csv += `${date},${department},${category},${amount},"${description}",${createdBy}\n`;
+        await recordAudit(req, {
+            action: 'expense.approve',
+            entityType: 'Expense',
+            entityId: expense._id,
+            departmentId: expense.departmentId,
+            before,
+            after: expense,
         });
 
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=expenses.csv');
-        res.status(200).send(csv);
+        emitWebhookEvent('expense.approved', expense);
+
+        // Approved spend now counts towards the monthly report and the budget alerts
+        const expenseDate = new Date(expense.date);
+        scheduleReportGeneration(expenseDate.getMonth() + 1, expenseDate.getFullYear());
+        scheduleBudgetAlertCheck(expense.departmentId, expenseDate);
+
+        await expense.populate('departmentId', 'name');
+        await expense.populate('createdBy', 'name email');
+        await expense.populate('reviewedBy', 'name email');
+
+        res.status(200).json({
+            success: true,
+            message: 'Expense approved successfully',
+            data: expense,
+        });
+    } catch (error) {
+        if (isConcurrentEdit(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The expense was changed by someone else in the meantime. Reload it and try again.',
+            });
+        }
+
+        console.error('Approve Expense Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Reject a submitted expense
+ * @route   PUT /api/expenses/:id/reject
+ * @access  Private (expense:approve; expense:approve_large at or above the admin threshold)
+ */
+export const rejectExpense = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const expense = await Expense.findById(req.params.id);
+
+        if (!expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found',
+            });
+        }
+
+        if (expense.status !== 'submitted') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only submitted expenses can be rejected',
+            });
+        }
+
+        if (!canReviewExpense(req.user, expense)) {
+            return res.status(403).json({
+                success: false,
+                message: `Reviewing this expense requires the ${expense.requiredApproverRole === 'admin' ? 'expense:approve_large' : 'expense:approve'} permission for its department`,
+            });
+        }
+
+        const before = expense.toObject();
+
+        expense.status = 'rejected';
+        expense.reviewedBy = req.user.id;
+        expense.reviewedAt = new Date();
+        expense.reviewReason = req.body.reason;
+
+        await expense.save();
+
+        await recordAudit(req, {
+            action: 'expense.reject',
+            entityType: 'Expense',
+            entityId: expense._id,
+            departmentId: expense.departmentId,
+            before,
+            after: expense,
+        });
+
+        emitWebhookEvent('expense.rejected', expense);
+
+        await expense.populate('departmentId', 'name');
+        await expense.populate('createdBy', 'name email');
+        await expense.populate('reviewedBy', 'name email');
+
+        res.status(200).json({
+            success: true,
+            message: 'Expense rejected',
+            data: expense,
+        });
+    } catch (error) {
+        if (isConcurrentEdit(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The expense was changed by someone else in the meantime. Reload it and try again.',
+            });
+        }
+
+        console.error('Reject Expense Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Import expenses from CSV (Date, Department, Category, Amount, Description)
+ * @route   POST /api/expenses/import?dryRun=true
+ * @access  Private (expense:import)
+ */
+export const importExpenses = async (req, res) => {
+    try {
+        // Accept a raw text/csv body or JSON { csv: "..." }
+        const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+        const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+        if (!csvText) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide CSV content',
+            });
+        }
+
+        const { totalRows, expenses, errors } = await validateExpenseImport(csvText, req.user);
+
+        const summary = {
+            dryRun,
+            totalRows,
+            validRows: expenses.length,
+            invalidRows: errors.length,
+            errors,
+        };
+
+        if (dryRun || expenses.length === 0) {
+            return res.status(dryRun ? 200 : 400).json({
+                success: dryRun,
+                message: dryRun ? 'Dry run complete, nothing was saved' : 'No valid rows to import',
+                data: summary,
+            });
+        }
+
+        // Commit all valid rows in one batch
+        const created = await Expense.insertMany(expenses);
+
+        for (const expense of created) {
+            await recordAudit(req, {
+                action: 'expense.import',
+                entityType: 'Expense',
+                entityId: expense._id,
+                departmentId: expense.departmentId,
+                after: expense,
+            });
+
+            emitWebhookEvent('expense.created', expense);
+        }
+
+        // One report generation per affected month rather than one per row
+        const reportMonths = new Set(
+            created
+                .filter((expense) => expense.status === 'approved')
+                .map((expense) => `${expense.date.getMonth() + 1}-${expense.date.getFullYear()}`)
+        );
+        reportMonths.forEach((key) => {
+            const [reportMonth, reportYear] = key.split('-').map(Number);
+            scheduleReportGeneration(reportMonth, reportYear);
+        });
+
+        // One alert check per affected department and month
+        const alertChecks = new Map(
+            created.map((expense) => [
+                `${expense.departmentId}-${expense.date.getMonth() + 1}-${expense.date.getFullYear()}`,
+                expense,
+            ])
+        );
+        alertChecks.forEach((expense) => scheduleBudgetAlertCheck(expense.departmentId, expense.date));
+
+        // Scored after saving, so rows of the same import are compared with each other too
+        scheduleAnomalyScoring(created);
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${created.length} of ${totalRows} expense(s)`,
+            data: {
+                ...summary,
+                imported: created.length,
+            },
+        });
+    } catch (error) {
+        console.error('Import Expenses Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Export expenses as CSV, XLSX or JSON Lines
+ * @route   GET /api/expenses/export?format=csv|xlsx|jsonl&columns=date,amount,...
+ * @route   GET /api/expenses/export/csv
+ * @access  Private (expense:export)
+ */
+export const exportExpenses = async (req, res) => {
+    try {
+        const format = req.params.format || req.query.format || 'csv';
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+            });
+        }
+
+        const { columns, error } = resolveExportColumns(req.query.columns);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const filter = buildExpenseFilter(req.query, req.user);
+        if (!filter) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        const cursor = Expense.find(filter)
+            .populate('departmentId', 'name')
+            .populate('createdBy', 'name email')
+            .populate('reviewedBy', 'name')
+            .sort({ date: -1 })
+            .lean()
+            .cursor();
+
+        await streamExpenseExport(res, cursor, format, columns);
     } catch (error) {
         console.error('Export Expenses Error:', error);
+
+        // Headers are gone once streaming has started
+        if (res.headersSent) {
+            return res.end();
+        }
+
         res.status(500).json({
             success: false,
             message: 'Server error',
@@ -323,4 +912,22 @@ export const expenseValidation = [
     body('departmentId').notEmpty().withMessage('Department is required'),
     body('amount').isNumeric().withMessage('Amount must be a number').isFloat({ min: 0 }).withMessage('Amount cannot be negative'),
     body('category').notEmpty().withMessage('Category is required'),
+    body('status').optional().isIn(['draft', 'submitted']).withMessage('Status must be draft or submitted'),
+];
+
+export const expenseListValidation = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    query('minAmount').optional().isFloat().withMessage('Minimum amount must be a number'),
+    query('maxAmount').optional().isFloat().withMessage('Maximum amount must be a number'),
+];
+
+export const anomalyListValidation = [
+    ...expenseListValidation,
+    query('minScore').optional().isInt({ min: 0, max: 100 }).withMessage('Minimum score must be between 0 and 100'),
+];
+
+export const rejectionValidation = [
+    body('reason').trim().notEmpty().withMessage('A reason is required to reject an expense'),
 ];
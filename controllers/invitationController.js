@@ -0,0 +1,257 @@
+import Invitation from '../models/Invitation.js';
+import Department from '../models/Department.js';
+import User from '../models/User.js';
+import { body, validationResult } from 'express-validator';
+import { generateOpaqueToken, hashToken } from '../services/tokenService.js';
+import { recordAudit } from '../services/auditService.js';
+import { buildFrontendUrl, sendInvitationEmail } from '../services/mailService.js';
+import { getRole } from '../services/permissionService.js';
+
+const DEFAULT_INVITATION_TTL_HOURS = 72;
+
+const getInvitationTtlHours = () => {
+    return parseInt(process.env.INVITATION_TTL_HOURS) || DEFAULT_INVITATION_TTL_HOURS;
+};
+
+/**
+ * @desc    Invite a user
+ * @route   POST /api/invitations
+ * @access  Private (user:manage)
+ */
+export const createInvitation = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { email, role, departmentId } = req.body;
+
+        const userExists = await User.findOne({ email: email.toLowerCase() });
+        if (userExists) {
+            return res.status(400).json({
+                success: false,
+                message: 'User with this email already exists',
+            });
+        }
+
+        // Department scoped roles are tied to a department
+        const needsDepartment = (await getRole(role)).scope === 'department';
+
+        if (needsDepartment) {
+            if (!departmentId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Department is required for this role',
+                });
+            }
+
+            const department = await Department.findById(departmentId);
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found',
+                });
+            }
+        }
+
+        // A new invitation replaces any pending one for the same email
+        await Invitation.updateMany(
+            { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        const token = generateOpaqueToken();
+        const invitation = await Invitation.create({
+            email,
+            role,
+            departmentId: needsDepartment ? departmentId : undefined,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + getInvitationTtlHours() * 60 * 60 * 1000),
+            invitedBy: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'invitation.create',
+            entityType: 'Invitation',
+            entityId: invitation._id,
+            departmentId: invitation.departmentId,
+            after: invitation,
+        });
+
+        await invitation.populate('departmentId', 'name');
+
+        const inviteUrl = buildFrontendUrl('/register', { invite: token });
+
+        // The invitation stays valid if the email can't be sent; the admin can share the link instead
+        let emailSent = true;
+        try {
+            await sendInvitationEmail(invitation, token, inviteUrl);
+        } catch (error) {
+            emailSent = false;
+            console.error('❌ Failed to send invitation email:', error);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation created successfully',
+            data: {
+                invitation,
+                // Only returned once - share it with the invitee if the email didn't arrive
+                token,
+                inviteUrl,
+                emailSent,
+            },
+        });
+    } catch (error) {
+        console.error('Create Invitation Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get all invitations
+ * @route   GET /api/invitations
+ * @access  Private (user:manage)
+ */
+export const getAllInvitations = async (req, res) => {
+    try {
+        const { email, status } = req.query;
+        const now = new Date();
+
+        const filter = {};
+        if (email) filter.email = email.toLowerCase();
+
+        if (status === 'pending') {
+            Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+        } else if (status === 'accepted') {
+            filter.acceptedAt = { $ne: null };
+        } else if (status === 'revoked') {
+            filter.revokedAt = { $ne: null };
+        } else if (status === 'expired') {
+            Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+        }
+
+        const invitations = await Invitation.find(filter)
+            .populate('departmentId', 'name')
+            .populate('invitedBy', 'name email')
+            .populate('acceptedUserId', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: invitations.length,
+            data: invitations,
+        });
+    } catch (error) {
+        console.error('Get Invitations Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Check an invitation token before showing the registration form
+ * @route   GET /api/invitations/verify/:token
+ * @access  Public
+ */
+export const verifyInvitation = async (req, res) => {
+    try {
+        const invitation = await Invitation.findOne({ tokenHash: hashToken(req.params.token) })
+            .populate('departmentId', 'name');
+
+        if (!invitation || invitation.status !== 'pending') {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                email: invitation.email,
+                role: invitation.role,
+                department: invitation.departmentId,
+                expiresAt: invitation.expiresAt,
+            },
+        });
+    } catch (error) {
+        console.error('Verify Invitation Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/invitations/:id
+ * @access  Private (user:manage)
+ */
+export const revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found',
+            });
+        }
+
+        if (invitation.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Invitation is already ${invitation.status}`,
+            });
+        }
+
+        const before = invitation.toObject();
+        invitation.revokedAt = new Date();
+        await invitation.save();
+
+        await recordAudit(req, {
+            action: 'invitation.revoke',
+            entityType: 'Invitation',
+            entityId: invitation._id,
+            departmentId: invitation.departmentId,
+            before,
+            after: invitation,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation revoked successfully',
+        });
+    } catch (error) {
+        console.error('Revoke Invitation Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+export const invitationValidation = [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    body('role').custom(async (role) => {
+        if (!(await getRole(role))) throw new Error('Invalid role');
+        return true;
+    }),
+];
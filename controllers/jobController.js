@@ -0,0 +1,178 @@
+import Job from '../models/Job.js';
+import { body, validationResult } from 'express-validator';
+import { enqueueJob } from '../services/jobService.js';
+import { queueReportGeneration } from '../services/reportService.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+/**
+ * @desc    Get background jobs, newest first
+ * @route   GET /api/jobs?status=&type=&key=&page=&limit=
+ * @access  Private (job:manage)
+ */
+export const getJobs = async (req, res) => {
+    try {
+        const { status, type, key } = req.query;
+
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}`,
+            });
+        }
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (type) filter.type = type;
+        if (key) filter.key = key;
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [jobs, total] = await Promise.all([
+            Job.find(filter)
+                .select('-failures')
+                .populate('requestedBy', 'name email')
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Job.countDocuments(filter),
+        ]);
+
+        const pages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages,
+                hasNextPage: page < pages,
+                hasPrevPage: page > 1,
+            },
+            data: jobs,
+        });
+    } catch (error) {
+        console.error('Get Jobs Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get a single job including the error of every failed attempt
+ * @route   GET /api/jobs/:id
+ * @access  Private (job:manage)
+ */
+export const getJobById = async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id).populate('requestedBy', 'name email');
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: job,
+        });
+    } catch (error) {
+        console.error('Get Job Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Run a job again with the same parameters
+ * @route   POST /api/jobs/:id/rerun
+ * @access  Private (job:manage)
+ */
+export const rerunJob = async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found',
+            });
+        }
+
+        // Joins the queued job for the same key if there is one
+        const queued = await enqueueJob(job.type, job.params, {
+            key: job.key,
+            maxAttempts: job.maxAttempts,
+            trigger: 'manual',
+            requestedBy: req.user.id,
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Job queued',
+            data: queued,
+        });
+    } catch (error) {
+        console.error('Rerun Job Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Queue generation of the global AI report for a month
+ * @route   POST /api/jobs/reports
+ * @access  Private (job:manage)
+ */
+export const queueReportJob = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const month = parseInt(req.body.month);
+        const year = parseInt(req.body.year);
+
+        const job = await queueReportGeneration(month, year, req.user.id);
+
+        res.status(202).json({
+            success: true,
+            message: `Report generation for ${month}/${year} queued`,
+            data: job,
+        });
+    } catch (error) {
+        console.error('Queue Report Job Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+export const reportJobValidation = [
+    body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    body('year').isInt({ min: 2020, max: 2100 }).withMessage('Year must be between 2020 and 2100'),
+];
@@ -0,0 +1,213 @@
+import Notification from '../models/Notification.js';
+import { body, validationResult } from 'express-validator';
+import { getEnabledChannels, notify } from '../services/notificationService.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @desc    Get the current user's notifications, newest first
+ * @route   GET /api/notifications?unread=true&page=&limit=
+ * @access  Private
+ */
+export const getNotifications = async (req, res) => {
+    try {
+        const filter = { userId: req.user._id };
+        if (req.query.unread === 'true') {
+            filter.readAt = null;
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .populate('departmentId', 'name')
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ userId: req.user._id, readAt: null }),
+        ]);
+
+        const pages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            count: notifications.length,
+            unreadCount,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages,
+                hasNextPage: page < pages,
+                hasPrevPage: page > 1,
+            },
+            data: notifications,
+        });
+    } catch (error) {
+        console.error('Get Notifications Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Count the current user's unread notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+export const getUnreadCount = async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+
+        res.status(200).json({
+            success: true,
+            data: { unreadCount },
+        });
+    } catch (error) {
+        console.error('Get Unread Count Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Set or clear the read time of one of the current user's notifications
+ */
+const setReadState = async (req, res, readAt) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user._id },
+        { readAt },
+        { new: true }
+    );
+
+    if (!notification) {
+        return res.status(404).json({
+            success: false,
+            message: 'Notification not found',
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: notification,
+    });
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+export const markNotificationRead = async (req, res) => {
+    try {
+        await setReadState(req, res, new Date());
+    } catch (error) {
+        console.error('Mark Notification Read Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Mark a notification as unread
+ * @route   PATCH /api/notifications/:id/unread
+ * @access  Private
+ */
+export const markNotificationUnread = async (req, res) => {
+    try {
+        await setReadState(req, res, null);
+    } catch (error) {
+        console.error('Mark Notification Unread Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+export const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user._id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `Marked ${result.modifiedCount} notification(s) as read`,
+            data: { updated: result.modifiedCount },
+        });
+    } catch (error) {
+        console.error('Mark All Notifications Read Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Send a test notification to yourself through the enabled (or given) channels
+ * @route   POST /api/notifications/test
+ * @access  Private (alert:manage)
+ */
+export const sendTestNotification = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const channels = req.body.channels || getEnabledChannels();
+
+        const results = await notify({
+            type: 'notification.test',
+            title: 'Manage My Penny test notification',
+            message: `This is a test notification sent by ${req.user.name} to check the delivery channels.`,
+            data: { level: 'info' },
+        }, [req.user], channels);
+
+        const failed = Object.values(results).some((result) => !result.delivered);
+
+        res.status(failed ? 502 : 200).json({
+            success: !failed,
+            message: failed ? 'One or more channels failed' : 'Test notification sent',
+            data: results,
+        });
+    } catch (error) {
+        console.error('Test Notification Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+export const testNotificationValidation = [
+    body('channels').optional().isArray({ min: 1 }).withMessage('Channels must be a non-empty list'),
+    body('channels.*').isString().trim().notEmpty().withMessage('Channel names must be strings'),
+];
@@ -0,0 +1,431 @@
+import RecurringExpense from '../models/RecurringExpense.js';
+import Department from '../models/Department.js';
+import Expense from '../models/Expense.js';
+import { body, validationResult } from 'express-validator';
+import { recordAudit } from '../services/auditService.js';
+import { getOccurrenceKey, materialiseDueExpenses } from '../services/recurringExpenseService.js';
+import { buildDepartmentFilter, canAccessDepartment } from '../services/permissionService.js';
+
+/**
+ * @desc    Create recurring expense template
+ * @route   POST /api/recurring-expenses
+ * @access  Private (recurring:manage)
+ */
+export const createRecurringExpense = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const { departmentId, amount, category, description, cadence, startDate, endDate } = req.body;
+
+        const department = await Department.findById(departmentId);
+        if (!department) {
+            return res.status(404).json({
+                success: false,
+                message: 'Department not found',
+            });
+        }
+
+        if (!canAccessDepartment(req.user, departmentId, 'recurring:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only add recurring expenses to departments you belong to',
+            });
+        }
+
+        const template = await RecurringExpense.create({
+            departmentId,
+            amount,
+            category,
+            description,
+            cadence,
+            startDate: new Date(startDate),
+            endDate: endDate ? new Date(endDate) : undefined,
+            createdBy: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'recurring_expense.create',
+            entityType: 'RecurringExpense',
+            entityId: template._id,
+            departmentId: template.departmentId,
+            after: template,
+        });
+
+        await template.populate('departmentId', 'name');
+
+        res.status(201).json({
+            success: true,
+            message: 'Recurring expense created successfully',
+            data: template,
+        });
+    } catch (error) {
+        console.error('Create Recurring Expense Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get all recurring expense templates
+ * @route   GET /api/recurring-expenses
+ * @access  Private (recurring:read)
+ */
+export const getAllRecurringExpenses = async (req, res) => {
+    try {
+        const { departmentId, category, cadence, active } = req.query;
+
+        const filter = {};
+
+        // Department scoped users only see the departments they belong to
+        const departmentFilter = buildDepartmentFilter(req.user, departmentId);
+        if (departmentFilter === null) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+        if (departmentFilter) filter.departmentId = departmentFilter;
+
+        if (category) filter.category = category;
+        if (cadence) filter.cadence = cadence;
+        if (active !== undefined) filter.active = active === 'true';
+
+        const templates = await RecurringExpense.find(filter)
+            .populate('departmentId', 'name')
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: templates.length,
+            data: templates,
+        });
+    } catch (error) {
+        console.error('Get Recurring Expenses Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get single recurring expense template with its posted expenses
+ * @route   GET /api/recurring-expenses/:id
+ * @access  Private (recurring:read)
+ */
+export const getRecurringExpenseById = async (req, res) => {
+    try {
+        const template = await RecurringExpense.findById(req.params.id)
+            .populate('departmentId', 'name')
+            .populate('createdBy', 'name email');
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring expense not found',
+            });
+        }
+
+        if (!canAccessDepartment(req.user, template.departmentId._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        const expenses = await Expense.find({ recurringTemplateId: template._id })
+            .select('amount date status recurringOccurrence')
+            .sort({ date: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...template.toObject(),
+                expenses,
+            },
+        });
+    } catch (error) {
+        console.error('Get Recurring Expense Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Update recurring expense template (affects future occurrences only)
+ * @route   PUT /api/recurring-expenses/:id
+ * @access  Private (recurring:manage)
+ */
+export const updateRecurringExpense = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const { amount, category, description, cadence, startDate, endDate, active } = req.body;
+
+        const template = await RecurringExpense.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring expense not found',
+            });
+        }
+
+        if (!canAccessDepartment(req.user, template.departmentId, 'recurring:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        const before = template.toObject();
+
+        if (amount !== undefined) template.amount = amount;
+        if (category) template.category = category;
+        if (description !== undefined) template.description = description;
+        if (cadence) template.cadence = cadence;
+        if (startDate) template.startDate = new Date(startDate);
+        if (endDate !== undefined) template.endDate = endDate ? new Date(endDate) : undefined;
+        if (active !== undefined) template.active = active;
+
+        await template.save();
+
+        await recordAudit(req, {
+            action: 'recurring_expense.update',
+            entityType: 'RecurringExpense',
+            entityId: template._id,
+            departmentId: template.departmentId,
+            before,
+            after: template,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Recurring expense updated successfully',
+            data: template,
+        });
+    } catch (error) {
+        console.error('Update Recurring Expense Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Skip one occurrence of a recurring expense
+ * @route   PUT /api/recurring-expenses/:id/skip
+ * @access  Private (recurring:manage)
+ */
+export const skipOccurrence = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const template = await RecurringExpense.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring expense not found',
+            });
+        }
+
+        if (!canAccessDepartment(req.user, template.departmentId, 'recurring:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        const occurrenceKey = getOccurrenceKey(new Date(req.body.date));
+        const before = template.toObject();
+
+        if (!template.skippedOccurrences.includes(occurrenceKey)) {
+            template.skippedOccurrences.push(occurrenceKey);
+            await template.save();
+        }
+
+        // An occurrence that was already posted is moved to the trash
+        const postedExpense = await Expense.findOne({
+            recurringTemplateId: template._id,
+            recurringOccurrence: occurrenceKey,
+        });
+
+        if (postedExpense) {
+            await postedExpense.softDelete(req.user.id);
+        }
+
+        await recordAudit(req, {
+            action: 'recurring_expense.skip',
+            entityType: 'RecurringExpense',
+            entityId: template._id,
+            departmentId: template.departmentId,
+            before,
+            after: template,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Occurrence ${occurrenceKey} skipped`,
+            data: {
+                template,
+                removedExpenseId: postedExpense?._id,
+            },
+        });
+    } catch (error) {
+        console.error('Skip Occurrence Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Delete recurring expense template (posted expenses are kept)
+ * @route   DELETE /api/recurring-expenses/:id
+ * @access  Private (recurring:manage)
+ */
+export const deleteRecurringExpense = async (req, res) => {
+    try {
+        const template = await RecurringExpense.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring expense not found',
+            });
+        }
+
+        if (!canAccessDepartment(req.user, template.departmentId, 'recurring:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+            });
+        }
+
+        await template.deleteOne();
+
+        await recordAudit(req, {
+            action: 'recurring_expense.delete',
+            entityType: 'RecurringExpense',
+            entityId: template._id,
+            departmentId: template.departmentId,
+            before: template,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Recurring expense deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete Recurring Expense Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Post all due recurring expenses now
+ * @route   POST /api/recurring-expenses/run
+ * @access  Private (recurring:run)
+ */
+export const runRecurringExpenses = async (req, res) => {
+    try {
+        const result = await materialiseDueExpenses();
+
+        res.status(200).json({
+            success: true,
+            message: `Posted ${result.created} recurring expense(s)`,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Run Recurring Expenses Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+const RECURRING_CATEGORIES = RecurringExpense.schema.path('category').enumValues;
+
+// Compared with the start date in the same request; an update moving only one of them is checked by the model
+const isEndDateAfterStart = (endDate, { req }) => {
+    if (endDate && req.body.startDate && new Date(endDate) < new Date(req.body.startDate)) {
+        throw new Error('End date must be on or after the start date');
+    }
+    return true;
+};
+
+export const recurringExpenseValidation = [
+    body('departmentId').notEmpty().withMessage('Department is required'),
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+    body('category').isIn(RECURRING_CATEGORIES).withMessage(`Category must be one of: ${RECURRING_CATEGORIES.join(', ')}`),
+    body('cadence').isIn(['monthly', 'quarterly', 'yearly']).withMessage('Cadence must be monthly, quarterly or yearly'),
+    body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a valid date').bail().custom(isEndDateAfterStart),
+];
+
+export const recurringExpenseUpdateValidation = [
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+    body('category').optional().isIn(RECURRING_CATEGORIES).withMessage(`Category must be one of: ${RECURRING_CATEGORIES.join(', ')}`),
+    body('cadence').optional().isIn(['monthly', 'quarterly', 'yearly']).withMessage('Cadence must be monthly, quarterly or yearly'),
+    body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a valid date').bail().custom(isEndDateAfterStart),
+    body('active').optional().isBoolean().withMessage('Active must be true or false'),
+];
+
+export const skipValidation = [
+    body('date').isISO8601().withMessage('Occurrence date is required'),
+];
@@ -0,0 +1,273 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import { body, validationResult } from 'express-validator';
+import { PERMISSIONS } from '../config/permissions.js';
+import { clearRoleCache } from '../services/permissionService.js';
+import { recordAudit } from '../services/auditService.js';
+
+// The admin role always keeps full access so nobody can lock the organisation out
+const PROTECTED_ROLE = 'admin';
+
+/**
+ * @desc    Get all roles with the number of users holding each
+ * @route   GET /api/roles
+ * @access  Private
+ */
+export const getAllRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ system: -1, name: 1 }).lean();
+
+        const counts = await User.aggregate([
+            { $group: { _id: '$role', count: { $sum: 1 } } },
+        ]);
+        const countsByRole = new Map(counts.map((entry) => [entry._id, entry.count]));
+
+        res.status(200).json({
+            success: true,
+            count: roles.length,
+            data: roles.map((role) => ({ ...role, userCount: countsByRole.get(role.name) || 0 })),
+        });
+    } catch (error) {
+        console.error('Get Roles Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    List every permission a role can grant
+ * @route   GET /api/roles/permissions
+ * @access  Private
+ */
+export const getPermissions = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+    });
+};
+
+/**
+ * @desc    Create role
+ * @route   POST /api/roles
+ * @access  Private (role:manage)
+ */
+export const createRole = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { name, label, description, permissions, scope } = req.body;
+
+        const roleExists = await Role.findOne({ name: name.toLowerCase() });
+        if (roleExists) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role with this name already exists',
+            });
+        }
+
+        const role = await Role.create({
+            name,
+            label,
+            description,
+            permissions,
+            scope,
+            createdBy: req.user.id,
+        });
+
+        clearRoleCache();
+
+        await recordAudit(req, {
+            action: 'role.create',
+            entityType: 'Role',
+            entityId: role._id,
+            after: role,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: role,
+        });
+    } catch (error) {
+        console.error('Create Role Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Update role label, description, permissions or scope
+ * @route   PUT /api/roles/:id
+ * @access  Private (role:manage)
+ */
+export const updateRole = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { label, description, permissions, scope } = req.body;
+
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found',
+            });
+        }
+
+        if (role.name === PROTECTED_ROLE && (permissions !== undefined || scope !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The permissions and scope of the admin role cannot be changed',
+            });
+        }
+
+        const before = role.toObject();
+
+        // The name is what users reference, so it can't be changed
+        if (label) role.label = label;
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = permissions;
+        if (scope) role.scope = scope;
+
+        await role.save();
+
+        // Users holding the role pick up the change on their next request
+        clearRoleCache();
+
+        await recordAudit(req, {
+            action: 'role.update',
+            entityType: 'Role',
+            entityId: role._id,
+            before,
+            after: role,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            data: role,
+        });
+    } catch (error) {
+        console.error('Update Role Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Delete role
+ * @route   DELETE /api/roles/:id
+ * @access  Private (role:manage)
+ */
+export const deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found',
+            });
+        }
+
+        if (role.system) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted',
+            });
+        }
+
+        const usersWithRole = await User.countDocuments({ role: role.name });
+        const pendingInvitations = await Invitation.countDocuments({
+            role: role.name,
+            acceptedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+
+        if (usersWithRole > 0 || pendingInvitations > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role is still assigned to ${usersWithRole} user(s) and ${pendingInvitations} pending invitation(s)`,
+            });
+        }
+
+        await role.deleteOne();
+
+        clearRoleCache();
+
+        await recordAudit(req, {
+            action: 'role.delete',
+            entityType: 'Role',
+            entityId: role._id,
+            before: role,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete Role Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+export const roleValidation = [
+    body('name').trim().notEmpty().withMessage('Role name is required'),
+    body('label').trim().notEmpty().withMessage('Role label is required'),
+    body('permissions').isArray().withMessage('Permissions must be an array'),
+    body('scope').isIn(['all', 'department']).withMessage('Scope must be all or department'),
+];
+
+export const roleUpdateValidation = [
+    body('label').optional().trim().notEmpty().withMessage('Role label cannot be empty'),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('scope').optional().isIn(['all', 'department']).withMessage('Scope must be all or department'),
+];
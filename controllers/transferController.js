@@ -0,0 +1,244 @@
+import BudgetTransfer from '../models/BudgetTransfer.js';
+import Department from '../models/Department.js';
+import { body, validationResult } from 'express-validator';
+import { buildPeriodKey } from '../services/budgetService.js';
+import { transferBudget, reverseBudgetTransfer } from '../services/transferService.js';
+import { scheduleReportGeneration } from '../services/reportService.js';
+import { recordAudit } from '../services/auditService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+
+/**
+ * Regenerate the report for the month a transfer affects
+ */
+const scheduleReportForTransfer = (transfer) => {
+    const currentDate = new Date();
+    if (transfer.periodType === 'monthly') {
+        scheduleReportGeneration(transfer.month, transfer.year);
+    } else {
+        scheduleReportGeneration(currentDate.getMonth() + 1, currentDate.getFullYear());
+    }
+};
+
+/**
+ * @desc    Transfer budget between departments
+ * @route   POST /api/budget-transfers
+ * @access  Private (transfer:manage)
+ */
+export const createTransfer = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { fromDepartmentId, toDepartmentId, amount, reason } = req.body;
+
+        const period = buildPeriodKey(req.body);
+        if (!period) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid period. Monthly transfers need a month, quarterly transfers a quarter.',
+            });
+        }
+
+        const departmentCount = await Department.countDocuments({ _id: { $in: [fromDepartmentId, toDepartmentId] } });
+        if (departmentCount < 2) {
+            return res.status(404).json({
+                success: false,
+                message: 'Department not found',
+            });
+        }
+
+        const transfer = await transferBudget({
+            fromDepartmentId,
+            toDepartmentId,
+            period,
+            amount: parseFloat(amount),
+            reason,
+            userId: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'budget.transfer',
+            entityType: 'BudgetTransfer',
+            entityId: transfer._id,
+            departmentId: transfer.fromDepartmentId,
+            after: transfer,
+        });
+
+        emitWebhookEvent('budget.transferred', transfer);
+
+        scheduleReportForTransfer(transfer);
+
+        await transfer.populate('fromDepartmentId', 'name');
+        await transfer.populate('toDepartmentId', 'name');
+        await transfer.populate('performedBy', 'name email');
+
+        res.status(201).json({
+            success: true,
+            message: 'Budget transferred successfully',
+            data: transfer,
+        });
+    } catch (error) {
+        console.error('Create Transfer Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get transfer ledger
+ * @route   GET /api/budget-transfers
+ * @access  Private (transfer:read)
+ */
+export const getAllTransfers = async (req, res) => {
+    try {
+        const { departmentId, periodType, year, month, quarter, status } = req.query;
+
+        const filter = {};
+
+        // A department matches as either side of the transfer
+        if (departmentId) {
+            filter.$or = [{ fromDepartmentId: departmentId }, { toDepartmentId: departmentId }];
+        }
+
+        if (periodType) filter.periodType = periodType;
+        if (year) filter.year = parseInt(year);
+        if (month) filter.month = parseInt(month);
+        if (quarter) filter.quarter = parseInt(quarter);
+        if (status) filter.status = status;
+
+        const transfers = await BudgetTransfer.find(filter)
+            .populate('fromDepartmentId', 'name')
+            .populate('toDepartmentId', 'name')
+            .populate('performedBy', 'name email')
+            .populate('reversedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: transfers.length,
+            data: transfers,
+        });
+    } catch (error) {
+        console.error('Get Transfers Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get single transfer
+ * @route   GET /api/budget-transfers/:id
+ * @access  Private (transfer:read)
+ */
+export const getTransferById = async (req, res) => {
+    try {
+        const transfer = await BudgetTransfer.findById(req.params.id)
+            .populate('fromDepartmentId', 'name')
+            .populate('toDepartmentId', 'name')
+            .populate('performedBy', 'name email')
+            .populate('reversedBy', 'name email');
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: transfer,
+        });
+    } catch (error) {
+        console.error('Get Transfer Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Reverse a transfer
+ * @route   PUT /api/budget-transfers/:id/reverse
+ * @access  Private (transfer:manage)
+ */
+export const reverseTransfer = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const before = await BudgetTransfer.findById(req.params.id);
+
+        const transfer = await reverseBudgetTransfer({
+            transferId: req.params.id,
+            reason: req.body.reason,
+            userId: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'budget.transfer_reverse',
+            entityType: 'BudgetTransfer',
+            entityId: transfer._id,
+            departmentId: transfer.fromDepartmentId,
+            before,
+            after: transfer,
+        });
+
+        emitWebhookEvent('budget.transfer_reversed', transfer);
+
+        scheduleReportForTransfer(transfer);
+
+        await transfer.populate('fromDepartmentId', 'name');
+        await transfer.populate('toDepartmentId', 'name');
+        await transfer.populate('reversedBy', 'name email');
+
+        res.status(200).json({
+            success: true,
+            message: 'Transfer reversed successfully',
+            data: transfer,
+        });
+    } catch (error) {
+        console.error('Reverse Transfer Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+export const transferValidation = [
+    body('fromDepartmentId').notEmpty().withMessage('Source department is required'),
+    body('toDepartmentId').notEmpty().withMessage('Destination department is required')
+        .custom((toDepartmentId, { req }) => String(toDepartmentId) !== String(req.body.fromDepartmentId))
+        .withMessage('Source and destination departments must be different'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Transfer amount must be greater than 0'),
+    body('reason').trim().notEmpty().withMessage('A reason is required for budget transfers'),
+    body('periodType').isIn(['monthly', 'quarterly', 'fiscal_year']).withMessage('Period type must be monthly, quarterly or fiscal_year'),
+    body('year').isInt({ min: 2020, max: 2100 }).withMessage('Year must be between 2020 and 2100'),
+];
+
+export const reversalValidation = [
+    body('reason').trim().notEmpty().withMessage('A reason is required to reverse a transfer'),
+];
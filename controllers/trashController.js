@@ -0,0 +1,247 @@
+import Expense from '../models/Expense.js';
+import Department from '../models/Department.js';
+import Budget from '../models/Budget.js';
+import { recordAudit } from '../services/auditService.js';
+import { assignParent } from '../services/departmentService.js';
+import { scheduleReportGeneration } from '../services/reportService.js';
+import { scheduleBudgetAlertCheck } from '../services/alertService.js';
+
+// Days a deleted item stays restorable before it may be purged
+const DEFAULT_RETENTION_DAYS = 30;
+
+const getRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Date after which an item deleted at the given time can be purged
+ */
+const getPurgeAfter = (deletedAt) => {
+    return new Date(deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * @desc    List soft-deleted expenses and departments
+ * @route   GET /api/trash
+ * @access  Private (trash:manage)
+ */
+export const getTrash = async (req, res) => {
+    try {
+        const { type } = req.query;
+        const deletedFilter = { deletedAt: { $ne: null } };
+
+        const expenses = type && type !== 'expenses'
+            ? []
+            : await Expense.find(deletedFilter)
+                .populate('createdBy', 'name email')
+                .populate('deletedBy', 'name email')
+                .sort({ deletedAt: -1 })
+                .lean();
+
+        const departments = type && type !== 'departments'
+            ? []
+            : await Department.find(deletedFilter)
+                .populate('deletedBy', 'name email')
+                .sort({ deletedAt: -1 })
+                .lean();
+
+        const withPurgeDate = (item) => ({ ...item, purgeAfter: getPurgeAfter(item.deletedAt) });
+
+        res.status(200).json({
+            success: true,
+            retentionDays: getRetentionDays(),
+            data: {
+                expenses: expenses.map(withPurgeDate),
+                departments: departments.map(withPurgeDate),
+            },
+        });
+    } catch (error) {
+        console.error('Get Trash Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Restore a soft-deleted expense
+ * @route   PUT /api/trash/expenses/:id/restore
+ * @access  Private (trash:manage)
+ */
+export const restoreExpense = async (req, res) => {
+    try {
+        const expense = await Expense.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+        if (!expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deleted expense not found',
+            });
+        }
+
+        const department = await Department.findById(expense.departmentId);
+        if (!department) {
+            return res.status(400).json({
+                success: false,
+                message: 'The expense\'s department is deleted. Restore the department first.',
+            });
+        }
+
+        const before = expense.toObject();
+        await expense.restore();
+
+        await recordAudit(req, {
+            action: 'expense.restore',
+            entityType: 'Expense',
+            entityId: expense._id,
+            departmentId: expense.departmentId,
+            before,
+            after: expense,
+        });
+
+        if (expense.status === 'approved') {
+            const expenseDate = new Date(expense.date);
+            scheduleReportGeneration(expenseDate.getMonth() + 1, expenseDate.getFullYear());
+        }
+
+        // The restored spending counts towards the month's thresholds again
+        scheduleBudgetAlertCheck(expense.departmentId, expense.date);
+
+        res.status(200).json({
+            success: true,
+            message: 'Expense restored successfully',
+            data: expense,
+        });
+    } catch (error) {
+        // Expenses are saved with optimistic concurrency, see the Expense model
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                message: 'The expense was changed by someone else in the meantime. Reload it and try again.',
+            });
+        }
+
+        console.error('Restore Expense Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Restore a soft-deleted department
+ * @route   PUT /api/trash/departments/:id/restore
+ * @access  Private (trash:manage)
+ */
+export const restoreDepartment = async (req, res) => {
+    try {
+        const department = await Department.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+        if (!department) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deleted department not found',
+            });
+        }
+
+        const before = department.toObject();
+
+        // The parent may have been deleted or moved meanwhile; fall back to the top level when it's gone
+        const parent = department.parentId && await Department.findById(department.parentId);
+        await assignParent(department, parent ? parent._id : null);
+        await department.restore();
+
+        await recordAudit(req, {
+            action: 'department.restore',
+            entityType: 'Department',
+            entityId: department._id,
+            departmentId: department._id,
+            before,
+            after: department,
+        });
+
+        scheduleReportGeneration(new Date().getMonth() + 1, new Date().getFullYear());
+
+        res.status(200).json({
+            success: true,
+            message: 'Department restored successfully',
+            data: department,
+        });
+    } catch (error) {
+        console.error('Restore Department Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Permanently delete trash older than the retention period
+ * @route   DELETE /api/trash/purge
+ * @access  Private (trash:manage)
+ */
+export const purgeTrash = async (req, res) => {
+    try {
+        const retentionDays = getRetentionDays();
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+        const expenses = await Expense.find({ deletedAt: { $ne: null, $lte: cutoff } });
+        for (const expense of expenses) {
+            await expense.deleteOne();
+            await recordAudit(req, {
+                action: 'expense.purge',
+                entityType: 'Expense',
+                entityId: expense._id,
+                departmentId: expense.departmentId,
+                before: expense,
+            });
+        }
+
+        const departments = await Department.find({ deletedAt: { $ne: null, $lte: cutoff } });
+        let departmentsPurged = 0;
+        for (const department of departments) {
+            // Keep departments whose trashed expenses are still within retention
+            const remainingExpenses = await Expense.countDocuments({
+                departmentId: department._id,
+                deletedAt: { $ne: null },
+            });
+            if (remainingExpenses > 0) continue;
+
+            await Budget.deleteMany({ departmentId: department._id });
+            await department.deleteOne();
+            departmentsPurged++;
+
+            await recordAudit(req, {
+                action: 'department.purge',
+                entityType: 'Department',
+                entityId: department._id,
+                departmentId: department._id,
+                before: department,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Purged ${expenses.length} expenses and ${departmentsPurged} departments deleted more than ${retentionDays} days ago`,
+            data: {
+                expensesPurged: expenses.length,
+                departmentsPurged,
+                cutoff,
+            },
+        });
+    } catch (error) {
+        console.error('Purge Trash Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
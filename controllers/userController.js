@@ -0,0 +1,327 @@
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import { body, validationResult } from 'express-validator';
+import { revokeAllSessions } from '../services/tokenService.js';
+import { recordAudit } from '../services/auditService.js';
+import { getRole } from '../services/permissionService.js';
+
+/**
+ * Whether removing admin rights from this user would leave no active admin
+ */
+const isLastActiveAdmin = async (user) => {
+    if (user.role !== 'admin' || !user.active) return false;
+    const activeAdmins = await User.countDocuments({ role: 'admin', active: { $ne: false } });
+    return activeAdmins <= 1;
+};
+
+/**
+ * @desc    Get all users
+ * @route   GET /api/users
+ * @access  Private (user:manage)
+ */
+export const getAllUsers = async (req, res) => {
+    try {
+        const { role, departmentId, active, search } = req.query;
+
+        const filter = {};
+        if (role) filter.role = role;
+        if (departmentId) filter.departmentId = departmentId;
+        if (active !== undefined) filter.active = active === 'true' ? { $ne: false } : false;
+
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        const users = await User.find(filter)
+            .populate('departmentId', 'name')
+            .populate('memberships.departmentId', 'name')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: users.length,
+            data: users,
+        });
+    } catch (error) {
+        console.error('Get Users Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get single user
+ * @route   GET /api/users/:id
+ * @access  Private (user:manage)
+ */
+export const getUserById = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id)
+            .populate('departmentId', 'name')
+            .populate('memberships.departmentId', 'name');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: user,
+        });
+    } catch (error) {
+        console.error('Get User Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Update user's name, role, primary department or department memberships
+ * @route   PUT /api/users/:id
+ * @access  Private (user:manage)
+ */
+export const updateUser = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array(),
+            });
+        }
+
+        const { name, role, departmentId, memberships } = req.body;
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        if (role && role !== 'admin' && await isLastActiveAdmin(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot change the role of the last active admin',
+            });
+        }
+
+        const departmentIds = [
+            ...(departmentId ? [departmentId] : []),
+            ...(memberships || []).map((membership) => membership.departmentId),
+        ];
+        const uniqueDepartmentIds = [...new Set(departmentIds.map(String))];
+
+        if (uniqueDepartmentIds.length > 0) {
+            const found = await Department.countDocuments({ _id: { $in: uniqueDepartmentIds } });
+            if (found !== uniqueDepartmentIds.length) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found',
+                });
+            }
+        }
+
+        const before = user.toObject();
+
+        if (name) user.name = name;
+        if (role) user.role = role;
+        if (memberships !== undefined) user.memberships = memberships;
+        if (departmentId !== undefined) user.departmentId = departmentId || undefined;
+        // Organisation-wide roles aren't tied to departments; department scoped ones need one (enforced by the schema)
+        if ((await getRole(user.role)).scope === 'all') {
+            user.departmentId = undefined;
+            user.memberships = [];
+        }
+
+        // Role and department changes revoke the user's sessions (see the User model hooks)
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'user.update',
+            entityType: 'User',
+            entityId: user._id,
+            departmentId: user.departmentId,
+            before,
+            after: user,
+        });
+
+        await user.populate([
+            { path: 'departmentId', select: 'name' },
+            { path: 'memberships.departmentId', select: 'name' },
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'User updated successfully',
+            data: user,
+        });
+    } catch (error) {
+        console.error('Update User Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Deactivate user and sign them out everywhere
+ * @route   PUT /api/users/:id/deactivate
+ * @access  Private (user:manage)
+ */
+export const deactivateUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        if (user._id.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot deactivate your own account',
+            });
+        }
+
+        if (!user.active) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already deactivated',
+            });
+        }
+
+        if (await isLastActiveAdmin(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot deactivate the last active admin',
+            });
+        }
+
+        const before = user.toObject();
+
+        user.active = false;
+        user.deactivatedAt = new Date();
+        user.deactivatedBy = req.user._id;
+        await user.save();
+
+        await revokeAllSessions(user._id);
+
+        await recordAudit(req, {
+            action: 'user.deactivate',
+            entityType: 'User',
+            entityId: user._id,
+            departmentId: user.departmentId,
+            before,
+            after: user,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'User deactivated successfully',
+            data: user,
+        });
+    } catch (error) {
+        console.error('Deactivate User Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Reactivate user
+ * @route   PUT /api/users/:id/activate
+ * @access  Private (user:manage)
+ */
+export const activateUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        if (user.active) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already active',
+            });
+        }
+
+        const before = user.toObject();
+
+        user.active = true;
+        user.deactivatedAt = undefined;
+        user.deactivatedBy = undefined;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'user.activate',
+            entityType: 'User',
+            entityId: user._id,
+            departmentId: user.departmentId,
+            before,
+            after: user,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'User reactivated successfully',
+            data: user,
+        });
+    } catch (error) {
+        console.error('Activate User Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+export const userUpdateValidation = [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('role').optional().custom(async (role) => {
+        if (!(await getRole(role))) throw new Error('Invalid role');
+        return true;
+    }),
+    body('memberships').optional().isArray().withMessage('Memberships must be an array'),
+    body('memberships.*.departmentId').isMongoId().withMessage('Invalid membership department'),
+    body('memberships.*.role').custom(async (role) => {
+        if (!(await getRole(role))) throw new Error('Invalid membership role');
+        return true;
+    }),
+];
@@ -0,0 +1,456 @@
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { body, validationResult } from 'express-validator';
+import { WEBHOOK_EVENTS, isValidEventPattern } from '../config/webhookEvents.js';
+import { generateWebhookSecret, pingSubscription, replayDelivery } from '../services/webhookService.js';
+import { recordAudit } from '../services/auditService.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'succeeded', 'failed'];
+
+/**
+ * Audit snapshot of a subscription; the secret never goes into the audit log
+ */
+const toSnapshot = (subscription) => {
+    const { secret, ...snapshot } = subscription.toObject();
+    return snapshot;
+};
+
+/**
+ * @desc    List the events subscriptions can listen to
+ * @route   GET /api/webhooks/events
+ * @access  Private (webhook:manage)
+ */
+export const getWebhookEvents = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description })),
+    });
+};
+
+/**
+ * @desc    Get all webhook subscriptions
+ * @route   GET /api/webhooks
+ * @access  Private (webhook:manage)
+ */
+export const getWebhooks = async (req, res) => {
+    try {
+        const subscriptions = await WebhookSubscription.find({})
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: subscriptions.length,
+            data: subscriptions,
+        });
+    } catch (error) {
+        console.error('Get Webhooks Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get single webhook subscription
+ * @route   GET /api/webhooks/:id
+ * @access  Private (webhook:manage)
+ */
+export const getWebhookById = async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findById(req.params.id).populate('createdBy', 'name email');
+
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: subscription,
+        });
+    } catch (error) {
+        console.error('Get Webhook Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Create a webhook subscription. The secret is only shown in this response.
+ * @route   POST /api/webhooks
+ * @access  Private (webhook:manage)
+ */
+export const createWebhook = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const { url, description, events, active, secret } = req.body;
+
+        const subscription = await WebhookSubscription.create({
+            url,
+            description,
+            events,
+            active,
+            secret: secret || generateWebhookSecret(),
+            createdBy: req.user.id,
+        });
+
+        await recordAudit(req, {
+            action: 'webhook.create',
+            entityType: 'WebhookSubscription',
+            entityId: subscription._id,
+            after: toSnapshot(subscription),
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created successfully. Store the secret now; it is not shown again.',
+            data: { ...subscription.toObject(), secret: subscription.secret },
+        });
+    } catch (error) {
+        console.error('Create Webhook Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Update a webhook subscription
+ * @route   PUT /api/webhooks/:id
+ * @access  Private (webhook:manage)
+ */
+export const updateWebhook = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array(),
+            });
+        }
+
+        const subscription = await WebhookSubscription.findById(req.params.id);
+
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        const before = toSnapshot(subscription);
+        const { url, description, events, active } = req.body;
+
+        if (url) subscription.url = url;
+        if (description !== undefined) subscription.description = description;
+        if (events) subscription.events = events;
+        if (active !== undefined) subscription.active = active;
+
+        await subscription.save();
+
+        await recordAudit(req, {
+            action: 'webhook.update',
+            entityType: 'WebhookSubscription',
+            entityId: subscription._id,
+            before,
+            after: toSnapshot(subscription),
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: subscription,
+        });
+    } catch (error) {
+        console.error('Update Webhook Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Replace a webhook's secret. The new secret is only shown in this response.
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @access  Private (webhook:manage)
+ */
+export const rotateWebhookSecret = async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findById(req.params.id);
+
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        subscription.secret = generateWebhookSecret();
+        await subscription.save();
+
+        await recordAudit(req, {
+            action: 'webhook.rotate_secret',
+            entityType: 'WebhookSubscription',
+            entityId: subscription._id,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook secret rotated. Store the secret now; it is not shown again.',
+            data: { ...subscription.toObject(), secret: subscription.secret },
+        });
+    } catch (error) {
+        console.error('Rotate Webhook Secret Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Delete a webhook subscription. Its delivery log is kept.
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private (webhook:manage)
+ */
+export const deleteWebhook = async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        // Nothing left to send pending retries to
+        await WebhookDelivery.updateMany(
+            { subscriptionId: subscription._id, status: { $in: ['pending', 'retrying'] } },
+            { status: 'failed', error: 'Subscription deleted', $unset: { nextAttemptAt: 1 } }
+        );
+
+        await recordAudit(req, {
+            action: 'webhook.delete',
+            entityType: 'WebhookSubscription',
+            entityId: subscription._id,
+            before: toSnapshot(subscription),
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete Webhook Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Send a test ping to a webhook and return the delivery outcome
+ * @route   POST /api/webhooks/:id/ping
+ * @access  Private (webhook:manage)
+ */
+export const pingWebhook = async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findById(req.params.id);
+
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found',
+            });
+        }
+
+        const delivery = await pingSubscription(subscription, req.user.id);
+        const delivered = delivery.status === 'succeeded';
+
+        res.status(200).json({
+            success: delivered,
+            message: delivered
+                ? 'Ping delivered'
+                : `Ping failed${delivery.status === 'retrying' ? ', will be retried' : ''}: ${delivery.error}`,
+            data: delivery,
+        });
+    } catch (error) {
+        console.error('Ping Webhook Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get the delivery log of a webhook, newest first
+ * @route   GET /api/webhooks/:id/deliveries?status=&event=&page=&limit=
+ * @access  Private (webhook:manage)
+ */
+export const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { status, event } = req.query;
+
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Use one of: ${DELIVERY_STATUSES.join(', ')}`,
+            });
+        }
+
+        const filter = { subscriptionId: req.params.id };
+        if (status) filter.status = status;
+        if (event) filter.event = event;
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .select('-payload')
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            WebhookDelivery.countDocuments(filter),
+        ]);
+
+        const pages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            count: deliveries.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages,
+                hasNextPage: page < pages,
+                hasPrevPage: page > 1,
+            },
+            data: deliveries,
+        });
+    } catch (error) {
+        console.error('Get Webhook Deliveries Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Get a single delivery including its payload
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @access  Private (webhook:manage)
+ */
+export const getWebhookDeliveryById = async (req, res) => {
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: delivery,
+        });
+    } catch (error) {
+        console.error('Get Webhook Delivery Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @desc    Send a delivery's payload again as a new delivery
+ * @route   POST /api/webhooks/deliveries/:deliveryId/replay
+ * @access  Private (webhook:manage)
+ */
+export const replayWebhookDelivery = async (req, res) => {
+    try {
+        const original = await WebhookDelivery.findById(req.params.deliveryId);
+
+        if (!original) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found',
+            });
+        }
+
+        const delivery = await replayDelivery(original, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: delivery.status === 'succeeded' ? 'Delivery replayed' : `Replay attempted: ${delivery.error}`,
+            data: delivery,
+        });
+    } catch (error) {
+        console.error('Replay Webhook Delivery Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            error: error.message,
+        });
+    }
+};
+
+// Validation rules
+const eventsValidation = (field) => field
+    .isArray({ min: 1 }).withMessage('Events must be a non-empty list')
+    .custom((events) => events.every(isValidEventPattern))
+    .withMessage(`Unknown event. Use "*", "<resource>.*" or one of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+
+const urlValidation = (field) => field
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('A valid http(s) URL is required');
+
+export const webhookValidation = [
+    urlValidation(body('url')),
+    eventsValidation(body('events')),
+    body('description').optional().isString().trim(),
+    body('active').optional().isBoolean().withMessage('Active must be true or false'),
+    body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+];
+
+export const webhookUpdateValidation = [
+    urlValidation(body('url').optional()),
+    eventsValidation(body('events').optional()),
+    body('description').optional().isString().trim(),
+    body('active').optional().isBoolean().withMessage('Active must be true or false'),
+];
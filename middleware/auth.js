@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { attachPermissions, hasPermission } from '../services/permissionService.js';
 
 // Verify JWT token
 export const verifyToken = async (req, res, next) => {
@@ -27,6 +28,23 @@ export const verifyToken = async (req, res, next) => {
             });
         }
 
+        if (req.user.active === false) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account has been deactivated',
+            });
+        }
+
+        // Tokens issued before a logout-all or a role/department change are no longer valid
+        if ((decoded.tokenVersion || 0) !== (req.user.tokenVersion || 0)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked, please log in again',
+            });
+        }
+
+        await attachPermissions(req.user);
+
         next();
     } catch (error) {
         return res.status(401).json({
@@ -37,26 +55,19 @@ export const verifyToken = async (req, res, next) => {
     }
 };
 
-// Check if user is admin
-export const isAdmin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
-        next();
-    } else {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Admin privileges required.',
-        });
-    }
-};
+/**
+ * Require the authenticated user's role to grant every listed permission
+ * @example router.delete('/:id', requirePermission('expense:delete'), deleteExpense)
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
 
-// Check if user is department head
-export const isDepartmentHead = (req, res, next) => {
-    if (req.user && req.user.role === 'department_head') {
+    if (req.user && missing.length === 0) {
         next();
     } else {
         return res.status(403).json({
             success: false,
-            message: 'Access denied. Department head privileges required.',
+            message: `Access denied. Missing permission: ${missing.join(', ')}`,
         });
     }
 };
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose';
 
+const projectionFields = {
+    spentToDate: Number,
+    projected: Number,
+    low: Number,
+    high: Number,
+    upcomingRecurring: Number,
+};
+
 const aiReportSchema = new mongoose.Schema(
     {
         type: {
@@ -27,7 +35,7 @@ const aiReportSchema = new mongoose.Schema(
         reportText: {
             type: String, // Full markdown report from AI
         },
-        // Existing fields for backward compatibility or structured data
+        // Structured answer, validated against the schemas in config/aiSchemas.js
         summary: {
             type: String,
         },
@@ -39,13 +47,45 @@ const aiReportSchema = new mongoose.Schema(
             type: [String],
             default: [],
         },
+        insights: {
+            type: [String],
+            default: [],
+        },
+        risks: [{
+            _id: false,
+            department: String,
+            riskLevel: { type: String, enum: ['Low', 'Medium', 'High'] },
+            reason: String,
+        }],
+        optimizationTips: {
+            type: [String],
+            default: [],
+        },
+        // True when no valid AI answer came back and the content was derived from the figures alone
+        isFallback: {
+            type: Boolean,
+            default: false,
+        },
+        fallbackReason: {
+            type: String,
+        },
+        // Prompt and schema generation that produced the report, see PROMPT_VERSIONS
+        promptVersion: {
+            type: String,
+        },
         // Global Report specific fields
         totalBudget: Number,
         totalSpent: Number,
+        totalCommitted: Number, // Submitted but not yet approved
         departmentsSnapshot: [{
+            departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+            parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+            depth: Number,
             departmentName: String,
             allocatedBudget: Number,
             totalSpent: Number,
+            ownSpent: Number,
+            committed: Number,
             percentageUsed: Number,
             status: String
         }],
@@ -53,11 +93,26 @@ const aiReportSchema = new mongoose.Schema(
         dataSnapshot: {
             allocatedBudget: Number,
             totalSpent: Number,
+            committed: Number,
             remainingBudget: Number,
             percentageUsed: Number,
             previousMonthSpent: Number,
             monthOverMonthChange: Number,
         },
+        // Spending forecast given to the model, see forecastService
+        forecast: {
+            monthEnd: projectionFields,
+            nextMonth: projectionFields,
+            yearEnd: projectionFields,
+        },
+        // Model that wrote the report and the tokens it used
+        llmUsage: {
+            provider: String,
+            model: String,
+            promptTokens: Number,
+            completionTokens: Number,
+            totalTokens: Number,
+        },
         generatedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema(
+    {
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        actorRole: {
+            type: String,
+        },
+        // Dotted verb, e.g. expense.create, budget.adjust, report.delete
+        action: {
+            type: String,
+            required: [true, 'Action is required'],
+            trim: true,
+        },
+        entityType: {
+            type: String,
+            required: [true, 'Entity type is required'],
+            enum: ['Expense', 'Department', 'Budget', 'BudgetTransfer', 'AIReport', 'RecurringExpense', 'User', 'Invitation', 'Role', 'WebhookSubscription'],
+        },
+        entityId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Entity ID is required'],
+        },
+        // Department the change belongs to, for filtering
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+        },
+        before: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        after: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        changes: [{
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed,
+        }],
+        ip: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+    },
+    {
+        // Audit entries are append-only
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ departmentId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+const budgetHistorySchema = new mongoose.Schema(
+    {
+        action: {
+            type: String,
+            enum: ['allocated', 'adjusted', 'transfer_in', 'transfer_out'],
+            required: true,
+        },
+        // Signed change applied to the allocation
+        amount: {
+            type: Number,
+            required: true,
+        },
+        previousAmount: {
+            type: Number,
+            default: 0,
+        },
+        newAmount: {
+            type: Number,
+            required: true,
+        },
+        reason: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        performedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        transferId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BudgetTransfer',
+        },
+    },
+    { _id: true }
+);
+
+const budgetSchema = new mongoose.Schema(
+    {
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+            required: [true, 'Department is required'],
+        },
+        periodType: {
+            type: String,
+            enum: ['monthly', 'quarterly', 'fiscal_year'],
+            required: [true, 'Period type is required'],
+        },
+        // Calendar year for monthly budgets, fiscal year for quarterly and fiscal_year budgets
+        year: {
+            type: Number,
+            required: [true, 'Year is required'],
+            min: 2020,
+            max: 2100,
+        },
+        month: {
+            type: Number,
+            min: 1,
+            max: 12,
+            required: function () { return this.periodType === 'monthly'; },
+        },
+        // Fiscal quarter
+        quarter: {
+            type: Number,
+            min: 1,
+            max: 4,
+            required: function () { return this.periodType === 'quarterly'; },
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Budget amount is required'],
+            min: [0, 'Budget cannot be negative'],
+            default: 0,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        history: {
+            type: [budgetHistorySchema],
+            default: [],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One budget per department and period
+budgetSchema.index({ departmentId: 1, periodType: 1, year: 1, month: 1, quarter: 1 }, { unique: true });
+budgetSchema.index({ periodType: 1, year: 1, month: 1, quarter: 1 });
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+export default Budget;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// A budget threshold a department has crossed in a month, so each crossing is only notified once
+const budgetAlertSchema = new mongoose.Schema(
+    {
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+            required: true,
+        },
+        year: {
+            type: Number,
+            required: true,
+        },
+        month: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 12,
+        },
+        // Percentage of the monthly budget
+        threshold: {
+            type: Number,
+            required: true,
+        },
+        // Figures at the time the threshold was crossed
+        allocatedBudget: Number,
+        totalSpent: Number,
+        percentageUsed: Number,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+budgetAlertSchema.index({ departmentId: 1, year: 1, month: 1, threshold: 1 }, { unique: true });
+
+const BudgetAlert = mongoose.model('BudgetAlert', budgetAlertSchema);
+
+export default BudgetAlert;
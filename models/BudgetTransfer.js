@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+const budgetTransferSchema = new mongoose.Schema(
+    {
+        fromDepartmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+            required: [true, 'Source department is required'],
+        },
+        toDepartmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+            required: [true, 'Destination department is required'],
+        },
+        periodType: {
+            type: String,
+            enum: ['monthly', 'quarterly', 'fiscal_year'],
+            required: [true, 'Period type is required'],
+        },
+        year: {
+            type: Number,
+            required: [true, 'Year is required'],
+            min: 2020,
+            max: 2100,
+        },
+        month: {
+            type: Number,
+            min: 1,
+            max: 12,
+        },
+        quarter: {
+            type: Number,
+            min: 1,
+            max: 4,
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [0.01, 'Transfer amount must be greater than 0'],
+        },
+        reason: {
+            type: String,
+            required: [true, 'A reason is required for budget transfers'],
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters'],
+        },
+        status: {
+            type: String,
+            enum: ['completed', 'reversed'],
+            default: 'completed',
+        },
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        reversedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reversedAt: {
+            type: Date,
+        },
+        reversalReason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+budgetTransferSchema.index({ fromDepartmentId: 1, createdAt: -1 });
+budgetTransferSchema.index({ toDepartmentId: 1, createdAt: -1 });
+budgetTransferSchema.index({ periodType: 1, year: 1, month: 1, quarter: 1 });
+
+const BudgetTransfer = mongoose.model('BudgetTransfer', budgetTransferSchema);
+
+export default BudgetTransfer;
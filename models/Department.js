@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
 
+// Allocations are stored per period in the Budget collection
 const departmentSchema = new mongoose.Schema(
     {
         name: {
@@ -17,31 +19,31 @@ const departmentSchema = new mongoose.Schema(
             trim: true,
             default: '',
         },
-        allocatedBudget: {
-            type: Number,
-            required: [true, 'Allocated budget is required'],
-            min: [0, 'Budget cannot be negative'],
-            default: 0,
-        },
-        spentBudget: {
-            type: Number,
-            min: [0, 'Spent budget cannot be negative'],
-            default: 0,
-        },
         status: {
             type: String,
             enum: ['Active', 'Inactive'],
             default: 'Active',
         },
-        month: {
-            type: Number,
-            min: 1,
-            max: 12,
+        // Parent in the cost-centre tree; top-level departments have none
+        parentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+            default: null,
         },
-        year: {
-            type: Number,
-            min: 2020,
-            max: 2100,
+        // IDs from the root down to the parent, so whole subtrees can be queried at once
+        ancestors: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+        }],
+        // Percentages of the monthly budget that trigger alerts.
+        // Unset uses BUDGET_ALERT_THRESHOLDS; an empty list turns alerts off.
+        alertThresholds: {
+            type: [Number],
+            default: undefined,
+            validate: {
+                validator: (thresholds) => thresholds.every((threshold) => threshold > 0 && threshold <= 1000),
+                message: 'Alert thresholds must be percentages between 0 and 1000',
+            },
         },
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -53,20 +55,10 @@ const departmentSchema = new mongoose.Schema(
     }
 );
 
-// Virtual for remaining budget
-departmentSchema.virtual('remainingBudget').get(function () {
-    return this.allocatedBudget - this.spentBudget;
-});
-
-// Virtual for usage percentage
-departmentSchema.virtual('usagePercentage').get(function () {
-    if (this.allocatedBudget === 0) return 0;
-    return Math.round((this.spentBudget / this.allocatedBudget) * 100);
-});
+departmentSchema.index({ parentId: 1 });
+departmentSchema.index({ ancestors: 1 });
 
-// Ensure virtuals are included in JSON
-departmentSchema.set('toJSON', { virtuals: true });
-departmentSchema.set('toObject', { virtuals: true });
+departmentSchema.plugin(softDelete);
 
 const Department = mongoose.model('Department', departmentSchema);
 
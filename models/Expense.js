@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import spendingRollup from './plugins/spendingRollup.js';
 
 const expenseSchema = new mongoose.Schema(
     {
@@ -44,15 +46,93 @@ const expenseSchema = new mongoose.Schema(
             ref: 'User',
             required: true,
         },
+        status: {
+            type: String,
+            enum: ['draft', 'submitted', 'approved', 'rejected'],
+            default: 'submitted',
+        },
+        // Role that must sign off, decided from the amount when submitted
+        requiredApproverRole: {
+            type: String,
+            enum: ['department_head', 'admin'],
+        },
+        submittedAt: {
+            type: Date,
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reviewedAt: {
+            type: Date,
+        },
+        reviewReason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters'],
+        },
+        // Set on expenses posted from a recurring template
+        recurringTemplateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RecurringExpense',
+        },
+        // Occurrence key (YYYY-MM-DD) of the template run that posted this expense
+        recurringOccurrence: {
+            type: String,
+        },
+        // Set by anomalyService when the expense is recorded or changed
+        anomaly: {
+            score: {
+                type: Number,
+                min: 0,
+                max: 100,
+            },
+            flagged: {
+                type: Boolean,
+            },
+            reasons: [{
+                _id: false,
+                type: {
+                    type: String,
+                    enum: ['amount_zscore', 'amount_iqr', 'category_mix_shift', 'possible_duplicate'],
+                },
+                message: String,
+            }],
+            // Expenses this one may duplicate
+            duplicateOf: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Expense',
+            }],
+            checkedAt: {
+                type: Date,
+            },
+        },
     },
     {
         timestamps: true,
+        // Saving an expense that changed since it was loaded fails instead of overwriting the other change.
+        // The spending rollups rely on this: each save moves the contribution the expense had when loaded.
+        optimisticConcurrency: true,
     }
 );
 
 // Index for faster queries
 expenseSchema.index({ departmentId: 1, date: -1 });
 expenseSchema.index({ createdBy: 1 });
+expenseSchema.index({ status: 1, date: -1 });
+// Serves the analytics aggregations, which match on date and status and group by department, month and category
+expenseSchema.index({ date: 1, status: 1, departmentId: 1, category: 1, amount: 1 });
+expenseSchema.index({ amount: -1 });
+expenseSchema.index({ description: 'text' });
+expenseSchema.index({ 'anomaly.flagged': 1, 'anomaly.score': -1 });
+// A template posts at most one expense per occurrence, even across restarts
+expenseSchema.index(
+    { recurringTemplateId: 1, recurringOccurrence: 1 },
+    { unique: true, partialFilterExpression: { recurringTemplateId: { $exists: true } } }
+);
+
+expenseSchema.plugin(softDelete);
+expenseSchema.plugin(spendingRollup);
 
 const Expense = mongoose.model('Expense', expenseSchema);
 
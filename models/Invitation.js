@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import { getRole } from '../services/permissionService.js';
+
+const invitationSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+            match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+        },
+        // Name of the Role the invitee will get
+        role: {
+            type: String,
+            required: [true, 'Role is required'],
+        },
+        // Required for department scoped roles (checked in the pre-validate hook)
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+        },
+        // SHA-256 of the invite token; the raw token is only sent to the invitee
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        acceptedAt: {
+            type: Date,
+        },
+        acceptedUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        revokedAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// The role must exist, and department scoped roles need a department
+invitationSchema.pre('validate', async function () {
+    if (!this.role || (!this.isNew && !this.isModified('role') && !this.isModified('departmentId'))) return;
+
+    const role = await getRole(this.role);
+    if (!role) {
+        this.invalidate('role', `Unknown role "${this.role}"`);
+    } else if (role.scope === 'department' && !this.departmentId) {
+        this.invalidate('departmentId', 'Department is required for this role');
+    }
+});
+
+// Pending, accepted, revoked or expired
+invitationSchema.virtual('status').get(function () {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt < new Date()) return 'expired';
+    return 'pending';
+});
+
+invitationSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+    },
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
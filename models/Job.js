@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+// Finished jobs are kept this long for the admin job list
+const RETENTION_DAYS = 30;
+
+const jobSchema = new mongoose.Schema(
+    {
+        // Handler name, e.g. monthly_report
+        type: {
+            type: String,
+            required: true,
+        },
+        // What the job works on, e.g. "3-2026"; at most one job per type and key is queued or running
+        key: {
+            type: String,
+            required: true,
+        },
+        params: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'succeeded', 'failed'],
+            default: 'queued',
+        },
+        // Earliest time the job may start; pushed back while requests keep coming in, and by retries
+        runAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // When the job was last queued; bounds how far further requests can push runAt back
+        queuedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+        },
+        // "<type>:<key>" while queued - dedupes repeated requests
+        queueKey: {
+            type: String,
+        },
+        // "<type>:<key>" while running - only one instance works on a key at a time
+        lockKey: {
+            type: String,
+        },
+        lockedBy: {
+            type: String,
+        },
+        lockedUntil: {
+            type: Date,
+        },
+        startedAt: {
+            type: Date,
+        },
+        finishedAt: {
+            type: Date,
+        },
+        lastError: {
+            type: String,
+        },
+        // One entry per failed attempt
+        failures: [{
+            _id: false,
+            attempt: Number,
+            message: String,
+            at: Date,
+        }],
+        // Handler result, e.g. the generated report's ID
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        // automatic (triggered by data changes) or manual (admin re-run)
+        trigger: {
+            type: String,
+            enum: ['automatic', 'manual'],
+            default: 'automatic',
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+jobSchema.index({ queueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ lockKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, key: 1, createdAt: -1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// In-app notification for one user
+const notificationSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+        },
+        // Dotted event name, e.g. budget.threshold
+        type: {
+            type: String,
+            required: [true, 'Notification type is required'],
+            trim: true,
+        },
+        title: {
+            type: String,
+            required: [true, 'Title is required'],
+            trim: true,
+        },
+        message: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+        },
+        // Event specific details, e.g. the threshold and spending figures
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        readAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
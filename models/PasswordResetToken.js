@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const passwordResetTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // SHA-256 of the token; the raw token is only sent to the user's email address
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // Set when the token is redeemed or superseded, so each token works once
+        usedAt: {
+            type: Date,
+        },
+        requestedByIp: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+// MongoDB removes expired tokens on its own
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+export default PasswordResetToken;
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+const recurringExpenseSchema = new mongoose.Schema(
+    {
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+            required: [true, 'Department is required'],
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [0, 'Amount cannot be negative'],
+        },
+        category: {
+            type: String,
+            required: [true, 'Category is required'],
+            trim: true,
+            enum: [
+                'Salaries',
+                'Office Supplies',
+                'Marketing',
+                'Travel',
+                'Equipment',
+                'Software',
+                'Utilities',
+                'Training',
+                'Consulting',
+                'Other',
+            ],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+        },
+        cadence: {
+            type: String,
+            enum: ['monthly', 'quarterly', 'yearly'],
+            required: [true, 'Cadence is required'],
+        },
+        // The first occurrence; later ones fall on the same day of the month
+        startDate: {
+            type: Date,
+            required: [true, 'Start date is required'],
+        },
+        endDate: {
+            type: Date,
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        // Occurrence keys (YYYY-MM-DD) that should not be posted
+        skippedOccurrences: {
+            type: [String],
+            default: [],
+        },
+        // Latest occurrence already materialised, so the scheduler can resume from it
+        lastOccurrenceDate: {
+            type: Date,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Checked on every validation, as an update may move either date alone
+recurringExpenseSchema.pre('validate', function () {
+    if (this.endDate && this.startDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date must be on or after the start date');
+    }
+});
+
+recurringExpenseSchema.index({ active: 1 });
+recurringExpenseSchema.index({ departmentId: 1 });
+
+const RecurringExpense = mongoose.model('RecurringExpense', recurringExpenseSchema);
+
+export default RecurringExpense;
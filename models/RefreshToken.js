@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // SHA-256 of the token; the raw token is only ever held by the client
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Tokens rotated from the same login share a family, so reuse can revoke the whole chain
+        family: {
+            type: String,
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+        },
+        replacedByHash: {
+            type: String,
+        },
+        createdByIp: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Whether a permission string is "*", a known permission or "<known resource>:*"
+ */
+const isValidPermission = (permission) => {
+    if (permission === '*' || PERMISSIONS[permission]) return true;
+
+    const [resource, action] = permission.split(':');
+    return action === '*' && Object.keys(PERMISSIONS).some((key) => key.startsWith(`${resource}:`));
+};
+
+const roleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Role name is required'],
+            unique: true,
+            trim: true,
+            lowercase: true,
+            match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores'],
+        },
+        label: {
+            type: String,
+            required: [true, 'Role label is required'],
+            trim: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+        },
+        permissions: {
+            type: [String],
+            default: [],
+            validate: {
+                validator: (permissions) => permissions.every(isValidPermission),
+                message: (props) => `Unknown permission in [${props.value.join(', ')}]`,
+            },
+        },
+        // Department scoped roles only see and act on their own department's data
+        scope: {
+            type: String,
+            enum: ['all', 'department'],
+            default: 'department',
+        },
+        // Built-in roles can be edited but not deleted
+        system: {
+            type: Boolean,
+            default: false,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
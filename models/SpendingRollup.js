@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Materialised spending per department, category, calendar month and status.
+ * Kept in step with expense writes by the spendingRollup plugin, rebuilt by rollupService.
+ */
+const spendingRollupSchema = new mongoose.Schema(
+    {
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+            required: true,
+        },
+        category: {
+            type: String,
+            required: true,
+        },
+        year: {
+            type: Number,
+            required: true,
+        },
+        month: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 12,
+        },
+        // approved also covers expenses recorded before the approval workflow, which have no status;
+        // submitted is committed spend awaiting approval
+        status: {
+            type: String,
+            enum: ['approved', 'submitted'],
+            required: true,
+        },
+        total: {
+            type: Number,
+            default: 0,
+        },
+        count: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+spendingRollupSchema.index({ departmentId: 1, category: 1, year: 1, month: 1, status: 1 }, { unique: true });
+spendingRollupSchema.index({ year: 1, month: 1, status: 1 });
+
+const SpendingRollup = mongoose.model('SpendingRollup', spendingRollupSchema);
+
+export default SpendingRollup;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import RefreshToken from './RefreshToken.js';
+import { getRole } from '../services/permissionService.js';
 
 const userSchema = new mongoose.Schema(
     {
@@ -22,18 +24,60 @@ const userSchema = new mongoose.Schema(
             minlength: [6, 'Password must be at least 6 characters'],
             select: false,
         },
+        // Name of a Role; its permissions and data scope are loaded at request time
         role: {
             type: String,
-            enum: ['admin', 'department_head'],
             default: 'department_head',
             required: true,
         },
+        // Primary department, always one of the memberships.
+        // Required for department scoped roles (checked in the pre-validate hook)
         departmentId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Department',
-            required: function () {
-                return this.role === 'department_head';
+        },
+        // Departments the user belongs to, each with the role they hold there
+        memberships: [
+            {
+                _id: false,
+                departmentId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Department',
+                    required: true,
+                },
+                role: {
+                    type: String,
+                    required: true,
+                },
             },
+        ],
+        // Deactivated users cannot log in or use existing tokens
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        deactivatedAt: {
+            type: Date,
+        },
+        deactivatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        // Consecutive failed logins; the account is locked once it reaches the limit
+        failedLoginAttempts: {
+            type: Number,
+            default: 0,
+        },
+        lockUntil: {
+            type: Date,
+        },
+        passwordChangedAt: {
+            type: Date,
+        },
+        // Incremented to invalidate every access token issued so far
+        tokenVersion: {
+            type: Number,
+            default: 0,
         },
     },
     {
@@ -41,6 +85,42 @@ const userSchema = new mongoose.Schema(
     }
 );
 
+// Keep the primary department and the memberships consistent
+userSchema.pre('validate', function () {
+    const isMember = (departmentId) => this.memberships.some((membership) => membership.departmentId.equals(departmentId));
+
+    if (this.departmentId && !isMember(this.departmentId)) {
+        if (this.isModified('memberships') && this.memberships.length > 0) {
+            // The memberships were replaced - the primary department follows them
+            this.departmentId = this.memberships[0].departmentId;
+        } else {
+            this.memberships.unshift({ departmentId: this.departmentId, role: this.role });
+        }
+    }
+
+    if (!this.departmentId && this.memberships.length > 0) {
+        this.departmentId = this.memberships[0].departmentId;
+    }
+});
+
+// The roles must exist, and department scoped roles need a department
+userSchema.pre('validate', async function () {
+    if (!this.role || (!this.isNew && !this.isModified('role') && !this.isModified('departmentId') && !this.isModified('memberships'))) return;
+
+    const role = await getRole(this.role);
+    if (!role) {
+        this.invalidate('role', `Unknown role "${this.role}"`);
+    } else if (role.scope === 'department' && !this.departmentId) {
+        this.invalidate('departmentId', 'Department is required for this role');
+    }
+
+    for (const [index, membership] of this.memberships.entries()) {
+        if (!(await getRole(membership.role))) {
+            this.invalidate(`memberships.${index}.role`, `Unknown role "${membership.role}"`);
+        }
+    }
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
@@ -49,14 +129,40 @@ userSchema.pre('save', async function (next) {
 
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
+    next();
+});
+
+// Changing a user's role, departments or password signs them out everywhere
+userSchema.pre('save', function (next) {
+    const changed = ['role', 'departmentId', 'memberships', 'password'].some((path) => this.isModified(path));
+    if (!this.isNew && changed) {
+        this.tokenVersion = (this.tokenVersion || 0) + 1;
+        this.$locals.revokeSessions = true;
+    }
     next();
 });
 
+userSchema.post('save', async function () {
+    if (this.$locals.revokeSessions) {
+        this.$locals.revokeSessions = false;
+        await RefreshToken.updateMany(
+            { userId: this._id, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+    }
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the account is currently locked after too many failed logins
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
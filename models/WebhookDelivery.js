@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// One event sent (or being sent) to one subscription, with the outcome of the latest attempt
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        subscriptionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WebhookSubscription',
+            required: true,
+        },
+        event: {
+            type: String,
+            required: true,
+        },
+        // Body sent to the receiver, without the signature
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        // pending: not tried yet, retrying: waiting for nextAttemptAt, succeeded / failed: final
+        status: {
+            type: String,
+            enum: ['pending', 'retrying', 'succeeded', 'failed'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        nextAttemptAt: {
+            type: Date,
+        },
+        lastAttemptAt: {
+            type: Date,
+        },
+        responseStatus: {
+            type: Number,
+        },
+        // Truncated response body or error message of the latest attempt
+        responseBody: {
+            type: String,
+        },
+        error: {
+            type: String,
+        },
+        durationMs: {
+            type: Number,
+        },
+        // Set on deliveries created by replaying an earlier one
+        replayOf: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WebhookDelivery',
+        },
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
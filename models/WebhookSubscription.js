@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { isValidEventPattern } from '../config/webhookEvents.js';
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+    {
+        url: {
+            type: String,
+            required: [true, 'Webhook URL is required'],
+            trim: true,
+            match: [/^https?:\/\/\S+$/, 'Webhook URL must start with http:// or https://'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        // Shared secret for the HMAC signature; only returned when created or rotated
+        secret: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        events: {
+            type: [String],
+            validate: {
+                validator: (events) => events.length > 0 && events.every(isValidEventPattern),
+                message: (props) => `Unknown webhook event in [${props.value.join(', ')}]`,
+            },
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookSubscriptionSchema.index({ active: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+export default WebhookSubscription;
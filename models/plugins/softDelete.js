@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * Soft delete plugin.
+ * Adds deletedAt/deletedBy and hides deleted documents from every find, count and
+ * aggregate unless the query filters on deletedAt itself (as the trash routes do).
+ */
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    // deletedAt: null also matches documents created before the field existed
+    function excludeDeleted() {
+        if (this.getFilter().deletedAt === undefined) {
+            this.where({ deletedAt: null });
+        }
+    }
+
+    schema.pre(
+        ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'],
+        excludeDeleted
+    );
+
+    schema.pre('aggregate', function () {
+        const [firstStage] = this.pipeline();
+        if (firstStage?.$match?.deletedAt !== undefined) return;
+
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+
+    schema.methods.softDelete = function (userId) {
+        this.deletedAt = new Date();
+        this.deletedBy = userId;
+        return this.save();
+    };
+
+    schema.methods.restore = function () {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this.save();
+    };
+};
+
+export default softDelete;
@@ -0,0 +1,112 @@
+import SpendingRollup from '../SpendingRollup.js';
+
+/**
+ * Spending rollup plugin.
+ * Every save and insertMany moves the expense's contribution (its amount and a count of one)
+ * from the rollup it was counted in to the one it now belongs to, so creating, editing,
+ * moving, approving, deleting and restoring expenses all keep the rollups current.
+ * Approved (or status-less) and submitted expenses are counted; drafts, rejected and deleted ones aren't.
+ * The contribution before a save is the one the expense had when loaded, so the schema needs
+ * optimisticConcurrency: a save racing another change then fails rather than moving a stale contribution.
+ * Bulk updates bypass these hooks and need a rebuild (see rollupService).
+ * Failures are logged rather than failing the write; the consistency check reports any drift.
+ */
+
+/**
+ * Rollup an expense counts towards, and its amount
+ * @returns {Object|null} - { key: { departmentId, category, year, month, status }, amount }, or null when not counted
+ */
+export const getRollupContribution = (expense) => {
+    if (expense.deletedAt) return null;
+
+    let status = null;
+    if (!expense.status || expense.status === 'approved') status = 'approved';
+    if (expense.status === 'submitted') status = 'submitted';
+    if (!status) return null;
+
+    // Months follow the server's time zone, like the analytics date ranges
+    const date = new Date(expense.date);
+
+    return {
+        key: {
+            departmentId: expense.departmentId?._id || expense.departmentId,
+            category: expense.category,
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            status,
+        },
+        amount: expense.amount,
+    };
+};
+
+const isSameRollup = (a, b) => a.departmentId.toString() === b.departmentId.toString()
+    && a.category === b.category
+    && a.year === b.year
+    && a.month === b.month
+    && a.status === b.status;
+
+/**
+ * Move an expense's contribution between rollups
+ * @param {Object|null} before - Contribution before the write
+ * @param {Object|null} after - Contribution after the write
+ */
+export const applyRollupChange = async (before, after) => {
+    if (before && after && isSameRollup(before.key, after.key)) {
+        if (before.amount !== after.amount) {
+            const { matchedCount } = await SpendingRollup.updateOne(before.key, { $inc: { total: after.amount - before.amount } });
+            // The rollup went missing (drift or a partial rebuild): count the expense afresh; the check reports the rest
+            if (matchedCount === 0) {
+                await SpendingRollup.updateOne(after.key, { $inc: { total: after.amount, count: 1 } }, { upsert: true });
+            }
+        }
+        return;
+    }
+
+    if (before) {
+        await SpendingRollup.updateOne(before.key, { $inc: { total: -before.amount, count: -1 } });
+        await SpendingRollup.deleteOne({ ...before.key, count: { $lte: 0 } });
+    }
+
+    if (after) {
+        await SpendingRollup.updateOne(after.key, { $inc: { total: after.amount, count: 1 } }, { upsert: true });
+    }
+};
+
+const spendingRollup = (schema) => {
+    // Remember what a loaded expense counts towards, so the next save can move it
+    schema.post('init', function () {
+        this.$locals.rollupContribution = getRollupContribution(this);
+    });
+
+    schema.post('save', async function () {
+        const after = getRollupContribution(this);
+
+        try {
+            await applyRollupChange(this.$locals.rollupContribution || null, after);
+            this.$locals.rollupContribution = after;
+        } catch (error) {
+            console.error(`❌ Failed to update spending rollups for expense ${this._id}:`, error);
+        }
+    });
+
+    // Purged expenses were soft deleted first and count towards nothing; this covers any other hard delete
+    schema.post('deleteOne', { document: true, query: false }, async function () {
+        try {
+            await applyRollupChange(this.$locals.rollupContribution || null, null);
+        } catch (error) {
+            console.error(`❌ Failed to update spending rollups for expense ${this._id}:`, error);
+        }
+    });
+
+    schema.post('insertMany', async function (docs) {
+        for (const doc of docs) {
+            try {
+                await applyRollupChange(null, getRollupContribution(doc));
+            } catch (error) {
+                console.error(`❌ Failed to update spending rollups for expense ${doc._id}:`, error);
+            }
+        }
+    });
+};
+
+export default spendingRollup;
@@ -5,26 +5,30 @@ import {
     getReportById,
     deleteReport,
     generateGlobalAI,
+    getLLMUsage,
     reportValidation,
 } from '../controllers/aiReportController.js';
-import { verifyToken, isAdmin } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(verifyToken);
 
-// Global Analysis (admin only)
-router.post('/analyze', isAdmin, generateGlobalAI);
+// Global Analysis
+router.post('/analyze', requirePermission('report:generate'), generateGlobalAI);
 
-// Generate report (admin only)
-router.post('/generate', isAdmin, reportValidation, generateReport);
+// Generate report
+router.post('/generate', requirePermission('report:generate'), reportValidation, generateReport);
+
+// Token usage of the AI provider
+router.get('/usage', requirePermission('report:generate'), getLLMUsage);
 
 // Get reports (accessible to all authenticated users)
-router.get('/', getAllReports);
-router.get('/:id', getReportById);
+router.get('/', requirePermission('report:read'), getAllReports);
+router.get('/:id', requirePermission('report:read'), getReportById);
 
-// Delete report (admin only)
-router.delete('/:id', isAdmin, deleteReport);
+// Delete report
+router.delete('/:id', requirePermission('report:delete'), deleteReport);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getForecast,
+    getTrend,
+    checkRollups,
+    rebuildRollups,
+    forecastValidation,
+    trendValidation,
+    rollupCheckValidation,
+} from '../controllers/analyticsController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Spending forecast
+router.get('/forecast', requirePermission('forecast:read'), forecastValidation, getForecast);
+
+// Budget against actual over a date range
+router.get('/trend', requirePermission('budget:read'), trendValidation, getTrend);
+
+// Materialised spending rollups
+router.get('/rollups/check', requirePermission('rollup:manage'), rollupCheckValidation, checkRollups);
+router.post('/rollups/rebuild', requirePermission('rollup:manage'), rebuildRollups);
+
+export default router;
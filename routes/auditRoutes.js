@@ -0,0 +1,13 @@
+import express from 'express';
+import { getAuditLogs, exportAuditLogs } from '../controllers/auditController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require audit log access
+router.use(verifyToken, requirePermission('audit:read'));
+
+router.get('/export/csv', exportAuditLogs);
+router.get('/', getAuditLogs);
+
+export default router;
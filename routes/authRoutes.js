@@ -1,5 +1,21 @@
 import express from 'express';
-import { register, login, getMe, registerValidation, loginValidation } from '../controllers/authController.js';
+import {
+    register,
+    login,
+    getMe,
+    refresh,
+    logout,
+    logoutAll,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    registerValidation,
+    loginValidation,
+    refreshTokenValidation,
+    changePasswordValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+} from '../controllers/authController.js';
 import { verifyToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -7,8 +23,14 @@ const router = express.Router();
 // Public routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
+router.post('/refresh', refreshTokenValidation, refresh);
+router.post('/logout', refreshTokenValidation, logout);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
 
 // Protected routes
 router.get('/me', verifyToken, getMe);
+router.post('/logout-all', verifyToken, logoutAll);
+router.post('/change-password', verifyToken, changePasswordValidation, changePassword);
 
 export default router;
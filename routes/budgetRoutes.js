@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    createBudget,
+    getAllBudgets,
+    getBudgetById,
+    getBudgetHistory,
+    updateBudget,
+    adjustBudget,
+    deleteBudget,
+    budgetValidation,
+    budgetUpdateValidation,
+    budgetAdjustmentValidation,
+} from '../controllers/budgetController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Read routes (department heads are scoped to their own department)
+router.get('/', requirePermission('budget:read'), getAllBudgets);
+router.get('/:id', requirePermission('budget:read'), getBudgetById);
+router.get('/:id/history', requirePermission('budget:read'), getBudgetHistory);
+
+// Management routes
+router.post('/', requirePermission('budget:manage'), budgetValidation, createBudget);
+router.post('/adjust', requirePermission('budget:manage'), budgetAdjustmentValidation, adjustBudget);
+router.put('/:id', requirePermission('budget:manage'), budgetUpdateValidation, updateBudget);
+router.delete('/:id', requirePermission('budget:manage'), deleteBudget);
+
+export default router;
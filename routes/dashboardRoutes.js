@@ -1,16 +1,16 @@
 import express from 'express';
 import { getAdminDashboard, getDepartmentDashboard } from '../controllers/dashboardController.js';
-import { verifyToken, isAdmin, isDepartmentHead } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(verifyToken);
 
-// Admin dashboard
-router.get('/admin', isAdmin, getAdminDashboard);
+// Organisation-wide dashboard
+router.get('/admin', requirePermission('dashboard:organisation'), getAdminDashboard);
 
-// Department head dashboard
-router.get('/department', isDepartmentHead, getDepartmentDashboard);
+// Own-department dashboard
+router.get('/department', requirePermission('dashboard:department'), getDepartmentDashboard);
 
 export default router;
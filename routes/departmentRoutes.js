@@ -2,24 +2,29 @@ import express from 'express';
 import {
     createDepartment,
     getAllDepartments,
+    getDepartmentTree,
     getDepartmentById,
     updateDepartment,
     deleteDepartment,
     addBudget,
     departmentValidation,
+    updateAlertThresholds,
+    alertThresholdsValidation,
 } from '../controllers/departmentController.js';
-import { verifyToken, isAdmin } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Public routes (no authentication required) - for registration page
-router.get('/', getAllDepartments);
-router.get('/:id', getDepartmentById);
+// Read routes (authentication required - registration now gets its department from the invitation)
+router.get('/', verifyToken, requirePermission('department:read'), getAllDepartments);
+router.get('/tree', verifyToken, requirePermission('department:read'), getDepartmentTree);
+router.get('/:id', verifyToken, requirePermission('department:read'), getDepartmentById);
 
-// Admin-only routes (authentication + admin role required)
-router.post('/', verifyToken, isAdmin, departmentValidation, createDepartment);
-router.put('/:id', verifyToken, isAdmin, updateDepartment);
-router.put('/:id/add-budget', verifyToken, isAdmin, addBudget);
-router.delete('/:id', verifyToken, isAdmin, deleteDepartment);
+// Management routes
+router.post('/', verifyToken, requirePermission('department:manage'), departmentValidation, createDepartment);
+router.put('/:id', verifyToken, requirePermission('department:manage'), updateDepartment);
+router.put('/:id/add-budget', verifyToken, requirePermission('budget:manage'), addBudget);
+router.put('/:id/alert-thresholds', verifyToken, requirePermission('alert:manage'), alertThresholdsValidation, updateAlertThresholds);
+router.delete('/:id', verifyToken, requirePermission('department:manage'), deleteDepartment);
 
 export default router;
@@ -2,27 +2,47 @@ import express from 'express';
 import {
     createExpense,
     getAllExpenses,
+    getExpenseAnomalies,
     getExpenseById,
     updateExpense,
     deleteExpense,
     exportExpenses,
+    importExpenses,
+    submitExpense,
+    approveExpense,
+    rejectExpense,
     expenseValidation,
+    expenseListValidation,
+    anomalyListValidation,
+    rejectionValidation,
 } from '../controllers/expenseController.js';
-import { verifyToken, isAdmin } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(verifyToken);
 
-// Export route (admin only)
-router.get('/export/csv', isAdmin, exportExpenses);
+// Export routes
+router.get('/export', requirePermission('expense:export'), exportExpenses);
+router.get('/export/:format', requirePermission('expense:export'), exportExpenses);
+
+// Bulk import (raw CSV body or JSON { csv })
+router.post('/import', requirePermission('expense:import'), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), importExpenses);
+
+// Expenses flagged by anomaly detection
+router.get('/anomalies', requirePermission('expense:read'), anomalyListValidation, getExpenseAnomalies);
 
 // CRUD routes
-router.post('/', expenseValidation, createExpense);
-router.get('/', getAllExpenses);
-router.get('/:id', getExpenseById);
-router.put('/:id', updateExpense);
-router.delete('/:id', deleteExpense);
+router.post('/', requirePermission('expense:create'), expenseValidation, createExpense);
+router.get('/', requirePermission('expense:read'), expenseListValidation, getAllExpenses);
+router.get('/:id', requirePermission('expense:read'), getExpenseById);
+router.put('/:id', requirePermission('expense:update'), updateExpense);
+router.delete('/:id', requirePermission('expense:delete'), deleteExpense);
+
+// Approval workflow
+router.put('/:id/submit', requirePermission('expense:create'), submitExpense);
+router.put('/:id/approve', approveExpense);
+router.put('/:id/reject', rejectionValidation, rejectExpense);
 
 export default router;
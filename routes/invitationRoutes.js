@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    createInvitation,
+    getAllInvitations,
+    verifyInvitation,
+    revokeInvitation,
+    invitationValidation,
+} from '../controllers/invitationController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public route - used by the registration page
+router.get('/verify/:token', verifyInvitation);
+
+// Management routes
+router.post('/', verifyToken, requirePermission('user:manage'), invitationValidation, createInvitation);
+router.get('/', verifyToken, requirePermission('user:manage'), getAllInvitations);
+router.delete('/:id', verifyToken, requirePermission('user:manage'), revokeInvitation);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    getJobs,
+    getJobById,
+    rerunJob,
+    queueReportJob,
+    reportJobValidation,
+} from '../controllers/jobController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require job management access
+router.use(verifyToken, requirePermission('job:manage'));
+
+router.get('/', getJobs);
+router.post('/reports', reportJobValidation, queueReportJob);
+router.get('/:id', getJobById);
+router.post('/:id/rerun', rerunJob);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markNotificationUnread,
+    markAllNotificationsRead,
+    sendTestNotification,
+    testNotificationValidation,
+} from '../controllers/notificationController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every user manages their own notifications
+router.use(verifyToken);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.patch('/read-all', markAllNotificationsRead);
+router.patch('/:id/read', markNotificationRead);
+router.patch('/:id/unread', markNotificationUnread);
+router.post('/test', requirePermission('alert:manage'), testNotificationValidation, sendTestNotification);
+
+export default router;
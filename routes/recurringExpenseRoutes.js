@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    createRecurringExpense,
+    getAllRecurringExpenses,
+    getRecurringExpenseById,
+    updateRecurringExpense,
+    skipOccurrence,
+    deleteRecurringExpense,
+    runRecurringExpenses,
+    recurringExpenseValidation,
+    recurringExpenseUpdateValidation,
+    skipValidation,
+} from '../controllers/recurringExpenseController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Trigger posting of due occurrences
+router.post('/run', requirePermission('recurring:run'), runRecurringExpenses);
+
+// CRUD routes
+router.post('/', requirePermission('recurring:manage'), recurringExpenseValidation, createRecurringExpense);
+router.get('/', requirePermission('recurring:read'), getAllRecurringExpenses);
+router.get('/:id', requirePermission('recurring:read'), getRecurringExpenseById);
+router.put('/:id', requirePermission('recurring:manage'), recurringExpenseUpdateValidation, updateRecurringExpense);
+router.put('/:id/skip', requirePermission('recurring:manage'), skipValidation, skipOccurrence);
+router.delete('/:id', requirePermission('recurring:manage'), deleteRecurringExpense);
+
+export default router;
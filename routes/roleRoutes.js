@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+    getAllRoles,
+    getPermissions,
+    createRole,
+    updateRole,
+    deleteRole,
+    roleValidation,
+    roleUpdateValidation,
+} from '../controllers/roleController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.get('/', getAllRoles);
+router.get('/permissions', getPermissions);
+
+// Management routes
+router.post('/', requirePermission('role:manage'), roleValidation, createRole);
+router.put('/:id', requirePermission('role:manage'), roleUpdateValidation, updateRole);
+router.delete('/:id', requirePermission('role:manage'), deleteRole);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+    createTransfer,
+    getAllTransfers,
+    getTransferById,
+    reverseTransfer,
+    transferValidation,
+    reversalValidation,
+} from '../controllers/transferController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.post('/', requirePermission('transfer:manage'), transferValidation, createTransfer);
+router.get('/', requirePermission('transfer:read'), getAllTransfers);
+router.get('/:id', requirePermission('transfer:read'), getTransferById);
+router.put('/:id/reverse', requirePermission('transfer:manage'), reversalValidation, reverseTransfer);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getTrash, restoreExpense, restoreDepartment, purgeTrash } from '../controllers/trashController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require trash access
+router.use(verifyToken, requirePermission('trash:manage'));
+
+router.get('/', getTrash);
+router.put('/expenses/:id/restore', restoreExpense);
+router.put('/departments/:id/restore', restoreDepartment);
+router.delete('/purge', purgeTrash);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    getAllUsers,
+    getUserById,
+    updateUser,
+    deactivateUser,
+    activateUser,
+    userUpdateValidation,
+} from '../controllers/userController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require user management access
+router.use(verifyToken, requirePermission('user:manage'));
+
+router.get('/', getAllUsers);
+router.get('/:id', getUserById);
+router.put('/:id', userUpdateValidation, updateUser);
+router.put('/:id/deactivate', deactivateUser);
+router.put('/:id/activate', activateUser);
+
+export default router;
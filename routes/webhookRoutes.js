@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+    getWebhookEvents,
+    getWebhooks,
+    getWebhookById,
+    createWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+    pingWebhook,
+    getWebhookDeliveries,
+    getWebhookDeliveryById,
+    replayWebhookDelivery,
+    webhookValidation,
+    webhookUpdateValidation,
+} from '../controllers/webhookController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require webhook management access
+router.use(verifyToken, requirePermission('webhook:manage'));
+
+router.get('/events', getWebhookEvents);
+router.get('/deliveries/:deliveryId', getWebhookDeliveryById);
+router.post('/deliveries/:deliveryId/replay', replayWebhookDelivery);
+
+router.get('/', getWebhooks);
+router.post('/', webhookValidation, createWebhook);
+router.get('/:id', getWebhookById);
+router.put('/:id', webhookUpdateValidation, updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.post('/:id/rotate-secret', rotateWebhookSecret);
+router.post('/:id/ping', pingWebhook);
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+export default router;
@@ -0,0 +1,43 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { seedDefaultRoles } from '../services/permissionService.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+
+/**
+ * Create the first admin account of a fresh installation.
+ * Registration always needs an invitation, so this is how the admin who sends
+ * them gets in. Reads ADMIN_NAME, ADMIN_EMAIL and ADMIN_PASSWORD from the
+ * environment and refuses to run once an admin exists.
+ */
+const createAdmin = async () => {
+    const { ADMIN_NAME: name, ADMIN_EMAIL: email, ADMIN_PASSWORD: password } = process.env;
+    if (!name || !email || !password) {
+        throw new Error('ADMIN_NAME, ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    }
+
+    const problems = validatePassword(password, { email });
+    if (problems.length > 0) {
+        throw new Error(problems.join('. '));
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    await seedDefaultRoles();
+
+    if (await User.exists({ role: 'admin' })) {
+        throw new Error('An admin already exists - invite further users from the app');
+    }
+    if (await User.exists({ email: email.toLowerCase() })) {
+        throw new Error(`A user with email ${email} already exists`);
+    }
+
+    const user = await User.create({ name, email, password, role: 'admin' });
+    console.log(`✅ Admin created: ${user.email} (${user._id})`);
+
+    await mongoose.disconnect();
+};
+
+createAdmin().catch((error) => {
+    console.error('❌ Admin creation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Department from '../models/Department.js';
+import Budget from '../models/Budget.js';
+
+/**
+ * One-off migration: move the legacy allocatedBudget/month/year fields off
+ * Department documents into the Budget collection.
+ * Departments with a month/year become monthly budgets, a year alone becomes a
+ * fiscal-year budget, and undated allocations are assigned to the current month.
+ */
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Read raw documents - the legacy fields are no longer part of the schema
+    const departments = await Department.collection
+        .find({ allocatedBudget: { $exists: true } })
+        .toArray();
+
+    const currentDate = new Date();
+    let created = 0;
+    let skipped = 0;
+
+    for (const dept of departments) {
+        let period;
+        if (dept.month && dept.year) {
+            period = { periodType: 'monthly', year: dept.year, month: dept.month };
+        } else if (dept.year) {
+            period = { periodType: 'fiscal_year', year: dept.year };
+        } else {
+            period = { periodType: 'monthly', year: currentDate.getFullYear(), month: currentDate.getMonth() + 1 };
+        }
+
+        const exists = await Budget.exists({ departmentId: dept._id, ...period });
+        if (exists) {
+            skipped++;
+            continue;
+        }
+
+        await Budget.create({
+            departmentId: dept._id,
+            ...period,
+            amount: dept.allocatedBudget || 0,
+            createdBy: dept.createdBy,
+            history: [{
+                action: 'allocated',
+                amount: dept.allocatedBudget || 0,
+                previousAmount: 0,
+                newAmount: dept.allocatedBudget || 0,
+                reason: 'Migrated from department allocation',
+                performedBy: dept.createdBy,
+            }],
+        });
+        created++;
+    }
+
+    await Department.collection.updateMany(
+        {},
+        { $unset: { allocatedBudget: '', spentBudget: '', month: '', year: '' } }
+    );
+
+    console.log(`✅ Budget migration complete: ${created} created, ${skipped} already present`);
+    await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+    console.error('❌ Budget migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,26 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { rebuildSpendingRollups, checkSpendingRollups } from '../services/rollupService.js';
+
+/**
+ * Recompute the materialised spending rollups from the expenses, e.g. to backfill
+ * them after upgrading or after bulk changes made directly in the database.
+ */
+const rebuild = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { rollups, removed } = await rebuildSpendingRollups();
+    console.log(`✅ Spending rollups rebuilt: ${rollups} rollups, ${removed} stale removed`);
+
+    const { consistent, mismatchCount } = await checkSpendingRollups();
+    if (!consistent) {
+        console.warn(`⚠️ ${mismatchCount} rollup(s) still differ from the expenses - were expenses written during the rebuild?`);
+    }
+
+    await mongoose.disconnect();
+};
+
+rebuild().catch((error) => {
+    console.error('❌ Spending rollup rebuild failed:', error);
+    process.exit(1);
+});
@@ -9,12 +9,29 @@ import departmentRoutes from './routes/departmentRoutes.js';
 import expenseRoutes from './routes/expenseRoutes.js';
 import aiReportRoutes from './routes/aiReportRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
+import budgetRoutes from './routes/budgetRoutes.js';
+import transferRoutes from './routes/transferRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import trashRoutes from './routes/trashRoutes.js';
+import recurringExpenseRoutes from './routes/recurringExpenseRoutes.js';
+import invitationRoutes from './routes/invitationRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import { startRecurringExpenseScheduler } from './services/recurringExpenseService.js';
+import { startWebhookRetryScheduler } from './services/webhookService.js';
+import { startJobWorker } from './services/jobService.js';
+import { seedDefaultRoles } from './services/permissionService.js';
+import { ensureSpendingRollups } from './services/rollupService.js';
 
 // Initialize Express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, make sure the built-in roles exist and backfill the spending rollups if needed
+connectDB().then(seedDefaultRoles).then(ensureSpendingRollups);
 
 // Middleware
 app.use(cors());
@@ -44,6 +61,18 @@ app.use('/api/departments', departmentRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/ai-reports', aiReportRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/budget-transfers', transferRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/recurring-expenses', recurringExpenseRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -70,6 +99,11 @@ app.listen(PORT, () => {
     console.log(`\n🚀 Server running on port ${PORT}`);
     console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/health\n`);
+
+    // Background jobs
+    startRecurringExpenseScheduler();
+    startWebhookRetryScheduler();
+    startJobWorker();
 });
 
 export default app;
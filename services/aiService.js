@@ -1,11 +1,79 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { generateStructured, toLLMUsage } from './llmService.js';
+import { ADHOC_ANALYSIS_SCHEMA, DEPARTMENT_ANALYSIS_SCHEMA, PROMPT_VERSIONS } from '../config/aiSchemas.js';
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const getRiskLevel = (percentageUsed) => (percentageUsed > 90 ? 'High' : percentageUsed > 75 ? 'Medium' : 'Low');
 
 /**
- * Generate financial analysis using Gemini AI
- * @param {Object} departmentData - Financial data for analysis
+ * Analysis derived from the figures alone; used when no valid model answer comes back
+ * and as the mock provider's answer
+ */
+const buildFallbackAnalysis = ({ departmentName, allocatedBudget, percentageUsed }) => ({
+    summary: `The ${departmentName} department has spent ${percentageUsed.toFixed(2)}% of its allocated budget of $${allocatedBudget.toLocaleString()}.`,
+    riskLevel: getRiskLevel(percentageUsed),
+    recommendations: [
+        'Monitor spending closely to stay within budget',
+        'Review expense categories for optimization opportunities',
+        'Plan ahead for upcoming expenses',
+    ],
+});
+
+const buildFallbackGlobalAnalysis = ({ percentageUsed, departmentBreakdown }) => ({
+    summary: `The company has spent ${percentageUsed.toFixed(2)}% of the total budget.`,
+    risks: departmentBreakdown
+        .filter(d => d.percentageUsed > 75)
+        .map(d => ({
+            department: d.departmentName,
+            riskLevel: d.percentageUsed > 90 ? 'High' : 'Medium',
+            reason: `Utilization at ${d.percentageUsed.toFixed(1)}%`
+        })),
+    suggestions: ['Review high-spending departments', 'Optimize budget allocation'],
+    optimizationTips: ['Analyze recurring expenses', 'Negotiate vendor contracts']
+});
+
+/**
+ * Forecast lines for a prompt, so the model reasons from projected figures instead of inventing them
+ * @param {Object} forecast - Result of getSpendingForecast
+ */
+export const describeForecast = ({ total, method }) => {
+    const range = `${Math.round(method.confidenceLevel * 100)}% range`;
+    const describe = ({ projected, low, high }) =>
+        `$${projected.toLocaleString()} (${range} $${low.toLocaleString()} to $${high.toLocaleString()})`;
+
+    return [
+        `- Projected Month-End Spend: ${describe(total.monthEnd)}`,
+        `- Projected Next Month Spend: ${describe(total.nextMonth)}`,
+        `- Projected Fiscal Year-End Spend: ${describe(total.yearEnd)}`,
+        `- Recurring Costs Still Scheduled This Month: $${total.monthEnd.upcomingRecurring.toLocaleString()}`,
+    ].join('\n');
+};
+
+/**
+ * Ask for an analysis matching a schema, falling back to figures-only data when the answer stays invalid.
+ * Request failures (network, provider errors) are thrown.
+ * @returns {Object} - { data, usage, isFallback, fallbackReason, promptVersion }
+ */
+export const runStructuredAnalysis = async (prompt, schema, promptVersion, buildFallback) => {
+    try {
+        const result = await generateStructured(prompt, schema, { mockResponse: buildFallback });
+        return { data: result.data, usage: toLLMUsage(result), isFallback: false, promptVersion };
+    } catch (error) {
+        if (!error.validationErrors) throw error;
+
+        console.error(`Invalid AI answer for ${schema.$id}, using fallback:`, error.rawText);
+        return {
+            data: buildFallback(),
+            usage: toLLMUsage(error),
+            isFallback: true,
+            fallbackReason: error.message,
+            promptVersion,
+        };
+    }
+};
+
+/**
+ * Generate financial analysis using the configured LLM provider
+ * @param {Object} departmentData - Financial data for analysis, with the department's forecast from getSpendingForecast
+ *                                  and its flagged expenses from getFlaggedExpenses
  * @returns {Object} - Structured AI analysis
  */
 export const generateFinancialAnalysis = async (departmentData) => {
@@ -21,8 +89,12 @@ export const generateFinancialAnalysis = async (departmentData) => {
             month,
             year,
             expenseBreakdown,
+            forecast,
+            anomalies = [],
         } = departmentData;
 
+        const projectedUsage = allocatedBudget > 0 ? (forecast.total.monthEnd.projected / allocatedBudget) * 100 : 0;
+
         // Construct structured prompt
         const prompt = `You are a financial analysis assistant for an enterprise budget management system.
 
@@ -44,69 +116,46 @@ Analyze the following department financial data and provide a comprehensive repo
 **Expense Breakdown by Category:**
 ${expenseBreakdown.map(cat => `- ${cat.category}: $${cat.total.toLocaleString()}`).join('\n')}
 
+**Forecast (computed from run-rate, seasonality and scheduled recurring costs):**
+${describeForecast(forecast)}
+- Projected Month-End Budget Usage: ${projectedUsage.toFixed(2)}%
+
+**Flagged Expenses (statistical anomaly detection):**
+${anomalies.length > 0
+        ? anomalies.map(expense => `- ${new Date(expense.date).toISOString().slice(0, 10)} ${expense.category} $${expense.amount.toLocaleString()}${expense.description ? ` "${expense.description}"` : ''} (score ${expense.anomaly.score}): ${expense.anomaly.reasons.map(reason => reason.message).join('; ')}`).join('\n')
+        : '- None'}
+
 Please provide your analysis in the following JSON format:
 {
   "summary": "A comprehensive 2-3 sentence summary of the department's financial status",
   "riskLevel": "Low, Medium, or High based on spending patterns",
-  "recommendations": ["recommendation 1", "recommendation 2", "recommendation 3"]
+  "recommendations": ["recommendation 1", "recommendation 2", "recommendation 3"],
+  "insights": ["optional observation about the figures"]
 }
 
 **Guidelines:**
 - Risk Level: Low (<75% spent), Medium (75-90% spent), High (>90% spent or overspending)
-- Provide 3-5 actionable recommendations
+- Provide 3-5 actionable recommendations and at most 5 insights
 - Focus on spending trends, budget utilization, and potential risks
+- Use the forecast figures as given; do not make up other projections
+- Mention flagged expenses that deserve a review, without assuming they are errors
 - Be professional and concise
 
 Return ONLY the JSON object, no additional text.`;
 
-        // Get AI model
-        const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-
-        // Generate content
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        // Parse JSON response
-        let analysis;
-        try {
-            // Extract JSON from response (in case there's extra text)
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                analysis = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('No JSON found in response');
-            }
-        } catch (parseError) {
-            console.error('Failed to parse AI response:', text);
-            // Fallback analysis
-            analysis = {
-                summary: `The ${departmentName} department has spent ${percentageUsed.toFixed(2)}% of its allocated budget of $${allocatedBudget.toLocaleString()}.`,
-                riskLevel: percentageUsed > 90 ? 'High' : percentageUsed > 75 ? 'Medium' : 'Low',
-                recommendations: [
-                    'Monitor spending closely to stay within budget',
-                    'Review expense categories for optimization opportunities',
-                    'Plan ahead for upcoming expenses',
-                ],
-            };
-        }
-
-        // Validate risk level
-        if (!['Low', 'Medium', 'High'].includes(analysis.riskLevel)) {
-            analysis.riskLevel = percentageUsed > 90 ? 'High' : percentageUsed > 75 ? 'Medium' : 'Low';
-        }
-
-        // Ensure recommendations is an array
-        if (!Array.isArray(analysis.recommendations)) {
-            analysis.recommendations = [analysis.recommendations];
-        }
+        const analysis = await runStructuredAnalysis(
+            prompt,
+            DEPARTMENT_ANALYSIS_SCHEMA,
+            PROMPT_VERSIONS.department,
+            () => buildFallbackAnalysis(departmentData)
+        );
 
         return {
             success: true,
-            data: analysis,
+            ...analysis,
         };
     } catch (error) {
-        console.error('Gemini AI Error:', error);
+        console.error('AI Analysis Error:', error);
         return {
             success: false,
             message: 'Failed to generate AI analysis',
@@ -117,7 +166,7 @@ Return ONLY the JSON object, no additional text.`;
 
 /**
  * Generate global financial analysis for admin
- * @param {Object} globalData - Aggregated financial data
+ * @param {Object} globalData - Aggregated financial data, with the organisation's forecast from getSpendingForecast
  * @returns {Object} - Structured AI analysis
  */
 export const generateGlobalAnalysis = async (globalData) => {
@@ -129,7 +178,8 @@ export const generateGlobalAnalysis = async (globalData) => {
             departmentBreakdown,
             monthlyTrend,
             month,
-            year
+            year,
+            forecast
         } = globalData;
 
         // Construct structured prompt
@@ -145,8 +195,11 @@ Analyze the following company-wide financial data for ${month}/${year} and provi
 **Department Breakdown:**
 ${departmentBreakdown.map(dept => `- ${dept.departmentName}: $${dept.totalSpent.toLocaleString()} / $${dept.allocatedBudget.toLocaleString()} (${dept.percentageUsed.toFixed(1)}%)`).join('\n')}
 
-**Monthly Spending Trend (Last 6 Months):**
-${monthlyTrend.map(t => `- ${t.monthName}: $${t.spent.toLocaleString()}`).join('\n')}
+**Monthly Spending Trend (Last 6 Months, spent / budget):**
+${monthlyTrend.map(t => `- ${t.label}: $${t.spent.toLocaleString()} / $${t.budget.toLocaleString()}`).join('\n')}
+
+**Forecast (computed from run-rate, seasonality and scheduled recurring costs):**
+${describeForecast(forecast)}
 
 Please provide your analysis in the following JSON format:
 {
@@ -158,7 +211,6 @@ Please provide your analysis in the following JSON format:
     "Specific actionable suggestion 1",
     "Specific actionable suggestion 2"
   ],
-  "predictedNextMonthSpend": 12345.67,
   "optimizationTips": [
     "Tip regarding specific cost center",
     "Tip regarding allocation"
@@ -168,52 +220,25 @@ Please provide your analysis in the following JSON format:
 **Guidelines:**
 - Identify departments overspending (>90%) as High Risk.
 - Identify departments approaching limits (75-90%) as Medium Risk.
-- Predict next month's spend based on the trend.
+- Use the forecast figures as given; do not make up other projections.
 - Provide executive-level optimization tips.
 - Return ONLY the JSON object.`;
 
-        // Get AI model
-        const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-
-        // Generate content
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        // Parse JSON response
-        let analysis;
-        try {
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                analysis = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('No JSON found');
-            }
-        } catch (parseError) {
-            console.error('Failed to parse Global AI response:', text);
-            // Fallback analysis
-            analysis = {
-                summary: `The company has spent ${percentageUsed.toFixed(2)}% of the total budget.`,
-                risks: departmentBreakdown
-                    .filter(d => d.percentageUsed > 75)
-                    .map(d => ({
-                        department: d.departmentName,
-                        riskLevel: d.percentageUsed > 90 ? 'High' : 'Medium',
-                        reason: `Utilization at ${d.percentageUsed.toFixed(1)}%`
-                    })),
-                suggestions: ['Review high-spending departments', 'Optimize budget allocation'],
-                predictedNextMonthSpend: totalSpent * 1.05,
-                optimizationTips: ['Analyze recurring expenses', 'Negotiate vendor contracts']
-            };
-        }
+        const analysis = await runStructuredAnalysis(
+            prompt,
+            ADHOC_ANALYSIS_SCHEMA,
+            PROMPT_VERSIONS.adhoc,
+            () => buildFallbackGlobalAnalysis(globalData)
+        );
 
         return {
             success: true,
-            data: analysis,
+            ...analysis,
+            data: { ...analysis.data, predictedNextMonthSpend: forecast.total.nextMonth.projected },
         };
 
     } catch (error) {
-        console.error('Gemini AI Global Error:', error);
+        console.error('AI Global Analysis Error:', error);
         return {
             success: false,
             message: 'Failed to generate global AI analysis',
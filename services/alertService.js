@@ -0,0 +1,149 @@
+import BudgetAlert from '../models/BudgetAlert.js';
+import Department from '../models/Department.js';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { flattenDepartmentTree, getDepartmentRollups } from './analyticsService.js';
+import { attachPermissions, canAccessDepartment } from './permissionService.js';
+import { notify } from './notificationService.js';
+import { emitWebhookEvent } from './webhookService.js';
+
+// Same buckets the dashboards use for their warning levels
+const DEFAULT_THRESHOLDS = '75,90,100';
+
+/**
+ * Thresholds that apply to a department, lowest first
+ * @returns {Array<number>} - Percentages of the monthly budget
+ */
+export const getAlertThresholds = (department) => {
+    const thresholds = department.alertThresholds
+        ?? (process.env.BUDGET_ALERT_THRESHOLDS || DEFAULT_THRESHOLDS).split(',').map(Number).filter((value) => value > 0);
+
+    return [...thresholds].sort((a, b) => a - b);
+};
+
+/**
+ * Active users who may receive alerts for a department
+ */
+const getAlertRecipients = async (departmentId) => {
+    const organisationRoles = await Role.distinct('name', { scope: 'all' });
+
+    const candidates = await User.find({
+        active: true,
+        $or: [
+            { role: { $in: organisationRoles } },
+            { 'memberships.departmentId': departmentId },
+            { departmentId },
+        ],
+    });
+
+    const recipients = [];
+    for (const user of candidates) {
+        await attachPermissions(user);
+        if (canAccessDepartment(user, departmentId, 'alert:receive')) {
+            recipients.push(user);
+        }
+    }
+
+    return recipients;
+};
+
+const getAlertLevel = (threshold) => {
+    if (threshold >= 100) return 'danger';
+    if (threshold >= 90) return 'warning';
+    return 'info';
+};
+
+/**
+ * Record newly crossed thresholds of one department and notify about the highest one.
+ * Thresholds the department has dropped back below are cleared so crossing them again alerts again.
+ */
+const checkDepartment = async (department, rollup, month, year) => {
+    const { allocatedBudget, totalSpent, percentageUsed } = rollup;
+    const crossed = allocatedBudget > 0
+        ? getAlertThresholds(department).filter((threshold) => percentageUsed >= threshold)
+        : [];
+
+    await BudgetAlert.deleteMany({ departmentId: department._id, year, month, threshold: { $nin: crossed } });
+
+    const newlyCrossed = [];
+    for (const threshold of crossed) {
+        try {
+            await BudgetAlert.create({ departmentId: department._id, year, month, threshold, allocatedBudget, totalSpent, percentageUsed });
+            newlyCrossed.push(threshold);
+        } catch (error) {
+            // Duplicate key - already alerted for this threshold this month
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    if (newlyCrossed.length === 0) return null;
+
+    const threshold = newlyCrossed[newlyCrossed.length - 1];
+    const used = percentageUsed.toFixed(1);
+
+    const notification = {
+        type: 'budget.threshold',
+        title: `Budget alert: ${department.name} passed ${threshold}% of its budget`,
+        message: `${department.name} has spent $${totalSpent.toLocaleString()} of its $${allocatedBudget.toLocaleString()} `
+            + `budget for ${month}/${year} (${used}%), passing the ${threshold}% alert threshold.`
+            + (rollup.childCount > 0 ? ' Spending includes its sub-departments.' : ''),
+        departmentId: department._id,
+        data: {
+            level: getAlertLevel(threshold),
+            threshold,
+            month,
+            year,
+            allocatedBudget,
+            totalSpent,
+            percentageUsed: parseFloat(percentageUsed.toFixed(2)),
+        },
+    };
+
+    await notify(notification, await getAlertRecipients(department._id));
+    emitWebhookEvent('budget.threshold_crossed', notification);
+
+    return notification;
+};
+
+/**
+ * Check a department and every department above it against their alert thresholds for a month.
+ * Parents are checked too because their rolled up spending includes the department's.
+ * @param {string} departmentId - Department whose spending changed
+ * @param {Date} [date] - Date in the month to check, defaults to now
+ * @returns {Array} - Notifications that were sent
+ */
+export const evaluateBudgetAlerts = async (departmentId, date = new Date()) => {
+    const month = date.getMonth() + 1;
+    const year = date.getFullYear();
+
+    const department = await Department.findById(departmentId);
+    if (!department) return [];
+
+    const departments = await Department.find({ _id: { $in: [...department.ancestors, department._id] } });
+    const rollups = new Map(
+        flattenDepartmentTree(await getDepartmentRollups(month, year))
+            .map((row) => [row.departmentId.toString(), row])
+    );
+
+    const sent = [];
+    for (const dept of departments) {
+        const rollup = rollups.get(dept._id.toString());
+        if (!rollup) continue;
+
+        const notification = await checkDepartment(dept, rollup, month, year);
+        if (notification) sent.push(notification);
+    }
+
+    return sent;
+};
+
+/**
+ * Run the alert check in the background so the request that changed spending isn't held up
+ */
+export const scheduleBudgetAlertCheck = (departmentId, date) => {
+    const departmentKey = departmentId?._id || departmentId;
+
+    evaluateBudgetAlerts(departmentKey, date ? new Date(date) : new Date()).catch((error) => {
+        console.error(`❌ Budget alert check failed for department ${departmentKey}:`, error);
+    });
+};
@@ -1,149 +1,266 @@
+import mongoose from 'mongoose';
 import Department from '../models/Department.js';
 import Expense from '../models/Expense.js';
+import SpendingRollup from '../models/SpendingRollup.js';
+import { getMonthlyBudgetAmounts } from './budgetService.js';
 
 /**
- * Calculate total budget allocated across all departments
+ * Monthly spending figures are read from the materialised SpendingRollup collection
+ * (kept current on every expense write, see rollupService), so dashboards don't recompute
+ * history on every request. Figures for arbitrary date ranges are aggregated from the expenses.
  */
-export const calculateTotalBudget = async (month, year) => {
-    // First try to find departments with specific month/year
-    let departments = await Department.find({ month, year });
 
-    // If no period-specific departments found, get all departments
-    if (departments.length === 0) {
-        departments = await Department.find({});
-    }
+// Only approved expenses count as spent. Expenses recorded before the approval
+// workflow existed have no status and are treated as approved.
+export const APPROVED_STATUS = { $in: ['approved', null] };
 
-    return departments.reduce((sum, dept) => sum + dept.allocatedBudget, 0);
+/**
+ * Cast an ID (or populated document) for aggregation pipelines, which don't cast like queries do
+ */
+const toObjectId = (id) => {
+    const value = id?._id || id;
+    return value instanceof mongoose.Types.ObjectId ? value : new mongoose.Types.ObjectId(String(value));
 };
 
 /**
- * Calculate total spent across all departments
+ * Sum the totals of the rollups matching a filter
+ * @param {Object} filter - On departmentId, category, year, month and status (approved or submitted)
  */
-export const calculateTotalSpent = async (month, year) => {
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0, 23, 59, 59);
+const sumRollups = async (filter) => {
+    const [result] = await SpendingRollup.aggregate([
+        { $match: filter },
+        { $group: { _id: null, total: { $sum: '$total' } } },
+    ]);
+
+    return result ? result.total : 0;
+};
+
+/**
+ * Approved and committed (submitted, awaiting approval) spending per department for a month
+ * @param {Array} [departmentIds] - Restrict to these departments
+ * @returns {Object} - { spent, committed } maps of departmentId -> total
+ */
+export const getDepartmentSpendingTotals = async (month, year, departmentIds) => {
+    const match = { year, month };
+    if (departmentIds) match.departmentId = { $in: departmentIds.map(toObjectId) };
+
+    const isSubmitted = { $eq: ['$status', 'submitted'] };
+    const totals = await SpendingRollup.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$departmentId',
+                spent: { $sum: { $cond: [isSubmitted, 0, '$total'] } },
+                committed: { $sum: { $cond: [isSubmitted, '$total', 0] } },
+            },
+        },
+    ]);
+
+    return {
+        spent: new Map(totals.map((entry) => [entry._id.toString(), entry.spent])),
+        committed: new Map(totals.map((entry) => [entry._id.toString(), entry.committed])),
+    };
+};
+
+/**
+ * Spending totals per department, calendar month and category
+ * @param {Object} options - { months: [{ month, year }], status: approved (default) or submitted, departmentIds }
+ * @returns {Array} - { departmentId, year, month, category, total, count }
+ */
+export const getExpenseTotals = ({ months, status = 'approved', departmentIds }) => {
+    const filter = { status, count: { $gt: 0 }, $or: months.map(({ month, year }) => ({ month, year })) };
+    if (departmentIds) filter.departmentId = { $in: departmentIds };
 
-    const expenses = await Expense.find({
-        date: { $gte: startDate, $lte: endDate },
+    return SpendingRollup.find(filter)
+        .select('departmentId year month category total count -_id')
+        .lean();
+};
+
+/**
+ * Arrange departments into their parent/child tree and roll figures up it.
+ * A department's budget is its own allocation when it has one (which already covers
+ * its sub-departments), otherwise the sum of its sub-departments' budgets.
+ * Spending always includes every sub-department.
+ * Departments whose parent isn't in the list are treated as top-level.
+ * @param {Array} departments - Departments with _id, name, status and parentId
+ * @param {Object} figures - { budgets, spent, committed } maps of departmentId -> own amount
+ * @returns {Array} - Top-level nodes, each with nested children
+ */
+export const buildDepartmentTree = (departments, { budgets = new Map(), spent = new Map(), committed = new Map() } = {}) => {
+    const nodes = new Map();
+
+    departments.forEach((dept) => {
+        const id = dept._id.toString();
+        nodes.set(id, {
+            departmentId: dept._id,
+            departmentName: dept.name,
+            parentId: dept.parentId || null,
+            status: dept.status,
+            ownBudget: budgets.get(id) || 0,
+            ownSpent: spent.get(id) || 0,
+            ownCommitted: committed.get(id) || 0,
+            hasOwnBudget: budgets.has(id),
+            children: [],
+        });
     });
 
-    return expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const roots = [];
+    nodes.forEach((node) => {
+        const parent = node.parentId && nodes.get(node.parentId.toString());
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    const byName = (a, b) => a.departmentName.localeCompare(b.departmentName);
+    const sumChildren = (node, field) => node.children.reduce((sum, child) => sum + child[field], 0);
+
+    const rollUp = (node, depth) => {
+        node.depth = depth;
+        node.children.sort(byName);
+        node.children.forEach((child) => rollUp(child, depth + 1));
+
+        node.allocatedBudget = node.hasOwnBudget ? node.ownBudget : sumChildren(node, 'allocatedBudget');
+        node.totalSpent = node.ownSpent + sumChildren(node, 'totalSpent');
+        node.committed = node.ownCommitted + sumChildren(node, 'committed');
+        node.remaining = node.allocatedBudget - node.totalSpent;
+        node.percentageUsed = node.allocatedBudget > 0 ? (node.totalSpent / node.allocatedBudget) * 100 : 0;
+        delete node.hasOwnBudget;
+    };
+
+    roots.sort(byName);
+    roots.forEach((root) => rollUp(root, 0));
+
+    return roots;
+};
+
+/**
+ * Flatten a department tree depth-first, parents before their children
+ */
+export const flattenDepartmentTree = (roots) => {
+    const rows = [];
+
+    const visit = (node) => {
+        const { children, ...row } = node;
+        rows.push({ ...row, childCount: children.length });
+        children.forEach(visit);
+    };
+    roots.forEach(visit);
+
+    return rows;
+};
+
+/**
+ * Get the department tree with budgets and spending rolled up for a month
+ * @param {Object} [departmentFilter] - Restrict the departments, e.g. { status: 'Active' }
+ * @returns {Array} - Top-level nodes with nested children
+ */
+export const getDepartmentRollups = async (month, year, departmentFilter = {}) => {
+    const departments = await Department.find(departmentFilter).select('name status parentId').lean();
+
+    const [budgets, { spent, committed }] = await Promise.all([
+        getMonthlyBudgetAmounts(month, year, departments.map((dept) => dept._id)),
+        getDepartmentSpendingTotals(month, year),
+    ]);
+
+    return buildDepartmentTree(departments, { budgets, spent, committed });
+};
+
+/**
+ * Get one department's rolled up figures for a month
+ * @returns {Object|null} - Tree node including its sub-departments
+ */
+export const getDepartmentRollup = async (departmentId, month, year) => {
+    const rows = flattenDepartmentTree(await getDepartmentRollups(month, year));
+    return rows.find((row) => row.departmentId.toString() === departmentId.toString()) || null;
+};
+
+/**
+ * Calculate total budget allocated across all departments.
+ * Budgets of sub-departments are part of their parent's, so only top-level rollups are added up.
+ */
+export const calculateTotalBudget = async (month, year) => {
+    // Budgets of deleted departments stay on record but no longer count
+    const departments = await Department.find({}).select('name status parentId').lean();
+    const budgets = await getMonthlyBudgetAmounts(month, year, departments.map((dept) => dept._id));
+
+    return buildDepartmentTree(departments, { budgets })
+        .reduce((total, root) => total + root.allocatedBudget, 0);
+};
+
+/**
+ * Calculate total spent across all departments
+ */
+export const calculateTotalSpent = async (month, year) => {
+    return sumRollups({ year, month, status: 'approved' });
 };
 
 /**
  * Calculate spending for a specific department
  */
 export const calculateDepartmentSpending = async (departmentId, month, year) => {
-    const filter = { departmentId };
+    const filter = { departmentId: toObjectId(departmentId), status: 'approved' };
 
     if (month && year) {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59);
-        filter.date = { $gte: startDate, $lte: endDate };
+        filter.year = year;
+        filter.month = month;
     }
 
-    const expenses = await Expense.find(filter);
-
-    return expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    return sumRollups(filter);
 };
 
 /**
- * Get expense breakdown by category
+ * Calculate approved spending for a department between two dates (inclusive).
+ * The dates needn't fall on month boundaries, so this reads the expenses themselves.
  */
-export const getExpenseBreakdown = async (departmentId, month, year) => {
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0, 23, 59, 59);
-
-    const breakdown = await Expense.aggregate([
+export const calculateDepartmentSpendingBetween = async (departmentId, startDate, endDate) => {
+    const [result] = await Expense.aggregate([
         {
             $match: {
-                departmentId,
+                departmentId: toObjectId(departmentId),
+                status: APPROVED_STATUS,
                 date: { $gte: startDate, $lte: endDate },
             },
         },
-        {
-            $group: {
-                _id: '$category',
-                total: { $sum: '$amount' },
-                count: { $sum: 1 },
-            },
-        },
-        {
-            $project: {
-                category: '$_id',
-                total: 1,
-                count: 1,
-                _id: 0,
-            },
-        },
-        {
-            $sort: { total: -1 },
-        },
+        { $group: { _id: null, total: { $sum: '$amount' } } },
     ]);
 
-    return breakdown;
+    return result ? result.total : 0;
 };
 
 /**
- * Get department-wise spending breakdown
+ * Calculate committed spend - expenses submitted but not yet approved
+ * @param {string|null} departmentId - Restrict to one department, or null for all
  */
-export const getDepartmentBreakdown = async (month, year) => {
-    // First try to find departments with specific month/year
-    let departments = await Department.find({ month, year }).populate('createdBy', 'name email');
+export const calculateCommittedSpending = async (departmentId, month, year) => {
+    const filter = { status: 'submitted' };
+    if (departmentId) filter.departmentId = toObjectId(departmentId);
 
-    // If no period-specific departments found, get all departments
-    if (departments.length === 0) {
-        departments = await Department.find({}).populate('createdBy', 'name email');
+    if (month && year) {
+        filter.year = year;
+        filter.month = month;
     }
 
-    const breakdown = await Promise.all(
-        departments.map(async (dept) => {
-            const totalSpent = await calculateDepartmentSpending(dept._id, month, year);
-            const remaining = dept.allocatedBudget - totalSpent;
-            const percentageUsed = dept.allocatedBudget > 0 ? (totalSpent / dept.allocatedBudget) * 100 : 0;
-
-            return {
-                departmentId: dept._id,
-                departmentName: dept.name,
-                allocatedBudget: dept.allocatedBudget,
-                totalSpent,
-                remaining,
-                percentageUsed,
-            };
-        })
-    );
-
-    return breakdown;
+    return sumRollups(filter);
 };
 
 /**
- * Get monthly spending trend
+ * Get expense breakdown by category
  */
-export const getMonthlyTrend = async (departmentId, year, numberOfMonths = 6) => {
-    const trends = [];
-    const currentDate = new Date();
-    const currentMonth = currentDate.getMonth() + 1;
-
-    for (let i = numberOfMonths - 1; i >= 0; i--) {
-        let month = currentMonth - i;
-        let yearAdjusted = year;
-
-        if (month <= 0) {
-            month += 12;
-            yearAdjusted -= 1;
-        }
-
-        const spent = departmentId
-            ? await calculateDepartmentSpending(departmentId, month, yearAdjusted)
-            : await calculateTotalSpent(month, yearAdjusted);
+export const getExpenseBreakdown = async (departmentId, month, year) => {
+    const rollups = await SpendingRollup.find({ departmentId, year, month, status: 'approved', count: { $gt: 0 } })
+        .sort({ total: -1 })
+        .lean();
 
-        trends.push({
-            month,
-            year: yearAdjusted,
-            monthName: new Date(yearAdjusted, month - 1).toLocaleString('default', { month: 'short' }),
-            spent,
-        });
-    }
+    return rollups.map(({ category, total, count }) => ({ category, total, count }));
+};
 
-    return trends;
+/**
+ * Get department-wise spending breakdown in tree order.
+ * Figures are rolled up, so a parent's row includes its sub-departments; own* fields exclude them.
+ */
+export const getDepartmentBreakdown = async (month, year) => {
+    return flattenDepartmentTree(await getDepartmentRollups(month, year));
 };
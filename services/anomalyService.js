@@ -0,0 +1,253 @@
+import Expense from '../models/Expense.js';
+
+/**
+ * Statistical anomaly detection for individual expenses. Each expense is checked for:
+ * - an amount far above comparable expenses (z-score and interquartile range), compared with the
+ *   same department and category over the last year, or the category organisation-wide while
+ *   the department has too few expenses of its own,
+ * - a sudden shift in the department's category mix for the month, and
+ * - possible duplicates: same department, amount, day and description.
+ * The score (0-100) adds up the weights of the reasons found; any reason flags the expense.
+ */
+const LOOKBACK_DAYS = 365;
+const MIN_SAMPLES = 5;
+const MAX_SAMPLES = 1000;
+const Z_SCORE_THRESHOLD = 3;
+// Beyond Q3 + 3 x IQR is an extreme outlier
+const IQR_MULTIPLIER = 3;
+
+const MIX_BASELINE_MONTHS = 6;
+// How far a category may grow past its usual monthly amount, as a share of a typical month's total
+const MIX_SHIFT_THRESHOLD = 0.25;
+
+export const ANOMALY_REASON_WEIGHTS = {
+    amount_zscore: 40,
+    amount_iqr: 30,
+    category_mix_shift: 20,
+    possible_duplicate: 50,
+};
+
+// Drafts and rejected expenses don't count towards baselines
+const COUNTED_STATUS = { $in: ['submitted', 'approved', null] };
+
+const formatAmount = (amount) => `$${Math.round(amount).toLocaleString()}`;
+
+/**
+ * Value at a quantile of sorted numbers, interpolating between neighbours
+ */
+const quantile = (sorted, q) => {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+};
+
+/**
+ * Amounts of comparable expenses from the year before the expense
+ * @returns {Object} - { scope: 'department' | 'organisation', amounts }
+ */
+const loadAmountBaseline = async (expense, departmentId) => {
+    const since = new Date(expense.date);
+    since.setDate(since.getDate() - LOOKBACK_DAYS);
+
+    const filter = {
+        _id: { $ne: expense._id },
+        category: expense.category,
+        status: COUNTED_STATUS,
+        date: { $gte: since, $lte: expense.date },
+    };
+    const findAmounts = async (extra) => (await Expense.find({ ...filter, ...extra })
+        .select('amount')
+        .sort({ date: -1 })
+        .limit(MAX_SAMPLES)
+        .lean()).map((entry) => entry.amount);
+
+    const departmentAmounts = await findAmounts({ departmentId });
+    if (departmentAmounts.length >= MIN_SAMPLES) {
+        return { scope: 'department', amounts: departmentAmounts };
+    }
+
+    return { scope: 'organisation', amounts: await findAmounts({}) };
+};
+
+/**
+ * Reasons the amount stands out from its baseline
+ */
+const checkAmount = (expense, { scope, amounts }) => {
+    if (amounts.length < MIN_SAMPLES) return [];
+
+    const reasons = [];
+    const where = scope === 'department' ? 'this department' : 'all departments';
+
+    const mean = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+    const deviation = Math.sqrt(amounts.reduce((sum, amount) => sum + (amount - mean) ** 2, 0) / amounts.length);
+    const zScore = deviation > 0 ? (expense.amount - mean) / deviation : 0;
+
+    if (zScore >= Z_SCORE_THRESHOLD) {
+        reasons.push({
+            type: 'amount_zscore',
+            message: `Amount is ${zScore.toFixed(1)} standard deviations above the ${expense.category} average of ${formatAmount(mean)} in ${where}`,
+        });
+    }
+
+    const sorted = [...amounts].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const upperFence = q3 + IQR_MULTIPLIER * (q3 - q1);
+
+    if (q3 > q1 && expense.amount > upperFence) {
+        reasons.push({
+            type: 'amount_iqr',
+            message: `Amount is above the usual ${expense.category} range in ${where} (${formatAmount(q1)} to ${formatAmount(q3)}, outlier above ${formatAmount(upperFence)})`,
+        });
+    }
+
+    return reasons;
+};
+
+/**
+ * Flag the expense that pushes its category's spending this month well past the category's usual share.
+ * Only the expense crossing the line is flagged, not every later one in the month.
+ */
+const checkCategoryMix = async (expense, departmentId) => {
+    const date = new Date(expense.date);
+    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+    const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0, 23, 59, 59);
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    const totals = await Expense.aggregate([
+        {
+            $match: {
+                _id: { $ne: expense._id },
+                departmentId,
+                status: COUNTED_STATUS,
+                date: { $gte: new Date(date.getFullYear(), date.getMonth() - MIX_BASELINE_MONTHS, 1), $lte: monthEnd },
+            },
+        },
+        {
+            $group: {
+                _id: {
+                    current: { $gte: ['$date', monthStart] },
+                    inCategory: { $eq: ['$category', expense.category] },
+                    month: { $dateToString: { format: '%Y-%m', date: '$date', timezone } },
+                },
+                total: { $sum: '$amount' },
+            },
+        },
+    ]);
+
+    const sum = (predicate) => totals.filter(({ _id }) => predicate(_id)).reduce((total, entry) => total + entry.total, 0);
+    const baselineMonths = new Set(totals.filter(({ _id }) => !_id.current).map(({ _id }) => _id.month)).size;
+    if (baselineMonths === 0) return [];
+
+    const usualTotal = sum((key) => !key.current) / baselineMonths;
+    const usualCategory = sum((key) => !key.current && key.inCategory) / baselineMonths;
+    const categoryBefore = sum((key) => key.current && key.inCategory);
+    const categoryAfter = categoryBefore + expense.amount;
+    const limit = usualCategory + MIX_SHIFT_THRESHOLD * usualTotal;
+
+    if (usualTotal === 0 || categoryAfter < limit || categoryBefore >= limit) return [];
+
+    return [{
+        type: 'category_mix_shift',
+        message: `Brings ${expense.category} spending this month to ${formatAmount(categoryAfter)}, against a usual ${formatAmount(usualCategory)} of a typical ${formatAmount(usualTotal)} monthly total`,
+    }];
+};
+
+/**
+ * Other expenses with the same department, amount, day and description
+ */
+const findDuplicates = async (expense, departmentId) => {
+    const date = new Date(expense.date);
+    const normalise = (description) => (description || '').trim().toLowerCase();
+
+    const candidates = await Expense.find({
+        _id: { $ne: expense._id },
+        departmentId,
+        amount: expense.amount,
+        status: { $ne: 'rejected' },
+        date: {
+            $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+            $lte: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999),
+        },
+    }).select('description').lean();
+
+    return candidates.filter((candidate) => normalise(candidate.description) === normalise(expense.description));
+};
+
+/**
+ * Score an expense against its baselines
+ * @param {Object} expense - Expense document (saved or not)
+ * @returns {Object} - { score, flagged, reasons: [{ type, message }], duplicateOf, checkedAt }
+ */
+export const detectExpenseAnomalies = async (expense) => {
+    const departmentId = expense.departmentId?._id || expense.departmentId;
+
+    const [baseline, mixReasons, duplicates] = await Promise.all([
+        loadAmountBaseline(expense, departmentId),
+        checkCategoryMix(expense, departmentId),
+        findDuplicates(expense, departmentId),
+    ]);
+
+    const reasons = [...checkAmount(expense, baseline), ...mixReasons];
+    if (duplicates.length > 0) {
+        reasons.push({
+            type: 'possible_duplicate',
+            message: `Same amount, date and description as ${duplicates.length} other expense(s)`,
+        });
+    }
+
+    return {
+        score: Math.min(100, reasons.reduce((total, reason) => total + ANOMALY_REASON_WEIGHTS[reason.type], 0)),
+        flagged: reasons.length > 0,
+        reasons,
+        duplicateOf: duplicates.map((duplicate) => duplicate._id),
+        checkedAt: new Date(),
+    };
+};
+
+/**
+ * Score an expense and set the result on it, without saving.
+ * Detection failures are logged rather than thrown so they never block recording an expense.
+ */
+export const applyAnomalyScore = async (expense) => {
+    try {
+        expense.anomaly = await detectExpenseAnomalies(expense);
+    } catch (error) {
+        console.error(`❌ Anomaly detection failed for expense ${expense._id}:`, error);
+    }
+};
+
+/**
+ * Score saved expenses in the background, e.g. after a bulk import
+ * @param {Array} expenses - Saved expense documents
+ */
+export const scheduleAnomalyScoring = (expenses) => {
+    const run = async () => {
+        for (const expense of expenses) {
+            const anomaly = await detectExpenseAnomalies(expense);
+            // Scoring isn't an edit, so updatedAt stays as it was
+            await Expense.updateOne({ _id: expense._id }, { $set: { anomaly } }, { timestamps: false });
+        }
+    };
+
+    run().catch((error) => {
+        console.error('❌ Anomaly scoring failed:', error);
+    });
+};
+
+/**
+ * Flagged expenses of a department for a month, highest score first
+ * @param {number} [limit]
+ */
+export const getFlaggedExpenses = (departmentId, month, year, limit = 10) => {
+    return Expense.find({
+        departmentId,
+        'anomaly.flagged': true,
+        status: COUNTED_STATUS,
+        date: { $gte: new Date(year, month - 1, 1), $lte: new Date(year, month, 0, 23, 59, 59) },
+    })
+        .sort({ 'anomaly.score': -1, amount: -1 })
+        .limit(limit)
+        .lean();
+};
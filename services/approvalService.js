@@ -0,0 +1,56 @@
+import { canAccessDepartment } from './permissionService.js';
+
+// Expenses at or above this amount need expense:approve_large (admins, approvers); smaller ones expense:approve
+const DEFAULT_ADMIN_APPROVAL_THRESHOLD = 10000;
+
+/**
+ * Amount from which an admin, rather than a department head, must approve
+ */
+export const getAdminApprovalThreshold = () => {
+    const threshold = parseFloat(process.env.EXPENSE_ADMIN_APPROVAL_THRESHOLD);
+    return Number.isFinite(threshold) ? threshold : DEFAULT_ADMIN_APPROVAL_THRESHOLD;
+};
+
+/**
+ * Decide which approval tier an expense of the given amount falls into
+ * @param {number} amount - Expense amount
+ * @returns {string} - 'admin' (needs expense:approve_large) or 'department_head' (needs expense:approve)
+ */
+export const getRequiredApproverRole = (amount) => {
+    return amount >= getAdminApprovalThreshold() ? 'admin' : 'department_head';
+};
+
+/**
+ * Check whether a user may approve or reject an expense.
+ * Expenses below the admin threshold need expense:approve, larger ones expense:approve_large;
+ * department scoped users need that permission through their membership of the expense's department.
+ */
+export const canReviewExpense = (user, expense) => {
+    const permission = expense.requiredApproverRole === 'admin' ? 'expense:approve_large' : 'expense:approve';
+
+    return canAccessDepartment(user, expense.departmentId, permission);
+};
+
+/**
+ * Move an expense into the approval queue.
+ * When the submitter already holds the required approval authority the expense is approved straight away.
+ * @param {Object} expense - Expense document (not saved)
+ * @param {Object} user - Submitting user
+ */
+export const submitExpenseForApproval = (expense, user) => {
+    expense.status = 'submitted';
+    expense.submittedAt = new Date();
+    expense.requiredApproverRole = getRequiredApproverRole(expense.amount);
+    expense.reviewedBy = undefined;
+    expense.reviewedAt = undefined;
+    expense.reviewReason = undefined;
+
+    if (canReviewExpense(user, expense)) {
+        expense.status = 'approved';
+        expense.reviewedBy = user._id || user.id;
+        expense.reviewedAt = new Date();
+        expense.reviewReason = 'Auto-approved within submitter approval limit';
+    }
+
+    return expense;
+};
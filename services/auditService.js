@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Fields that change on every save or are too bulky to be worth diffing
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'history', 'id'];
+
+/**
+ * Turn a document (or plain object) into a plain snapshot suitable for storing in the audit log
+ */
+export const toAuditSnapshot = (doc) => {
+    if (!doc) return undefined;
+
+    const plain = typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true, virtuals: false })
+        : { ...doc };
+
+    IGNORED_FIELDS.forEach((field) => delete plain[field]);
+
+    return plain;
+};
+
+/**
+ * Normalise a value so ObjectIds, dates and nested objects compare by content
+ */
+const normalise = (value) => {
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object') return JSON.parse(JSON.stringify(value));
+    return value;
+};
+
+/**
+ * List the top-level fields that differ between two snapshots
+ * @returns {Array} - [{ field, from, to }]
+ */
+export const diffSnapshots = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach((field) => {
+        if (IGNORED_FIELDS.includes(field)) return;
+
+        const from = normalise(before?.[field]);
+        const to = normalise(after?.[field]);
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to });
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Record a mutation in the audit log.
+ * Failures are logged and swallowed so auditing never breaks the request that triggered it.
+ * @param {Object|null} req - Express request (actor and IP are taken from it), or null for system jobs
+ * @param {Object} entry - { action, entityType, entityId, departmentId, before, after }
+ */
+export const recordAudit = async (req, { action, entityType, entityId, departmentId, before, after }) => {
+    try {
+        const beforeSnapshot = toAuditSnapshot(before);
+        const afterSnapshot = toAuditSnapshot(after);
+
+        await AuditLog.create({
+            actor: req?.user?._id || req?.user?.id,
+            // Entries without a user come from background jobs
+            actorRole: req?.user?.role || 'system',
+            action,
+            entityType,
+            entityId,
+            departmentId,
+            before: beforeSnapshot,
+            after: afterSnapshot,
+            changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+            ip: req?.ip || req?.socket?.remoteAddress,
+            userAgent: req?.get?.('user-agent'),
+        });
+    } catch (error) {
+        console.error(`❌ Failed to record audit entry for ${action}:`, error);
+    }
+};
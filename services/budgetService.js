@@ -0,0 +1,292 @@
+import Budget from '../models/Budget.js';
+import Department from '../models/Department.js';
+
+/**
+ * Build an error the controllers can turn into a 4xx response
+ */
+const budgetError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * First calendar month (1-12) of the fiscal year. Defaults to January.
+ */
+export const getFiscalYearStartMonth = () => {
+    const startMonth = parseInt(process.env.FISCAL_YEAR_START_MONTH);
+    return startMonth >= 1 && startMonth <= 12 ? startMonth : 1;
+};
+
+/**
+ * Map a calendar month to its fiscal year and fiscal quarter.
+ * A fiscal year is labelled by the calendar year it starts in.
+ */
+export const getFiscalPeriod = (month, year) => {
+    const startMonth = getFiscalYearStartMonth();
+    const fiscalYear = month >= startMonth ? year : year - 1;
+    const monthIndex = (month - startMonth + 12) % 12;
+
+    return {
+        fiscalYear,
+        quarter: Math.floor(monthIndex / 3) + 1,
+    };
+};
+
+/**
+ * Build the unique period key for a budget document.
+ * Returns null when the period description is incomplete.
+ * @param {Object} period - { periodType, year, month, quarter }
+ */
+export const buildPeriodKey = ({ periodType, year, month, quarter }) => {
+    const parsedYear = parseInt(year);
+    if (!parsedYear) return null;
+
+    switch (periodType) {
+        case 'monthly': {
+            const parsedMonth = parseInt(month);
+            if (!(parsedMonth >= 1 && parsedMonth <= 12)) return null;
+            return { periodType, year: parsedYear, month: parsedMonth };
+        }
+        case 'quarterly': {
+            const parsedQuarter = parseInt(quarter);
+            if (!(parsedQuarter >= 1 && parsedQuarter <= 4)) return null;
+            return { periodType, year: parsedYear, quarter: parsedQuarter };
+        }
+        case 'fiscal_year':
+            return { periodType, year: parsedYear };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Get the first and last instant of a budget period
+ * @param {Object} period - Period key from buildPeriodKey
+ * @returns {Object} - { startDate, endDate }
+ */
+export const getPeriodDateRange = ({ periodType, year, month, quarter }) => {
+    if (periodType === 'monthly') {
+        return {
+            startDate: new Date(year, month - 1, 1),
+            endDate: new Date(year, month, 0, 23, 59, 59),
+        };
+    }
+
+    // Month indexes past December roll over into the next calendar year
+    const fiscalStartIndex = getFiscalYearStartMonth() - 1;
+    const startIndex = periodType === 'quarterly' ? fiscalStartIndex + (quarter - 1) * 3 : fiscalStartIndex;
+    const length = periodType === 'quarterly' ? 3 : 12;
+
+    return {
+        startDate: new Date(year, startIndex, 1),
+        endDate: new Date(year, startIndex + length, 0, 23, 59, 59),
+    };
+};
+
+const BUDGET_PRECEDENCE = { monthly: 3, quarterly: 2, fiscal_year: 1 };
+const BUDGET_MONTHS = { monthly: 1, quarterly: 3, fiscal_year: 12 };
+
+/**
+ * Calendar months with the fiscal quarter and year they belong to
+ */
+const getMonthPeriods = (months) => months.map(({ month, year }) => ({ month, year, ...getFiscalPeriod(month, year) }));
+
+/**
+ * Budget period filters covering calendar months: their own, their fiscal quarters and their fiscal years
+ */
+const buildMonthPeriodFilter = (monthPeriods) => {
+    const periodKeys = new Map();
+    monthPeriods.forEach(({ month, year, fiscalYear, quarter }) => {
+        [
+            { periodType: 'monthly', year, month },
+            { periodType: 'quarterly', year: fiscalYear, quarter },
+            { periodType: 'fiscal_year', year: fiscalYear },
+        ].forEach((key) => periodKeys.set(JSON.stringify(key), key));
+    });
+    return [...periodKeys.values()];
+};
+
+/**
+ * Pick the budget that applies to each department in a month and its share for the month
+ * @param {Array} budgets - Budgets of any periods
+ * @param {Object} monthPeriod - See getMonthPeriods
+ * @returns {Map<string, Object>} - departmentId -> { budget, amount }
+ */
+const chooseMonthlyBudgets = (budgets, { month, year, fiscalYear, quarter }) => {
+    const chosen = new Map();
+
+    budgets
+        .filter((budget) => (budget.periodType === 'monthly' && budget.year === year && budget.month === month)
+            || (budget.periodType === 'quarterly' && budget.year === fiscalYear && budget.quarter === quarter)
+            || (budget.periodType === 'fiscal_year' && budget.year === fiscalYear))
+        .forEach((budget) => {
+            const key = budget.departmentId.toString();
+            const current = chosen.get(key);
+            if (!current || BUDGET_PRECEDENCE[budget.periodType] > BUDGET_PRECEDENCE[current.budget.periodType]) {
+                chosen.set(key, { budget, amount: budget.amount / BUDGET_MONTHS[budget.periodType] });
+            }
+        });
+
+    return chosen;
+};
+
+/**
+ * Get the budget available to each department in each of several calendar months, with one query.
+ * A monthly budget wins; otherwise the fiscal quarter's budget is spread over
+ * its three months, and failing that the fiscal year's budget over twelve.
+ * @param {Array} months - { month, year } calendar months
+ * @param {Array} [departmentIds] - Restrict to these departments
+ * @returns {Map<string, Map<string, number>>} - 'year-month' -> departmentId -> allocated amount for the month
+ */
+export const getBudgetAmountsByMonth = async (months, departmentIds) => {
+    const monthPeriods = getMonthPeriods(months);
+
+    const filter = { $or: buildMonthPeriodFilter(monthPeriods) };
+    if (departmentIds) filter.departmentId = { $in: departmentIds };
+
+    const budgets = await Budget.find(filter).lean();
+
+    const result = new Map();
+    monthPeriods.forEach((monthPeriod) => {
+        const amounts = new Map();
+        chooseMonthlyBudgets(budgets, monthPeriod).forEach(({ amount }, key) => amounts.set(key, amount));
+        result.set(`${monthPeriod.year}-${monthPeriod.month}`, amounts);
+    });
+
+    return result;
+};
+
+/**
+ * Get the budget available to each department in a calendar month, see getBudgetAmountsByMonth
+ * @param {number} month - 1-12
+ * @param {number} year - Calendar year
+ * @param {Array} [departmentIds] - Restrict to these departments
+ * @returns {Map<string, number>} - departmentId -> allocated amount for the month
+ */
+export const getMonthlyBudgetAmounts = async (month, year, departmentIds) => {
+    const amounts = await getBudgetAmountsByMonth([{ month, year }], departmentIds);
+    return amounts.get(`${year}-${month}`);
+};
+
+/**
+ * Get one department's budget for a calendar month
+ */
+export const getDepartmentMonthlyBudget = async (departmentId, month, year) => {
+    const amounts = await getMonthlyBudgetAmounts(month, year, [departmentId]);
+    return amounts.get(departmentId.toString()) || 0;
+};
+
+/**
+ * Make sure a department's allocation for a period fits the department tree.
+ * Together with its siblings it may not exceed the parent's allocation, and it may not
+ * drop below what its own sub-departments have been allocated. Budgets of different period
+ * types are compared month by month, as monthly amounts chosen like getBudgetAmountsByMonth does;
+ * months where another of the department's budgets takes precedence aren't affected and are skipped.
+ * A parent without a budget for a month sets no limit for it.
+ * @param {Object} params - { departmentId, period, amount, session } where amount is the new allocation.
+ *                          parentId may be passed for a department that hasn't been saved yet.
+ */
+export const assertBudgetFitsHierarchy = async ({ departmentId, parentId, period, amount, session }) => {
+    if (parentId === undefined) {
+        const department = await Department.findById(departmentId).session(session || null);
+        parentId = department?.parentId;
+    }
+
+    const childIds = await Department.distinct('_id', { parentId: departmentId }).session(session || null);
+    const siblingIds = parentId
+        ? await Department.distinct('_id', { parentId, _id: { $ne: departmentId } }).session(session || null)
+        : [];
+    if (!parentId && childIds.length === 0) return;
+
+    const { startDate, endDate } = getPeriodDateRange(period);
+    const months = [];
+    for (let date = new Date(startDate); date <= endDate; date.setMonth(date.getMonth() + 1)) {
+        months.push({ month: date.getMonth() + 1, year: date.getFullYear() });
+    }
+    const monthPeriods = getMonthPeriods(months);
+
+    const existing = await Budget.find({
+        departmentId: { $in: [departmentId, ...childIds, ...siblingIds, ...(parentId ? [parentId] : [])] },
+        $or: buildMonthPeriodFilter(monthPeriods),
+    }).session(session || null).lean();
+
+    // The allocation as it would be, in place of the department's current budget for the period
+    const key = departmentId.toString();
+    const proposed = { departmentId, ...period, amount };
+    const isReplaced = (budget) => budget.departmentId.toString() === key
+        && budget.periodType === period.periodType
+        && budget.year === period.year
+        && (budget.month ?? null) === (period.month ?? null)
+        && (budget.quarter ?? null) === (period.quarter ?? null);
+    const budgets = [...existing.filter((budget) => !isReplaced(budget)), proposed];
+
+    const format = (value) => Math.round(value * 100) / 100;
+    // Monthly shares of quarterly and yearly budgets aren't always whole cents
+    const tolerance = 0.005;
+
+    for (const monthPeriod of monthPeriods) {
+        const chosen = chooseMonthlyBudgets(budgets, monthPeriod);
+        if (chosen.get(key)?.budget !== proposed) continue;
+
+        const ownAmount = chosen.get(key).amount;
+        const sumAmounts = (ids) => ids.reduce((sum, id) => sum + (chosen.get(id.toString())?.amount || 0), 0);
+        const month = `${monthPeriod.month}/${monthPeriod.year}`;
+
+        const allocatedToChildren = sumAmounts(childIds);
+        if (ownAmount + tolerance < allocatedToChildren) {
+            throw budgetError(
+                `Budget of ${format(ownAmount)} for ${month} is below the ${format(allocatedToChildren)} already allocated to its sub-departments`
+            );
+        }
+
+        const parentBudget = parentId && chosen.get(parentId.toString());
+        if (!parentBudget) continue;
+
+        const allocated = ownAmount + sumAmounts(siblingIds);
+        if (allocated > parentBudget.amount + tolerance) {
+            throw budgetError(
+                `Sub-department allocations of ${format(allocated)} for ${month} would exceed the parent department's budget of ${format(parentBudget.amount)}`
+            );
+        }
+    }
+};
+
+/**
+ * Apply a signed change to a department's budget for a period, creating the
+ * budget if it doesn't exist yet, and record it in the budget history.
+ * @param {Object} params - { departmentId, period, amount, reason, userId, session, action, transferId }
+ * @returns {Object} - Updated budget document
+ */
+export const recordBudgetAdjustment = async ({ departmentId, period, amount, reason, userId, session, action, transferId }) => {
+    let budget = await Budget.findOne({ departmentId, ...period }).session(session || null);
+    const isNew = !budget;
+
+    if (isNew) {
+        budget = new Budget({ departmentId, ...period, amount: 0, createdBy: userId });
+    }
+
+    const previousAmount = budget.amount;
+    const newAmount = previousAmount + amount;
+
+    if (newAmount < 0) {
+        throw budgetError('Adjustment would make the budget negative');
+    }
+
+    await assertBudgetFitsHierarchy({ departmentId, period, amount: newAmount, session });
+
+    budget.amount = newAmount;
+    budget.history.push({
+        action: action || (isNew ? 'allocated' : 'adjusted'),
+        amount,
+        previousAmount,
+        newAmount,
+        reason: reason || '',
+        performedBy: userId,
+        transferId,
+    });
+
+    await budget.save({ session });
+
+    return budget;
+};
@@ -0,0 +1,74 @@
+import Department from '../models/Department.js';
+
+/**
+ * Build an error the controllers can turn into a 4xx response
+ */
+const departmentError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * IDs of every department below the given one, at any depth
+ */
+export const getDescendantIds = async (departmentId) => {
+    return Department.distinct('_id', { ancestors: departmentId });
+};
+
+/**
+ * Place a department under a new parent (or at the top level with a null parent).
+ * Rejects parents that don't exist and moves that would create a cycle.
+ * The department is not saved; call refreshDescendantAncestors after saving it.
+ * @param {Object} department - Department document
+ * @param {string|null} parentId - New parent, or null for a top-level department
+ */
+export const assignParent = async (department, parentId) => {
+    if (!parentId) {
+        department.parentId = null;
+        department.ancestors = [];
+        return department;
+    }
+
+    if (department._id.toString() === parentId.toString()) {
+        throw departmentError('A department cannot be its own parent');
+    }
+
+    const parent = await Department.findById(parentId);
+    if (!parent) {
+        throw departmentError('Parent department not found', 404);
+    }
+
+    if (parent.ancestors.some((ancestorId) => ancestorId.toString() === department._id.toString())) {
+        throw departmentError('A department cannot be moved below one of its own sub-departments');
+    }
+
+    department.parentId = parent._id;
+    department.ancestors = [...parent.ancestors, parent._id];
+
+    return department;
+};
+
+/**
+ * Rewrite the ancestor lists of a department's subtree after it was moved
+ * @param {Object} department - Saved department document
+ */
+export const refreshDescendantAncestors = async (department) => {
+    const descendants = await Department.find({ ancestors: department._id }).select('ancestors');
+    if (descendants.length === 0) return;
+
+    const prefix = [...department.ancestors, department._id];
+
+    await Department.bulkWrite(descendants.map((descendant) => {
+        // Keep the part of the path below the moved department
+        const index = descendant.ancestors.findIndex((ancestorId) => ancestorId.equals(department._id));
+        const ancestors = [...prefix, ...descendant.ancestors.slice(index + 1)];
+
+        return {
+            updateOne: {
+                filter: { _id: descendant._id },
+                update: { ancestors },
+            },
+        };
+    }));
+};
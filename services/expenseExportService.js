@@ -0,0 +1,113 @@
+import ExcelJS from 'exceljs';
+import { toCsvRow } from '../utils/csv.js';
+
+/**
+ * Format a date as YYYY-MM-DD using its local calendar day, the same convention
+ * the analytics month buckets and the CSV import use
+ */
+const toIsoDate = (date) => {
+    if (!date) return '';
+    const value = new Date(date);
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+};
+
+// Populated references may be null when the referenced document is gone
+export const EXPORT_COLUMNS = {
+    id: { header: 'ID', value: (expense) => expense._id.toString() },
+    date: { header: 'Date', value: (expense) => toIsoDate(expense.date) },
+    department: { header: 'Department', value: (expense) => expense.departmentId?.name ?? '' },
+    category: { header: 'Category', value: (expense) => expense.category },
+    amount: { header: 'Amount', value: (expense) => expense.amount },
+    description: { header: 'Description', value: (expense) => expense.description ?? '' },
+    status: { header: 'Status', value: (expense) => expense.status ?? 'approved' },
+    createdBy: { header: 'Created By', value: (expense) => expense.createdBy?.name ?? '' },
+    createdByEmail: { header: 'Created By Email', value: (expense) => expense.createdBy?.email ?? '' },
+    reviewedBy: { header: 'Reviewed By', value: (expense) => expense.reviewedBy?.name ?? '' },
+    createdAt: { header: 'Created At', value: (expense) => (expense.createdAt ? new Date(expense.createdAt).toISOString() : '') },
+};
+
+// Matches the columns of the original CSV export
+export const DEFAULT_EXPORT_COLUMNS = ['date', 'department', 'category', 'amount', 'description', 'createdBy'];
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+};
+
+/**
+ * Resolve a comma separated column list, rejecting unknown names
+ * @returns {Object} - { columns } or { error }
+ */
+export const resolveExportColumns = (columnsParam) => {
+    if (!columnsParam) return { columns: DEFAULT_EXPORT_COLUMNS };
+
+    const columns = columnsParam.split(',').map((column) => column.trim()).filter(Boolean);
+    const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+
+    if (unknown.length > 0 || columns.length === 0) {
+        return { error: `Unknown column(s): ${unknown.join(', ') || 'none given'}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+    }
+
+    return { columns };
+};
+
+/**
+ * Write a chunk and wait for the response to drain when its buffer is full
+ */
+const write = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await new Promise((resolve) => res.once('drain', resolve));
+    }
+};
+
+/**
+ * Stream expenses from a query cursor to the response in the requested format.
+ * Rows are written one at a time so memory use doesn't grow with the export size.
+ * @param {Object} res - Express response (headers must not have been sent)
+ * @param {Object} cursor - Mongoose query cursor of populated expenses
+ * @param {string} format - csv, xlsx or jsonl
+ * @param {Array<string>} columns - Keys of EXPORT_COLUMNS
+ */
+export const streamExpenseExport = async (res, cursor, format, columns) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const definitions = columns.map((column) => EXPORT_COLUMNS[column]);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=expenses.${extension}`);
+    res.status(200);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+        const sheet = workbook.addWorksheet('Expenses');
+        sheet.columns = definitions.map((definition, index) => ({ header: definition.header, key: columns[index] }));
+
+        for await (const expense of cursor) {
+            sheet.addRow(definitions.map((definition) => definition.value(expense))).commit();
+        }
+
+        sheet.commit();
+        await workbook.commit();
+        return;
+    }
+
+    if (format === 'csv') {
+        await write(res, toCsvRow(definitions.map((definition) => definition.header)));
+    }
+
+    for await (const expense of cursor) {
+        if (format === 'csv') {
+            await write(res, toCsvRow(definitions.map((definition) => definition.value(expense))));
+        } else {
+            const record = {};
+            columns.forEach((column, index) => {
+                record[column] = definitions[index].value(expense);
+            });
+            await write(res, JSON.stringify(record) + '\n');
+        }
+    }
+
+    res.end();
+};
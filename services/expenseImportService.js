@@ -0,0 +1,129 @@
+import Expense from '../models/Expense.js';
+import Department from '../models/Department.js';
+import { parseCsv } from '../utils/csv.js';
+import { submitExpenseForApproval } from './approvalService.js';
+import { canAccessDepartment } from './permissionService.js';
+
+// Same columns as the CSV export; extra columns such as "Created By" are ignored
+const REQUIRED_COLUMNS = ['date', 'department', 'category', 'amount'];
+const OPTIONAL_COLUMNS = ['description'];
+
+/**
+ * Parse a date cell. YYYY-MM-DD is read as a local calendar date so it lands in the intended month.
+ */
+const parseImportDate = (value) => {
+    const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (isoDate) {
+        return new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]));
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse and validate an expense CSV without writing anything.
+ * Each row is checked against the Expense schema and the same role rules as createExpense.
+ * @param {string} csvText - CSV content with a header row
+ * @param {Object} user - Importing user
+ * @returns {Object} - { totalRows, expenses, errors } where expenses are unsaved documents
+ */
+export const validateExpenseImport = async (csvText, user) => {
+    const rows = parseCsv(csvText || '');
+
+    if (rows.length === 0) {
+        return { totalRows: 0, expenses: [], errors: [{ row: 0, errors: ['CSV file is empty'] }] };
+    }
+
+    const header = rows[0].map((column) => column.trim().toLowerCase());
+    const missingColumns = REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+
+    if (missingColumns.length > 0) {
+        return {
+            totalRows: rows.length - 1,
+            expenses: [],
+            errors: [{ row: 1, errors: [`Missing required column(s): ${missingColumns.join(', ')}`] }],
+        };
+    }
+
+    const columnIndex = {};
+    [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].forEach((column) => {
+        columnIndex[column] = header.indexOf(column);
+    });
+
+    // Resolve department names once, case-insensitively. Names aren't unique, so keep every match
+    const departments = await Department.find({}).select('name').lean();
+    const departmentsByName = new Map();
+    departments.forEach((dept) => {
+        const name = dept.name.trim().toLowerCase();
+        departmentsByName.set(name, [...(departmentsByName.get(name) || []), dept]);
+    });
+
+    const expenses = [];
+    const errors = [];
+
+    rows.slice(1).forEach((values, index) => {
+        // Row numbers match the spreadsheet: header is row 1
+        const rowNumber = index + 2;
+        const cell = (column) => (columnIndex[column] >= 0 ? (values[columnIndex[column]] || '').trim() : '');
+        const rowErrors = [];
+        const reportedPaths = new Set();
+
+        // Of several departments sharing the name, only those the user can import into are candidates
+        const matches = departmentsByName.get(cell('department').toLowerCase()) || [];
+        const importable = matches.filter((dept) => canAccessDepartment(user, dept._id, 'expense:import'));
+        const department = importable.length === 1 ? importable[0] : undefined;
+        if (matches.length === 0) {
+            rowErrors.push(`Department "${cell('department')}" not found`);
+            reportedPaths.add('departmentId');
+        } else if (importable.length === 0) {
+            rowErrors.push('You can only add expenses to departments you belong to');
+            reportedPaths.add('departmentId');
+        } else if (importable.length > 1) {
+            rowErrors.push(`Department name "${cell('department')}" is ambiguous: ${importable.length} departments share it`);
+            reportedPaths.add('departmentId');
+        }
+
+        const date = parseImportDate(cell('date'));
+        if (!date) {
+            rowErrors.push(`Invalid date "${cell('date')}"`);
+            reportedPaths.add('date');
+        }
+
+        const amountText = cell('amount').replace(/[$,\s]/g, '');
+        const amount = amountText === '' ? NaN : Number(amountText);
+        if (isNaN(amount)) {
+            rowErrors.push(`Invalid amount "${cell('amount')}"`);
+            reportedPaths.add('amount');
+        }
+
+        const expense = new Expense({
+            departmentId: department?._id,
+            amount: isNaN(amount) ? undefined : amount,
+            category: cell('category'),
+            description: cell('description'),
+            date,
+            createdBy: user._id || user.id,
+        });
+
+        // Schema rules: category enum, non-negative amount, description length, ...
+        const validationError = expense.validateSync();
+        if (validationError) {
+            Object.values(validationError.errors).forEach((error) => {
+                // Already reported above with a friendlier message
+                if (reportedPaths.has(error.path)) return;
+                rowErrors.push(error.message);
+            });
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ row: rowNumber, errors: rowErrors });
+            return;
+        }
+
+        submitExpenseForApproval(expense, user);
+        expenses.push(expense);
+    });
+
+    return { totalRows: rows.length - 1, expenses, errors };
+};
@@ -0,0 +1,292 @@
+import Department from '../models/Department.js';
+import Expense from '../models/Expense.js';
+import RecurringExpense from '../models/RecurringExpense.js';
+import { APPROVED_STATUS } from './analyticsService.js';
+import { getFiscalYearStartMonth } from './budgetService.js';
+import { getDueOccurrences } from './recurringExpenseService.js';
+
+/**
+ * Deterministic spending forecasts built from three signals:
+ * - the daily run-rate of the month so far,
+ * - seasonality: the same month last year relative to the last 12 months, and
+ * - recurring expense occurrences that are scheduled but not posted yet.
+ * Run-rate and history are blended by how much of the month has passed. Recurring costs are
+ * known in advance, so only the rest of a projection is uncertain; its interval comes from
+ * how much monthly spending has varied over the history.
+ */
+const HISTORY_MONTHS = 12;
+const CONFIDENCE_LEVEL = 0.9;
+const Z_SCORE = 1.645;
+
+// Relative spread assumed while there's too little history to measure it
+const DEFAULT_VARIATION = 0.25;
+const MIN_MONTHS_FOR_VARIATION = 3;
+
+// Keeps one unusual month from dominating a projection
+const MIN_SEASONAL_FACTOR = 0.5;
+const MAX_SEASONAL_FACTOR = 2;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const monthKey = ({ month, year }) => `${year}-${month}`;
+
+/**
+ * Month and year a number of months away from a month
+ */
+const addMonths = (month, year, offset) => {
+    const date = new Date(year, month - 1 + offset, 1);
+    return { month: date.getMonth() + 1, year: date.getFullYear() };
+};
+
+const getDaysInMonth = ({ month, year }) => new Date(year, month, 0).getDate();
+
+/**
+ * Months and dates a forecast for a month is made over.
+ * Forecasts are made as of now, or as of the end of the month once it is over.
+ */
+export const getForecastPeriod = (month, year, now = new Date()) => {
+    const startDate = new Date(year, month - 1, 1);
+    const endDate = new Date(year, month, 0, 23, 59, 59);
+    const daysInMonth = getDaysInMonth({ month, year });
+
+    const fiscalStartMonth = getFiscalYearStartMonth();
+    const fiscalStart = { month: fiscalStartMonth, year: month >= fiscalStartMonth ? year : year - 1 };
+    const fiscalMonths = Array.from({ length: 12 }, (_, index) => addMonths(fiscalStart.month, fiscalStart.year, index));
+    const nextMonth = addMonths(month, year, 1);
+    const lastMonth = fiscalMonths[11].year * 12 + fiscalMonths[11].month >= nextMonth.year * 12 + nextMonth.month
+        ? fiscalMonths[11]
+        : nextMonth;
+
+    return {
+        month,
+        year,
+        startDate,
+        endDate,
+        asOf: now < endDate ? now : endDate,
+        daysInMonth,
+        daysElapsed: now < startDate ? 0 : now > endDate ? daysInMonth : now.getDate(),
+        history: Array.from({ length: HISTORY_MONTHS }, (_, index) => addMonths(month, year, index - HISTORY_MONTHS)),
+        nextMonth,
+        fiscalYear: fiscalStart.year,
+        fiscalMonths,
+        horizonEnd: new Date(lastMonth.year, lastMonth.month, 0, 23, 59, 59),
+    };
+};
+
+/**
+ * Approved spending per department, category and month over the history and the forecast month,
+ * split into recurring and other ("variable") spending
+ * @returns {Array} - { departmentId, category, month, year, recurring, total }
+ */
+const loadMonthlyTotals = async (departmentIds, period) => {
+    const [firstMonth] = period.history;
+    // Month boundaries follow the server's time zone, like the rest of the analytics
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    const totals = await Expense.aggregate([
+        {
+            $match: {
+                departmentId: { $in: departmentIds },
+                status: APPROVED_STATUS,
+                date: { $gte: new Date(firstMonth.year, firstMonth.month - 1, 1), $lte: period.endDate },
+            },
+        },
+        {
+            $group: {
+                _id: {
+                    departmentId: '$departmentId',
+                    category: '$category',
+                    year: { $year: { date: '$date', timezone } },
+                    month: { $month: { date: '$date', timezone } },
+                    recurring: { $gt: ['$recurringTemplateId', null] },
+                },
+                total: { $sum: '$amount' },
+            },
+        },
+    ]);
+
+    return totals.map(({ _id, total }) => ({ ..._id, total }));
+};
+
+/**
+ * Recurring occurrences scheduled after the forecast date, up to the end of the forecast horizon
+ * @returns {Array} - { departmentId, category, month, year, amount }
+ */
+const loadUpcomingRecurring = async (departmentIds, period) => {
+    const templates = await RecurringExpense.find({ departmentId: { $in: departmentIds }, active: true }).lean();
+
+    return templates.flatMap((template) => getDueOccurrences({ ...template, lastOccurrenceDate: period.asOf }, period.horizonEnd)
+        .map((occurrence) => ({
+            departmentId: template.departmentId,
+            category: template.category,
+            month: occurrence.getMonth() + 1,
+            year: occurrence.getFullYear(),
+            amount: template.amount,
+        })));
+};
+
+/**
+ * Figures of a projection with an interval around the uncertain part
+ * @param {number} spentToDate - Spending already recorded
+ * @param {number} variable - Projected further spending besides recurring costs
+ * @param {number} upcomingRecurring - Scheduled recurring costs
+ * @param {number} margin - Half-width of the interval
+ */
+const buildProjection = (spentToDate, variable, upcomingRecurring, margin) => {
+    const projected = spentToDate + variable + upcomingRecurring;
+
+    return {
+        spentToDate,
+        projected,
+        low: Math.max(spentToDate + upcomingRecurring, projected - margin),
+        high: projected + margin,
+        upcomingRecurring,
+        margin,
+    };
+};
+
+const roundProjection = ({ margin, ...projection }) => Object.fromEntries(
+    Object.entries(projection).map(([field, value]) => [field, round(value)])
+);
+
+/**
+ * Project one series of spending to the end of the month, over next month and to the end of the fiscal year
+ * @param {Array} totals - Monthly totals of the series, see loadMonthlyTotals
+ * @param {Array} upcoming - Scheduled recurring occurrences of the series, see loadUpcomingRecurring
+ * @param {Object} period - See getForecastPeriod
+ * @returns {Object} - { monthEnd, nextMonth, yearEnd }, each with spentToDate, projected, low, high and upcomingRecurring
+ */
+export const projectSpending = (totals, upcoming, period) => {
+    const actual = new Map();
+    totals.forEach((entry) => {
+        const figures = actual.get(monthKey(entry)) || { variable: 0, recurring: 0 };
+        figures[entry.recurring ? 'recurring' : 'variable'] += entry.total;
+        actual.set(monthKey(entry), figures);
+    });
+
+    const scheduled = new Map();
+    upcoming.forEach((occurrence) => {
+        scheduled.set(monthKey(occurrence), (scheduled.get(monthKey(occurrence)) || 0) + occurrence.amount);
+    });
+
+    const getActual = (month) => actual.get(monthKey(month)) || { variable: 0, recurring: 0 };
+    const getScheduled = (month) => scheduled.get(monthKey(month)) || 0;
+
+    // History starts at the first month with any spending, so new departments aren't averaged with empty months
+    const history = period.history.map((month) => ({ ...month, total: getActual(month).variable }));
+    const firstActive = history.findIndex((month) => month.total > 0);
+    const observed = firstActive === -1 ? [] : history.slice(firstActive);
+
+    const baseline = observed.reduce((sum, month) => sum + month.total, 0) / (observed.length || 1);
+    const deviation = Math.sqrt(observed.reduce((sum, month) => sum + (month.total - baseline) ** 2, 0) / (observed.length || 1));
+    const variation = observed.length >= MIN_MONTHS_FOR_VARIATION && baseline > 0 ? deviation / baseline : DEFAULT_VARIATION;
+
+    // Seasonality needs a full year of history to tell apart from growth
+    const getSeasonalFactor = ({ month }) => {
+        if (observed.length < HISTORY_MONTHS || baseline === 0) return 1;
+        const sameMonth = observed.find((entry) => entry.month === month);
+        return Math.min(Math.max(sameMonth.total / baseline, MIN_SEASONAL_FACTOR), MAX_SEASONAL_FACTOR);
+    };
+
+    // The month being forecast: run-rate so far, blended with history for the days left
+    const { daysInMonth, daysElapsed } = period;
+    const current = getActual(period);
+    const dailyRunRate = daysElapsed > 0 ? current.variable / daysElapsed : 0;
+    const elapsedShare = daysElapsed / daysInMonth;
+    const dailyRate = observed.length > 0
+        ? elapsedShare * dailyRunRate + (1 - elapsedShare) * (baseline * getSeasonalFactor(period)) / daysInMonth
+        : dailyRunRate;
+
+    const variableRemaining = dailyRate * (daysInMonth - daysElapsed);
+    const monthEnd = buildProjection(
+        current.variable + current.recurring,
+        variableRemaining,
+        getScheduled(period),
+        Z_SCORE * variation * variableRemaining
+    );
+
+    // Later months: history when there is some, otherwise this month's pace
+    const projectMonth = (month) => {
+        const variable = observed.length > 0
+            ? baseline * getSeasonalFactor(month)
+            : dailyRate * getDaysInMonth(month);
+        return buildProjection(0, variable, getScheduled(month), Z_SCORE * variation * variable);
+    };
+
+    const targetIndex = period.fiscalMonths.findIndex((month) => monthKey(month) === monthKey(period));
+    const fiscalYearMonths = period.fiscalMonths.map((month, index) => {
+        if (index < targetIndex) {
+            const { variable, recurring } = getActual(month);
+            return buildProjection(variable + recurring, 0, 0, 0);
+        }
+        return index === targetIndex ? monthEnd : projectMonth(month);
+    });
+
+    const sum = (field) => fiscalYearMonths.reduce((total, month) => total + month[field], 0);
+    const spentToDate = sum('spentToDate');
+    const upcomingRecurring = sum('upcomingRecurring');
+    // Months are treated as independent, so their margins add in quadrature
+    const yearMargin = Math.sqrt(fiscalYearMonths.reduce((total, month) => total + month.margin ** 2, 0));
+
+    return {
+        monthEnd: {
+            ...roundProjection(monthEnd),
+            dailyRunRate: round(dailyRunRate),
+            seasonalFactor: round(getSeasonalFactor(period)),
+        },
+        nextMonth: roundProjection(projectMonth(period.nextMonth)),
+        yearEnd: roundProjection(buildProjection(spentToDate, sum('projected') - spentToDate - upcomingRecurring, upcomingRecurring, yearMargin)),
+        historyMonths: observed.length,
+    };
+};
+
+/**
+ * Forecast spending for a month in total, per department and per category.
+ * Department figures are each department's own spending, without its sub-departments.
+ * @param {number} month - 1-12, the current month or an earlier one
+ * @param {number} year
+ * @param {Array} [departmentIds] - Restrict the forecast to these departments
+ * @returns {Object} - { period, method, total, byDepartment, byCategory }
+ */
+export const getSpendingForecast = async (month, year, departmentIds) => {
+    const departments = await Department.find(departmentIds ? { _id: { $in: departmentIds } } : {})
+        .select('name parentId')
+        .sort({ name: 1 })
+        .lean();
+    const ids = departments.map((dept) => dept._id);
+    const period = getForecastPeriod(month, year);
+
+    const [totals, upcoming] = await Promise.all([
+        loadMonthlyTotals(ids, period),
+        loadUpcomingRecurring(ids, period),
+    ]);
+
+    const project = (predicate) => projectSpending(totals.filter(predicate), upcoming.filter(predicate), period);
+    const categories = [...new Set([...totals, ...upcoming].map((entry) => entry.category))];
+
+    return {
+        period: {
+            month,
+            year,
+            asOf: period.asOf,
+            daysElapsed: period.daysElapsed,
+            daysInMonth: period.daysInMonth,
+            nextMonth: period.nextMonth,
+            fiscalYear: period.fiscalYear,
+        },
+        method: {
+            historyMonths: HISTORY_MONTHS,
+            confidenceLevel: CONFIDENCE_LEVEL,
+        },
+        total: project(() => true),
+        byDepartment: departments.map((dept) => ({
+            departmentId: dept._id,
+            departmentName: dept.name,
+            parentId: dept.parentId || null,
+            ...project((entry) => entry.departmentId.toString() === dept._id.toString()),
+        })),
+        byCategory: categories
+            .map((category) => ({ category, ...project((entry) => entry.category === category) }))
+            .sort((a, b) => b.monthEnd.projected - a.monthEnd.projected),
+    };
+};
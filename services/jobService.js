@@ -0,0 +1,274 @@
+import os from 'os';
+import Job from '../models/Job.js';
+
+/**
+ * MongoDB-backed background job queue.
+ * Jobs survive restarts, are shared by every server instance, and each type/key pair
+ * is queued at most once and run by at most one instance at a time.
+ * Failed attempts are retried with exponential backoff (JOB_RETRY_BASE_SECONDS, doubling).
+ */
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+
+// A running job whose lock expires is assumed to have died with its instance.
+// The instance running a job renews its lock well before then.
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const LOCK_RENEW_INTERVAL_MS = 2 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+
+let workerTimer = null;
+let isPolling = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. monthly_report
+ * @param {Function} handler - async (params, job) => result
+ */
+export const registerJobHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+const getRetryDelayMs = (attempts) => {
+    const baseSeconds = parseInt(process.env.JOB_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS;
+    return baseSeconds * 1000 * 2 ** (attempts - 1);
+};
+
+/**
+ * Queue a job, or push back the one already queued for the same type and key
+ * @param {string} type - Registered job type
+ * @param {Object} params - Passed to the handler
+ * @param {Object} [options] - { key, delayMs, maxDelayMs, maxAttempts, trigger, requestedBy }.
+ *                             maxDelayMs caps how long after it was first queued a job can be pushed back to;
+ *                             it defaults to delayMs, so a queued job keeps its first runAt
+ * @returns {Object} - The queued job
+ */
+export const enqueueJob = async (type, params, { key = JSON.stringify(params), delayMs = 0, maxDelayMs = delayMs, maxAttempts, trigger, requestedBy } = {}) => {
+    const queueKey = `${type}:${key}`;
+    const now = Date.now();
+    const update = {
+        $setOnInsert: {
+            type,
+            key,
+            params,
+            status: 'queued',
+            runAt: new Date(now + delayMs),
+            queuedAt: new Date(now),
+            maxAttempts,
+            trigger,
+            requestedBy,
+        },
+    };
+    // Leave out options that weren't given so the schema defaults apply
+    Object.keys(update.$setOnInsert).forEach((field) => update.$setOnInsert[field] === undefined && delete update.$setOnInsert[field]);
+
+    let job;
+    try {
+        job = await Job.findOneAndUpdate({ queueKey }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+    } catch (error) {
+        // Another request queued the same job at the same moment
+        if (error.code !== 11000) throw error;
+        job = await Job.findOne({ queueKey });
+    }
+
+    // Push an already queued job back, but never past maxDelayMs from when it was queued,
+    // so a steady stream of requests can't hold it back forever. runAt only ever moves later.
+    if (!job) return job;
+
+    const runAt = new Date(Math.min(now + delayMs, job.queuedAt.getTime() + maxDelayMs));
+    if (job.runAt < runAt) {
+        job = await Job.findOneAndUpdate(
+            { _id: job._id, queueKey, runAt: { $lt: runAt } },
+            { $set: { runAt } },
+            { new: true }
+        ) || job;
+    }
+
+    return job;
+};
+
+/**
+ * Claim the next due job. Jobs whose key is already running elsewhere are skipped.
+ */
+const claimNextJob = async () => {
+    const now = new Date();
+    const candidates = await Job.find({ status: 'queued', runAt: { $lte: now } }).sort({ runAt: 1 }).limit(10);
+
+    for (const candidate of candidates) {
+        try {
+            const job = await Job.findOneAndUpdate(
+                { _id: candidate._id, status: 'queued' },
+                {
+                    $set: {
+                        status: 'running',
+                        lockKey: `${candidate.type}:${candidate.key}`,
+                        lockedBy: INSTANCE_ID,
+                        lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS),
+                        startedAt: now,
+                    },
+                    $unset: { queueKey: 1 },
+                    $inc: { attempts: 1 },
+                },
+                { new: true }
+            );
+            if (job) return job;
+        } catch (error) {
+            // Duplicate lock key - the same key is running on another instance
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Log that an outcome was dropped because another instance took the job over
+ */
+const reportLostLock = (job) => {
+    console.warn(`⚠️ Job ${job.type} ${job.key} lost its lock; the outcome of attempt ${job.attempts} was dropped`);
+    return null;
+};
+
+/**
+ * Record a failed attempt and queue a retry while attempts remain.
+ * Only written while the job is still locked as expected, so an instance that lost the lock can't overwrite
+ * the outcome recorded by the one that took over.
+ * @param {Object} [lockFilter] - Lock the job must still hold; this instance's by default
+ */
+const failJob = async (job, error, lockFilter = { lockedBy: INSTANCE_ID }) => {
+    const now = new Date();
+    const filter = { _id: job._id, status: 'running', ...lockFilter };
+    const failure = {
+        $push: { failures: { attempt: job.attempts, message: error.message, at: now } },
+        $unset: { lockKey: 1, lockedBy: 1, lockedUntil: 1 },
+    };
+    let lastError = error.message;
+
+    if (job.attempts < job.maxAttempts) {
+        try {
+            const retried = await Job.findOneAndUpdate(filter, {
+                ...failure,
+                $set: {
+                    status: 'queued',
+                    lastError,
+                    queueKey: `${job.type}:${job.key}`,
+                    queuedAt: now,
+                    runAt: new Date(now.getTime() + getRetryDelayMs(job.attempts)),
+                },
+            }, { new: true });
+
+            return retried || reportLostLock(job);
+        } catch (saveError) {
+            if (saveError.code !== 11000) throw saveError;
+            // A newer request for the same key is already queued and will do the work
+            lastError = `${error.message} (retry superseded by a newer queued job)`;
+        }
+    }
+
+    const failed = await Job.findOneAndUpdate(filter, {
+        ...failure,
+        $set: { status: 'failed', lastError, finishedAt: now },
+    }, { new: true });
+
+    return failed || reportLostLock(job);
+};
+
+/**
+ * Run a claimed job with its handler and store the outcome
+ */
+const runJob = async (job) => {
+    const handler = handlers[job.type];
+
+    // Keep the lock while the handler runs, so a long job isn't mistaken for one whose instance died
+    const renewal = setInterval(() => {
+        Job.updateOne(
+            { _id: job._id, status: 'running', lockedBy: INSTANCE_ID },
+            { $set: { lockedUntil: new Date(Date.now() + LOCK_TIMEOUT_MS) } }
+        ).catch((error) => {
+            console.error(`❌ Failed to renew the lock of job ${job.type} ${job.key}:`, error);
+        });
+    }, LOCK_RENEW_INTERVAL_MS);
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+
+        const result = await handler(job.params, job);
+
+        const succeeded = await Job.findOneAndUpdate(
+            { _id: job._id, status: 'running', lockedBy: INSTANCE_ID },
+            {
+                $set: { status: 'succeeded', result, finishedAt: new Date() },
+                $unset: { lastError: 1, lockKey: 1, lockedBy: 1, lockedUntil: 1 },
+            }
+        );
+        if (!succeeded) reportLostLock(job);
+    } catch (error) {
+        console.error(`❌ Job ${job.type} ${job.key} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error);
+        await failJob(job, error);
+    } finally {
+        clearInterval(renewal);
+    }
+};
+
+/**
+ * Treat running jobs whose lock expired as failed attempts, so they are retried
+ */
+const recoverStaleJobs = async () => {
+    const now = new Date();
+    const stale = await Job.find({ status: 'running', lockedUntil: { $lt: now } });
+
+    for (const job of stale) {
+        // Skipped if the owner renewed the lock or finished in the meantime
+        await failJob(job, new Error(`Job lock held by ${job.lockedBy} expired before the job finished`), {
+            lockedBy: job.lockedBy,
+            lockedUntil: { $lt: now },
+        });
+    }
+};
+
+/**
+ * Run every job that is due, one at a time
+ * @returns {number} - Jobs run
+ */
+export const processDueJobs = async () => {
+    await recoverStaleJobs();
+
+    let processed = 0;
+    for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+        await runJob(job);
+        processed++;
+    }
+
+    return processed;
+};
+
+/**
+ * Start polling the queue in this process
+ */
+export const startJobWorker = () => {
+    if (workerTimer) return;
+
+    const seconds = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || DEFAULT_POLL_INTERVAL_SECONDS;
+
+    const run = async () => {
+        // Skip a tick while the previous one is still working through the queue
+        if (isPolling) return;
+        isPolling = true;
+
+        try {
+            await processDueJobs();
+        } catch (error) {
+            console.error('❌ Job worker failed:', error);
+        } finally {
+            isPolling = false;
+        }
+    };
+
+    workerTimer = setInterval(run, seconds * 1000);
+
+    console.log(`🧵 Job worker ${INSTANCE_ID} polling every ${seconds} second(s)`);
+};
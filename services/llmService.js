@@ -0,0 +1,304 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import Ajv from 'ajv';
+
+/**
+ * Large language model calls with a pluggable provider, selected by LLM_PROVIDER:
+ * - gemini: Google Gemini REST API (GEMINI_API_KEY)
+ * - openai: any OpenAI-compatible chat completions endpoint, e.g. OpenAI or a local
+ *   Ollama / llama.cpp / vLLM server (LLM_BASE_URL, optional LLM_API_KEY)
+ * - mock: deterministic offline responses, for development and tests without network access
+ * Defaults to gemini; mock is only used when LLM_PROVIDER=mock is set explicitly.
+ * LLM_MODEL overrides the provider's default model. Timeouts (LLM_TIMEOUT_MS) and retries
+ * (LLM_MAX_RETRIES) apply to every provider, and structured answers are checked against JSON schemas.
+ * Other providers can be added with registerLLMProvider.
+ */
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Compiled schemas are cached by their $id
+const ajv = new Ajv({ allErrors: true });
+
+// Token totals per provider/model since the process started
+const usageTotals = new Map();
+
+const getTimeoutMs = () => parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+/**
+ * Rough token count for providers that don't report usage (about four characters per token)
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const geminiProvider = {
+    defaultModel: 'gemini-2.5-flash',
+    generate: async (prompt, { model, json }) => {
+        const apiKey = process.env.GEMINI_API_KEY || process.env.LLM_API_KEY;
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY is not configured');
+        }
+
+        const response = await axios.post(
+            `${GEMINI_BASE_URL}/models/${model}:generateContent`,
+            {
+                contents: [{ parts: [{ text: prompt }] }],
+                generationConfig: json ? { responseMimeType: 'application/json' } : undefined,
+            },
+            {
+                timeout: getTimeoutMs(),
+                // Header rather than query string so the key doesn't end up in URLs and logs
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            }
+        );
+
+        const text = response.data?.candidates?.[0]?.content?.parts?.map((part) => part.text).join('');
+        const usage = response.data?.usageMetadata;
+
+        return {
+            text,
+            usage: usage && {
+                promptTokens: usage.promptTokenCount,
+                completionTokens: usage.candidatesTokenCount,
+                totalTokens: usage.totalTokenCount,
+            },
+        };
+    },
+};
+
+const openAIProvider = {
+    defaultModel: 'gpt-4o-mini',
+    generate: async (prompt, { model, json }) => {
+        const baseUrl = (process.env.LLM_BASE_URL || OPENAI_BASE_URL).replace(/\/$/, '');
+
+        const response = await axios.post(
+            `${baseUrl}/chat/completions`,
+            {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                response_format: json ? { type: 'json_object' } : undefined,
+            },
+            {
+                timeout: getTimeoutMs(),
+                headers: {
+                    'Content-Type': 'application/json',
+                    // Local servers usually don't need a key
+                    ...(process.env.LLM_API_KEY && { Authorization: `Bearer ${process.env.LLM_API_KEY}` }),
+                },
+            }
+        );
+
+        const usage = response.data?.usage;
+
+        return {
+            text: response.data?.choices?.[0]?.message?.content,
+            usage: usage && {
+                promptTokens: usage.prompt_tokens,
+                completionTokens: usage.completion_tokens,
+                totalTokens: usage.total_tokens,
+            },
+        };
+    },
+};
+
+const mockProvider = {
+    defaultModel: 'mock',
+    generate: async (prompt, { mockResponse }) => {
+        // Callers describe a plausible answer for their prompt; otherwise echo a stable fingerprint
+        const fingerprint = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+        const response = mockResponse
+            ? mockResponse(prompt)
+            : { summary: `Mock response for prompt ${fingerprint}` };
+
+        return { text: typeof response === 'string' ? response : JSON.stringify(response) };
+    },
+};
+
+const providers = {
+    gemini: geminiProvider,
+    openai: openAIProvider,
+    mock: mockProvider,
+};
+
+/**
+ * Register a custom provider
+ * @param {string} name - Value of LLM_PROVIDER that selects it
+ * @param {Object} provider - { defaultModel, generate: async (prompt, { model, json, mockResponse }) => ({ text, usage }) }
+ */
+export const registerLLMProvider = (name, provider) => {
+    providers[name] = provider;
+};
+
+/**
+ * Name of the configured provider
+ */
+export const getLLMProviderName = () => {
+    return process.env.LLM_PROVIDER || 'gemini';
+};
+
+/**
+ * Network errors, timeouts, rate limits and server errors are worth another try.
+ * Errors raised before a request was sent (e.g. a missing API key) are not.
+ */
+const isRetryable = (error) => {
+    if (!error.request) return false;
+
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+};
+
+const recordUsage = (provider, model, usage) => {
+    const key = `${provider}:${model}`;
+    const totals = usageTotals.get(key) || { provider, model, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    totals.requests += 1;
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.completionTokens += usage.completionTokens || 0;
+    totals.totalTokens += usage.totalTokens || 0;
+    usageTotals.set(key, totals);
+};
+
+/**
+ * Token totals per provider and model since the server started
+ */
+export const getLLMUsageTotals = () => [...usageTotals.values()];
+
+/**
+ * Send a prompt to the configured provider
+ * @param {string} prompt
+ * @param {Object} [options] - { json: ask for a JSON answer, mockResponse: (prompt) => answer for the mock provider }
+ * @returns {Object} - { text, usage: { promptTokens, completionTokens, totalTokens }, provider, model }
+ */
+export const generateText = async (prompt, { json = false, mockResponse } = {}) => {
+    const providerName = getLLMProviderName();
+    const provider = providers[providerName];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${providerName}"`);
+    }
+
+    const model = process.env.LLM_MODEL || provider.defaultModel;
+    const maxRetries = parseInt(process.env.LLM_MAX_RETRIES) >= 0 ? parseInt(process.env.LLM_MAX_RETRIES) : DEFAULT_MAX_RETRIES;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const { text, usage } = await provider.generate(prompt, { model, json, mockResponse });
+
+            if (!text) {
+                throw new Error(`Empty response from ${providerName}`);
+            }
+
+            const tokens = {
+                promptTokens: usage?.promptTokens ?? estimateTokens(prompt),
+                completionTokens: usage?.completionTokens ?? estimateTokens(text),
+            };
+            tokens.totalTokens = usage?.totalTokens ?? tokens.promptTokens + tokens.completionTokens;
+            recordUsage(providerName, model, tokens);
+
+            return { text, usage: tokens, provider: providerName, model };
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryable(error)) {
+                // Provider error bodies say what went wrong (bad key, unknown model, ...)
+                const detail = error.response?.data?.error?.message;
+                throw new Error(`${providerName} request failed: ${detail || error.message}`);
+            }
+
+            const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+            console.warn(`⚠️ ${providerName} request failed (${error.message}), retrying in ${delay}ms`);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+};
+
+/**
+ * Parse a model answer as JSON. The whole answer must be JSON; a single surrounding
+ * markdown code fence is the only wrapping accepted. Anything else goes back for repair.
+ * @returns {Object}
+ */
+export const parseJsonResponse = (text) => {
+    const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec((text || '').trim());
+    return JSON.parse(fenced ? fenced[1] : text);
+};
+
+/**
+ * Validate data against a JSON schema
+ * @returns {Array<string>} - Problems found, empty when valid
+ */
+export const validateAgainstSchema = (schema, data) => {
+    const validate = ajv.getSchema(schema.$id) || ajv.compile(schema);
+
+    if (validate(data)) return [];
+    return validate.errors.map((error) => `${error.instancePath || '(root)'} ${error.message}`);
+};
+
+/**
+ * Follow-up prompt asking the model to fix an answer that didn't match the schema
+ */
+const buildRepairPrompt = (prompt, answer, problems, schema) => `${prompt}
+
+Your previous answer was:
+${answer}
+
+It was rejected for these reasons:
+${problems.map((problem) => `- ${problem}`).join('\n')}
+
+Answer again with ONLY a JSON object that satisfies this JSON schema, with no other text:
+${JSON.stringify(schema)}`;
+
+/**
+ * Send a prompt and return its answer as data matching a JSON schema.
+ * Answers that aren't valid JSON or don't match the schema are sent back for repair
+ * (LLM_REPAIR_ATTEMPTS times, default 1). If no valid answer comes back, the error thrown
+ * has `validationErrors`, `rawText` and the usage fields set so callers can fall back.
+ * @param {string} prompt
+ * @param {Object} schema - JSON schema with an $id
+ * @param {Object} [options] - { mockResponse }
+ * @returns {Object} - { data, usage, provider, model, repairAttempts }
+ */
+export const generateStructured = async (prompt, schema, { mockResponse } = {}) => {
+    const maxRepairs = parseInt(process.env.LLM_REPAIR_ATTEMPTS) >= 0 ? parseInt(process.env.LLM_REPAIR_ATTEMPTS) : DEFAULT_REPAIR_ATTEMPTS;
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    let currentPrompt = prompt;
+    let result;
+    let problems;
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+        result = await generateText(currentPrompt, { json: true, mockResponse });
+        Object.keys(usage).forEach((field) => {
+            usage[field] += result.usage[field];
+        });
+
+        let data;
+        try {
+            data = parseJsonResponse(result.text);
+            problems = validateAgainstSchema(schema, data);
+        } catch (error) {
+            problems = [`Answer is not valid JSON: ${error.message}`];
+        }
+
+        if (problems.length === 0) {
+            return { data, usage, provider: result.provider, model: result.model, repairAttempts: attempt };
+        }
+
+        console.warn(`⚠️ AI answer for ${schema.$id} rejected (attempt ${attempt + 1}): ${problems.join('; ')}`);
+        currentPrompt = buildRepairPrompt(prompt, result.text, problems, schema);
+    }
+
+    const error = new Error(`AI answer did not match the ${schema.$id} schema: ${problems.join('; ')}`);
+    error.validationErrors = problems;
+    error.rawText = result.text;
+    error.usage = usage;
+    error.provider = result.provider;
+    error.model = result.model;
+    throw error;
+};
+
+/**
+ * Provider, model and token usage of a call, as stored with reports
+ * @param {Object} result - generateText / generateStructured result, or the error generateStructured threw
+ */
+export const toLLMUsage = ({ provider, model, usage }) => ({ provider, model, ...usage });
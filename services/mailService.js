@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Outgoing mail with a pluggable transport, selected by MAIL_TRANSPORT:
+ * - console (default): print messages to the server log, for development
+ * - file: write each message as JSON into MAIL_OUTBOX_DIR (default ./mail-outbox)
+ * - smtp: deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ * Other transports can be added with registerMailTransport.
+ */
+const DEFAULT_OUTBOX_DIR = 'mail-outbox';
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+};
+
+const fileTransport = {
+    send: async (message) => {
+        const directory = path.resolve(process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+        await fs.mkdir(directory, { recursive: true });
+
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.-]/g, '_')}.json`;
+        await fs.writeFile(
+            path.join(directory, fileName),
+            JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        );
+    },
+};
+
+let smtpTransporter = null;
+
+const smtpTransport = {
+    send: async (message) => {
+        if (!smtpTransporter) {
+            smtpTransporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+            });
+        }
+
+        await smtpTransporter.sendMail(message);
+    },
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport,
+    smtp: smtpTransport,
+};
+
+/**
+ * Register a custom transport, e.g. for an email API provider
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Object} transport - { send: async (message) => {} }
+ */
+export const registerMailTransport = (name, transport) => {
+    transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    const transportName = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${transportName}"`);
+    }
+
+    await transport.send({
+        from: process.env.MAIL_FROM || 'Manage My Penny <no-reply@managemypenny.local>',
+        to,
+        subject,
+        text,
+        html,
+    });
+};
+
+/**
+ * Link to a frontend page carrying a one-time token, when the frontend URL is configured
+ */
+export const buildFrontendUrl = (pagePath, params) => {
+    if (!process.env.FRONTEND_URL) return undefined;
+    return `${process.env.FRONTEND_URL.replace(/\/$/, '')}${pagePath}?${new URLSearchParams(params)}`;
+};
+
+/**
+ * Email a password reset link (or the raw token when no frontend URL is configured)
+ */
+export const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+    const resetUrl = buildFrontendUrl('/reset-password', { token });
+    const instructions = resetUrl
+        ? `Open this link to choose a new password:\n${resetUrl}`
+        : `Use this code to choose a new password:\n${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your Manage My Penny password',
+        text: `Hi ${user.name},\n\nWe received a request to reset your password.\n${instructions}\n\n`
+            + `The link expires in ${expiresInMinutes} minutes and can only be used once. `
+            + 'If you did not request this, you can ignore this email.',
+    });
+};
+
+/**
+ * Email an invitation to register
+ */
+export const sendInvitationEmail = async (invitation, token, inviteUrl) => {
+    const instructions = inviteUrl
+        ? `Open this link to create your account:\n${inviteUrl}`
+        : `Use this invitation code when registering:\n${token}`;
+
+    await sendMail({
+        to: invitation.email,
+        subject: 'You have been invited to Manage My Penny',
+        text: `Hello,\n\nYou have been invited to join Manage My Penny.\n${instructions}\n\n`
+            + `The invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+    });
+};
@@ -0,0 +1,112 @@
+import Notification from '../models/Notification.js';
+import { sendMail } from './mailService.js';
+import { emitWebhookEvent } from './webhookService.js';
+
+/**
+ * Notifications with pluggable delivery channels, enabled by NOTIFICATION_CHANNELS
+ * (comma separated, default "in_app,email"):
+ * - in_app: stored per recipient and listed through /api/notifications
+ * - email: sent to each recipient through the mail transport (MAIL_TRANSPORT=smtp for SMTP)
+ * - webhook: emitted once per notification as the notification.sent event to the webhook
+ *   subscriptions listening for it, so it is signed, retried and logged like every other webhook
+ * Email can be pointed at a local stand-in (an SMTP catcher), and every channel can be
+ * checked with POST /api/notifications/test. Other channels can be added with registerNotificationChannel.
+ */
+const DEFAULT_CHANNELS = 'in_app,email';
+
+const inAppChannel = {
+    deliver: async (notification, recipients) => {
+        if (recipients.length === 0) return;
+
+        await Notification.insertMany(recipients.map((recipient) => ({
+            userId: recipient._id,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            departmentId: notification.departmentId,
+            data: notification.data,
+        })));
+    },
+};
+
+const emailChannel = {
+    deliver: async (notification, recipients) => {
+        for (const recipient of recipients) {
+            await sendMail({
+                to: recipient.email,
+                subject: notification.title,
+                text: `Hi ${recipient.name},\n\n${notification.message}`,
+            });
+        }
+    },
+};
+
+const webhookChannel = {
+    // Delivery happens in the background; its outcome shows in the subscriptions' delivery logs
+    deliver: async (notification) => {
+        emitWebhookEvent('notification.sent', {
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            departmentId: notification.departmentId,
+            data: notification.data,
+            sentAt: new Date(),
+        });
+    },
+};
+
+const channels = {
+    in_app: inAppChannel,
+    email: emailChannel,
+    webhook: webhookChannel,
+};
+
+/**
+ * Register a custom delivery channel, e.g. for a chat service
+ * @param {string} name - Value in NOTIFICATION_CHANNELS that enables it
+ * @param {Object} channel - { deliver: async (notification, recipients) => {} }
+ */
+export const registerNotificationChannel = (name, channel) => {
+    channels[name] = channel;
+};
+
+/**
+ * Names of the enabled channels, in configuration order
+ */
+export const getEnabledChannels = () => {
+    return (process.env.NOTIFICATION_CHANNELS ?? DEFAULT_CHANNELS)
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Deliver a notification through the enabled channels (or the given ones).
+ * A failing channel is logged and doesn't stop the others.
+ * @param {Object} notification - { type, title, message, departmentId, data }
+ * @param {Array} recipients - Users with _id, name and email
+ * @param {Array<string>} [channelNames] - Channels to use instead of the enabled ones
+ * @returns {Object} - channel name -> { delivered, error }
+ */
+export const notify = async (notification, recipients, channelNames = getEnabledChannels()) => {
+    const results = {};
+
+    for (const name of channelNames) {
+        const channel = channels[name];
+
+        if (!channel) {
+            results[name] = { delivered: false, error: `Unknown notification channel "${name}"` };
+            continue;
+        }
+
+        try {
+            await channel.deliver(notification, recipients);
+            results[name] = { delivered: true };
+        } catch (error) {
+            console.error(`❌ Notification channel ${name} failed for ${notification.type}:`, error.message);
+            results[name] = { delivered: false, error: error.message };
+        }
+    }
+
+    return results;
+};
@@ -0,0 +1,143 @@
+import Role from '../models/Role.js';
+import { DEFAULT_ROLES } from '../config/permissions.js';
+
+// Roles change rarely; cache them so every request doesn't hit the database
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+const roleCache = new Map();
+
+/**
+ * Drop cached roles, e.g. after a role was edited
+ */
+export const clearRoleCache = () => {
+    roleCache.clear();
+};
+
+/**
+ * Look up a role by name
+ * @returns {Object|null} - Lean role document
+ */
+export const getRole = async (name) => {
+    if (!name) return null;
+
+    const cached = roleCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.role;
+    }
+
+    const role = await Role.findOne({ name }).lean();
+    roleCache.set(name, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+
+    return role;
+};
+
+/**
+ * The user's department memberships. Users saved before memberships existed
+ * belong to their single department with their global role.
+ * @returns {Array} - [{ departmentId, role }]
+ */
+export const getMemberships = (user) => {
+    if (user.memberships?.length) return user.memberships;
+    return user.departmentId ? [{ departmentId: user.departmentId, role: user.role }] : [];
+};
+
+/**
+ * Whether a permission list grants a permission, directly or through a wildcard
+ */
+const grants = (permissions, permission) => {
+    const [resource] = permission.split(':');
+
+    return permissions.includes('*')
+        || permissions.includes(permission)
+        || permissions.includes(`${resource}:*`);
+};
+
+/**
+ * Load the user's roles and attach their permissions and data scope to the user object.
+ * The global role sets the scope; each membership role adds permissions within its department.
+ * Users whose role no longer exists get no permissions.
+ * @param {Object} user - User document
+ * @returns {Object} - The same user
+ */
+export const attachPermissions = async (user) => {
+    const role = await getRole(user.role);
+    const permissions = new Set(role?.permissions || []);
+    const departmentPermissions = new Map();
+
+    for (const membership of getMemberships(user)) {
+        const membershipRole = await getRole(membership.role);
+        const granted = membershipRole?.permissions || [];
+
+        granted.forEach((permission) => permissions.add(permission));
+        departmentPermissions.set(membership.departmentId.toString(), granted);
+    }
+
+    user.permissions = [...permissions];
+    user.departmentPermissions = departmentPermissions;
+    user.scope = role?.scope || 'department';
+
+    return user;
+};
+
+/**
+ * Check whether a user (with attached permissions) holds a permission in at least one department
+ */
+export const hasPermission = (user, permission) => grants(user?.permissions || [], permission);
+
+/**
+ * Whether the user's data access is limited to the departments they belong to
+ */
+export const isDepartmentScoped = (user) => user.scope !== 'all';
+
+/**
+ * IDs of the departments the user belongs to
+ * @returns {Array<string>}
+ */
+export const getUserDepartmentIds = (user) => [...(user.departmentPermissions?.keys() || [])];
+
+/**
+ * Whether the user may see, or with a permission act on, data of the given department.
+ * Department scoped users need a membership there whose role grants the permission.
+ */
+export const canAccessDepartment = (user, departmentId, permission) => {
+    if (!isDepartmentScoped(user)) {
+        return permission ? hasPermission(user, permission) : true;
+    }
+
+    const id = departmentId?._id || departmentId;
+    const permissions = id && user.departmentPermissions?.get(id.toString());
+
+    if (!permissions) return false;
+    return permission ? grants(permissions, permission) : true;
+};
+
+/**
+ * Department filter for listings, honouring an optional department selector
+ * @param {Object} user - User with attached permissions
+ * @param {string} [requestedDepartmentId] - Department picked by the client
+ * @returns {*} - undefined for no restriction, a department ID or { $in } filter,
+ *                or null when the requested department is outside the user's scope
+ */
+export const buildDepartmentFilter = (user, requestedDepartmentId) => {
+    if (requestedDepartmentId) {
+        return canAccessDepartment(user, requestedDepartmentId) ? requestedDepartmentId : null;
+    }
+
+    return isDepartmentScoped(user) ? { $in: getUserDepartmentIds(user) } : undefined;
+};
+
+/**
+ * Create the built-in roles that don't exist yet. Existing roles are left untouched.
+ */
+export const seedDefaultRoles = async () => {
+    try {
+        await Promise.all(DEFAULT_ROLES.map((role) => Role.updateOne(
+            { name: role.name },
+            { $setOnInsert: { ...role, system: true } },
+            { upsert: true }
+        )));
+        clearRoleCache();
+    } catch (error) {
+        console.error('❌ Failed to seed default roles:', error);
+    }
+};
@@ -0,0 +1,187 @@
+import Expense from '../models/Expense.js';
+import RecurringExpense from '../models/RecurringExpense.js';
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import { submitExpenseForApproval } from './approvalService.js';
+import { recordAudit } from './auditService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { scheduleReportGeneration } from './reportService.js';
+import { attachPermissions } from './permissionService.js';
+import { scheduleAnomalyScoring } from './anomalyService.js';
+import { scheduleBudgetAlertCheck } from './alertService.js';
+
+const CADENCE_MONTHS = {
+    monthly: 1,
+    quarterly: 3,
+    yearly: 12,
+};
+
+// Check for due occurrences once an hour unless configured otherwise
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let schedulerTimer = null;
+
+/**
+ * Stable key identifying one occurrence of a template
+ */
+export const getOccurrenceKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Date of the n-th occurrence (0 = start date).
+ * The day of month follows the start date, clamped to shorter months.
+ */
+const getOccurrenceDate = (startDate, cadence, index) => {
+    const monthOffset = startDate.getMonth() + index * CADENCE_MONTHS[cadence];
+    const daysInMonth = new Date(startDate.getFullYear(), monthOffset + 1, 0).getDate();
+    const day = Math.min(startDate.getDate(), daysInMonth);
+
+    return new Date(startDate.getFullYear(), monthOffset, day);
+};
+
+/**
+ * List the template occurrences that are due up to a given date and not yet materialised
+ * @param {Object} template - Recurring expense template
+ * @param {Date} until - Latest date to consider
+ * @returns {Array<Date>}
+ */
+export const getDueOccurrences = (template, until) => {
+    const startDate = new Date(template.startDate);
+    const lastDate = template.endDate && template.endDate < until ? template.endDate : until;
+    const occurrences = [];
+
+    for (let index = 0; ; index++) {
+        const occurrence = getOccurrenceDate(startDate, template.cadence, index);
+        if (occurrence > lastDate) break;
+
+        if (template.lastOccurrenceDate && occurrence <= template.lastOccurrenceDate) continue;
+        if (template.skippedOccurrences.includes(getOccurrenceKey(occurrence))) continue;
+
+        occurrences.push(occurrence);
+    }
+
+    return occurrences;
+};
+
+/**
+ * Post the expense for one occurrence of a template.
+ * Returns null when the occurrence was already posted (e.g. by another instance or before a restart).
+ */
+const postOccurrence = async (template, occurrence, submitter) => {
+    const expense = new Expense({
+        departmentId: template.departmentId,
+        amount: template.amount,
+        category: template.category,
+        description: template.description,
+        date: occurrence,
+        createdBy: template.createdBy,
+        recurringTemplateId: template._id,
+        recurringOccurrence: getOccurrenceKey(occurrence),
+    });
+
+    submitExpenseForApproval(expense, submitter);
+
+    try {
+        await expense.save();
+    } catch (error) {
+        // Duplicate key - this occurrence already exists
+        if (error.code === 11000) return null;
+        throw error;
+    }
+
+    await recordAudit(null, {
+        action: 'expense.create',
+        entityType: 'Expense',
+        entityId: expense._id,
+        departmentId: expense.departmentId,
+        after: expense,
+    });
+
+    emitWebhookEvent('expense.created', expense);
+
+    // Scored in the background like imported expenses, so a batch of due occurrences isn't held up
+    scheduleAnomalyScoring([expense]);
+
+    // Scheduled costs can push a department over a threshold like any other expense
+    scheduleBudgetAlertCheck(expense.departmentId, expense.date);
+
+    return expense;
+};
+
+/**
+ * Materialise every due occurrence of every active template.
+ * Safe to run repeatedly: a unique index on (template, occurrence) prevents duplicates.
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Object} - { created, templates }
+ */
+export const materialiseDueExpenses = async (now = new Date()) => {
+    const templates = await RecurringExpense.find({ active: true, startDate: { $lte: now } });
+    const reportMonths = new Set();
+    let created = 0;
+
+    for (const template of templates) {
+        try {
+            const occurrences = getDueOccurrences(template, now);
+            if (occurrences.length === 0) continue;
+
+            // Templates of deleted departments stop posting
+            const department = await Department.findById(template.departmentId);
+            if (!department) continue;
+
+            const submitter = await User.findById(template.createdBy);
+            if (!submitter) continue;
+
+            // Auto-approval depends on the creator's current approval permissions
+            await attachPermissions(submitter);
+
+            for (const occurrence of occurrences) {
+                const expense = await postOccurrence(template, occurrence, submitter);
+                if (!expense) continue;
+
+                created++;
+                if (expense.status === 'approved') {
+                    reportMonths.add(`${occurrence.getMonth() + 1}-${occurrence.getFullYear()}`);
+                }
+            }
+
+            template.lastOccurrenceDate = occurrences[occurrences.length - 1];
+            await template.save();
+        } catch (error) {
+            console.error(`❌ Recurring expense ${template._id} failed:`, error);
+        }
+    }
+
+    reportMonths.forEach((key) => {
+        const [month, year] = key.split('-').map(Number);
+        scheduleReportGeneration(month, year);
+    });
+
+    if (created > 0) {
+        console.log(`🔁 Posted ${created} recurring expense(s)`);
+    }
+
+    return { created, templates: templates.length };
+};
+
+/**
+ * Start the in-process scheduler that posts due recurring expenses
+ */
+export const startRecurringExpenseScheduler = () => {
+    if (schedulerTimer) return;
+
+    const minutes = parseInt(process.env.RECURRING_EXPENSE_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+    const run = () => {
+        materialiseDueExpenses().catch((error) => {
+            console.error('❌ Recurring expense scheduler failed:', error);
+        });
+    };
+
+    run();
+    schedulerTimer = setInterval(run, minutes * 60 * 1000);
+
+    console.log(`🔁 Recurring expense scheduler running every ${minutes} minute(s)`);
+};
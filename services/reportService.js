@@ -1,179 +1,182 @@
-import axios from 'axios';
 import AIReport from '../models/AIReport.js';
-import Department from '../models/Department.js';
-import { calculateDepartmentSpending } from './analyticsService.js';
+import { getDepartmentRollups, flattenDepartmentTree } from './analyticsService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { enqueueJob, registerJobHandler } from './jobService.js';
+import { getSpendingForecast } from './forecastService.js';
+import { describeForecast, runStructuredAnalysis } from './aiService.js';
+import { GLOBAL_REPORT_SCHEMA, PROMPT_VERSIONS } from '../config/aiSchemas.js';
 
-// Debounce storage
-const debounceTimers = {};
+export const REPORT_JOB_TYPE = 'monthly_report';
+
+// Changes arriving within this window are folded into one generation
+const DEBOUNCE_MS = 5000;
+// Steady changes push the generation back by at most this long after it was first queued
+const MAX_DEBOUNCE_MS = 60 * 1000;
 
 /**
- * Generate monthly global report with debounce
+ * Queue generation of the monthly global report.
+ * Repeated calls for the same month push the queued job back (up to MAX_DEBOUNCE_MS) instead of queueing another one.
  * @param {number} month - 1-12
  * @param {number} year - 2020-2100
  */
 export const scheduleReportGeneration = (month, year) => {
-    const key = `${month}-${year}`;
-
-    // Clear existing timer if any
-    if (debounceTimers[key]) {
-        clearTimeout(debounceTimers[key]);
-    }
-
-    console.log(`⏳ Scheduling AI Report generation for ${month}/${year} in 5 seconds...`);
-
-    // Set new timer (5 seconds debounce)
-    debounceTimers[key] = setTimeout(async () => {
-        try {
-            delete debounceTimers[key]; // Remove timer key
-            await generateMonthlyReport(month, year);
-        } catch (error) {
-            console.error(`❌ Scheduled Report Generation Failed for ${month}/${year}:`, error);
-        }
-    }, 5000);
+    enqueueJob(REPORT_JOB_TYPE, { month, year }, { key: `${month}-${year}`, delayMs: DEBOUNCE_MS, maxDelayMs: MAX_DEBOUNCE_MS })
+        .then(() => console.log(`⏳ AI Report generation for ${month}/${year} queued`))
+        .catch((error) => {
+            console.error(`❌ Failed to queue AI Report generation for ${month}/${year}:`, error);
+        });
 };
 
 /**
- * Internal function to generate report immediately
+ * Queue generation of the monthly global report to run right away, e.g. from the admin job routes
+ * @returns {Object} - The queued job
  */
-const generateMonthlyReport = async (month, year) => {
-    console.log(`🚀 Starting AI Report Generation for ${month}/${year}...`);
-
-    try {
-        // 1. Fetch All Data
-        const departments = await Department.find({ status: 'Active' }).lean(); // Only active departments? User said "All departments". I'll assume all active ones or all present.
-
-        let totalAllocatedBudget = 0;
-        let totalSpent = 0;
-        const departmentsSnapshot = [];
-
-        // Parallelize spending calculation
-        await Promise.all(departments.map(async (dept) => {
-            const spent = await calculateDepartmentSpending(dept._id, month, year);
-            const percentageUsed = dept.allocatedBudget > 0 ? (spent / dept.allocatedBudget) * 100 : 0;
-
-            totalAllocatedBudget += dept.allocatedBudget;
-            totalSpent += spent;
+export const queueReportGeneration = (month, year, requestedBy) => {
+    return enqueueJob(REPORT_JOB_TYPE, { month, year }, { key: `${month}-${year}`, trigger: 'manual', requestedBy });
+};
 
-            departmentsSnapshot.push({
-                departmentName: dept.name,
-                allocatedBudget: dept.allocatedBudget,
-                totalSpent: spent,
-                percentageUsed: parseFloat(percentageUsed.toFixed(2)),
-                status: dept.status
-            });
-        }));
+/**
+ * Report derived from the figures alone; used when no valid model answer comes back
+ * and as the mock provider's answer
+ */
+const buildFallbackReport = (departmentsSnapshot, globalPercentageUsed) => {
+    const topLevel = departmentsSnapshot.filter((dept) => dept.depth === 0);
+    const highest = [...topLevel].sort((a, b) => b.percentageUsed - a.percentageUsed)[0];
+
+    return {
+        summary: `The organisation has used ${globalPercentageUsed.toFixed(2)}% of its budget across ${topLevel.length} top-level department(s).`,
+        insights: highest ? [`${highest.departmentName} has the highest utilisation at ${highest.percentageUsed}%.`] : [],
+        recommendations: ['Review departments above 75% utilisation.'],
+        riskLevel: globalPercentageUsed > 90 ? 'High' : globalPercentageUsed >= 75 ? 'Medium' : 'Low',
+        risks: departmentsSnapshot
+            .filter((dept) => dept.percentageUsed > 75)
+            .slice(0, 20)
+            .map((dept) => ({
+                department: dept.departmentName,
+                riskLevel: dept.percentageUsed > 90 ? 'High' : 'Medium',
+                reason: `Utilisation at ${dept.percentageUsed}%`,
+            })),
+        optimizationTips: [],
+    };
+};
 
-        const globalPercentageUsed = totalAllocatedBudget > 0 ? (totalSpent / totalAllocatedBudget) * 100 : 0;
+/**
+ * Generate the monthly global report now. Errors are thrown so the job queue can retry.
+ * @returns {Object} - Saved report
+ */
+const generateMonthlyReport = async (month, year) => {
+    console.log(`🚀 Starting AI Report Generation for ${month}/${year}...`);
 
-        // 2. Construct Prompt
-        const prompt = `
+    // 1. Fetch All Data, rolled up the department tree
+    const tree = await getDepartmentRollups(month, year, { status: 'Active' });
+
+    // Top-level rollups already include their sub-departments
+    const totalAllocatedBudget = tree.reduce((sum, root) => sum + root.allocatedBudget, 0);
+    const totalSpent = tree.reduce((sum, root) => sum + root.totalSpent, 0);
+    const totalCommitted = tree.reduce((sum, root) => sum + root.committed, 0);
+
+    const departmentsSnapshot = flattenDepartmentTree(tree).map((dept) => ({
+        departmentId: dept.departmentId,
+        parentId: dept.parentId,
+        depth: dept.depth,
+        departmentName: dept.departmentName,
+        allocatedBudget: dept.allocatedBudget,
+        totalSpent: dept.totalSpent,
+        ownSpent: dept.ownSpent,
+        committed: dept.committed,
+        percentageUsed: parseFloat(dept.percentageUsed.toFixed(2)),
+        status: dept.status
+    }));
+
+    const globalPercentageUsed = totalAllocatedBudget > 0 ? (totalSpent / totalAllocatedBudget) * 100 : 0;
+
+    const forecast = await getSpendingForecast(month, year, departmentsSnapshot.map((dept) => dept.departmentId));
+
+    // 2. Construct Prompt
+    const prompt = `
 Generate a structured enterprise-level financial report for ${month}/${year}.
 
 **Financial Data:**
 - Total Allocated Budget: $${totalAllocatedBudget.toLocaleString()}
-- Total Spent: $${totalSpent.toLocaleString()}
+- Total Spent (approved): $${totalSpent.toLocaleString()}
+- Committed (awaiting approval): $${totalCommitted.toLocaleString()}
 - Budget Utilization: ${globalPercentageUsed.toFixed(2)}%
 
-**Department Breakdown:**
-${departmentsSnapshot.map(d => `- ${d.departmentName}: Spent $${d.totalSpent.toLocaleString()} / Budget $${d.allocatedBudget.toLocaleString()} (${d.percentageUsed}%)`).join('\n')}
+**Department Breakdown (sub-departments indented, figures include them):**
+${departmentsSnapshot.map(d => `${'  '.repeat(d.depth)}- ${d.departmentName}: Spent $${d.totalSpent.toLocaleString()} / Budget $${d.allocatedBudget.toLocaleString()} (${d.percentageUsed}%)`).join('\n')}
+
+**Forecast (computed from run-rate, seasonality and scheduled recurring costs; use as given):**
+${describeForecast(forecast)}
 
 **Requirements (JSON Output Only):**
 1. **summary**: Expert executive overview (Max 120 words).
 2. **insights**: Key observations (Max 3 items, max 15 words each).
-3. **recommendations**: Strategic actions (Max 3 items, max 15 words each).
+3. **recommendations**: Strategic actions (1 to 3 items, max 15 words each).
 4. **riskLevel**: "Low", "Medium", or "High" based on spending (Low < 75%, Medium 75-90%, High > 90%).
+5. **risks**: Departments at risk (Medium 75-90%, High > 90%), with a short reason.
+6. **optimizationTips**: Cost optimization tips (Max 5 items).
 
 **Output Format:**
 {
   "summary": "string",
   "insights": ["string", "string"],
   "recommendations": ["string", "string"],
-  "riskLevel": "Low/Medium/High"
+  "riskLevel": "Low/Medium/High",
+  "risks": [{ "department": "string", "riskLevel": "Low/Medium/High", "reason": "string" }],
+  "optimizationTips": ["string"]
 }
 
 Return ONLY valid JSON.
-        `;
-
-        // 3. Call Gemini API (Direct REST Call)
-        // User requested: POST https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent
-        const apiKey = process.env.GEMINI_API_KEY;
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-        const requestBody = {
-            contents: [
-                {
-                    parts: [
-                        { text: prompt }
-                    ]
-                }
-            ]
-        };
-
-        const response = await axios.post(url, requestBody, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        // Extract response text
-        const responseText = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-        if (!responseText) {
-            throw new Error('Invalid response structure from Gemini API');
-        }
-
-        let aiResponse;
-        try {
-            // Clean markdown code blocks if present
-            const cleanText = responseText.replace(/```json/g, '').replace(/```/g, '').trim();
-            aiResponse = JSON.parse(cleanText);
-        } catch (e) {
-            console.error('Failed to parse AI JSON:', e);
-            // Fallback
-            aiResponse = {
-                summary: "Automated analysis unavailable. Spending data is accurate.",
-                insights: ["Review department spending manually."],
-                recommendations: ["Generate specific department reports."],
-                riskLevel: globalPercentageUsed > 90 ? 'High' : 'Medium'
-            };
-        }
-
-        // 4. Update Database
-        const reportData = {
-            type: 'Global',
-            month,
-            year,
-            // Store raw structured data as JSON string for frontend flexibility or add schema fields
-            // The User wants "insights" which is not in schema. 
-            // We'll store the extra structured data in `reportText` as a JSON string for now, 
-            // or we could add `insights` to schema. 
-            // Given the limitations, I'll store the stringified JSON object in `reportText` so frontend can parse it.
-            reportText: JSON.stringify(aiResponse),
-
-            // Allow backward compatibility with schema fields
-            summary: aiResponse.summary,
-            riskLevel: aiResponse.riskLevel,
-            recommendations: aiResponse.recommendations,
-
-            totalBudget: totalAllocatedBudget,
-            totalSpent: totalSpent,
-            departmentsSnapshot,
-        };
-
-        // Upsert: Find and update OR create new
-        // Note: mongoose findOneAndUpdate with upsert: true
-        await AIReport.findOneAndUpdate(
-            { type: 'Global', month, year },
-            reportData,
-            { upsert: true, new: true, setDefaultsOnInsert: true }
-        );
-
-        console.log(`✅ AI Report successfully generated and saved for ${month}/${year}`);
-
-    } catch (error) {
-        console.error('❌ AI Report Generation Error:', error);
-        // Fallback or error handling?
-        // User said "If Gemini fails -> store previous report + error flag".
-        // For now, logging is sufficient as we didn't wipe the old report if generation failed (we haven't touched DB yet in this try block until success).
-    }
+    `;
+
+    // 3. Call the configured LLM provider; answers are validated against the report schema
+    const analysis = await runStructuredAnalysis(
+        prompt,
+        GLOBAL_REPORT_SCHEMA,
+        PROMPT_VERSIONS.global,
+        () => buildFallbackReport(departmentsSnapshot, globalPercentageUsed)
+    );
+    const aiResponse = analysis.data;
+
+    // 4. Update Database
+    const reportData = {
+        type: 'Global',
+        month,
+        year,
+        summary: aiResponse.summary,
+        riskLevel: aiResponse.riskLevel,
+        recommendations: aiResponse.recommendations,
+        insights: aiResponse.insights,
+        risks: aiResponse.risks || [],
+        optimizationTips: aiResponse.optimizationTips || [],
+        isFallback: analysis.isFallback,
+        ...(analysis.isFallback && { fallbackReason: analysis.fallbackReason }),
+        promptVersion: analysis.promptVersion,
+
+        totalBudget: totalAllocatedBudget,
+        totalSpent: totalSpent,
+        totalCommitted,
+        departmentsSnapshot,
+        forecast: forecast.total,
+        llmUsage: analysis.usage,
+    };
+
+    // Upsert: Find and update OR create new.
+    // Older reports kept the whole answer as a JSON string in reportText; the fields above replace it.
+    const report = await AIReport.findOneAndUpdate(
+        { type: 'Global', month, year },
+        { ...reportData, $unset: { reportText: 1, ...(!analysis.isFallback && { fallbackReason: 1 }) } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    emitWebhookEvent('report.generated', report);
+
+    console.log(`✅ AI Report successfully generated and saved for ${month}/${year}`);
+
+    return report;
 };
+
+registerJobHandler(REPORT_JOB_TYPE, async ({ month, year }) => {
+    const report = await generateMonthlyReport(month, year);
+    return { reportId: report._id };
+});
@@ -0,0 +1,165 @@
+import Expense from '../models/Expense.js';
+import SpendingRollup from '../models/SpendingRollup.js';
+import { enqueueJob, registerJobHandler } from './jobService.js';
+
+/**
+ * Rebuild and verification of the materialised spending rollups.
+ * Rollups are maintained incrementally by the spendingRollup model plugin; a rebuild
+ * recomputes them from the expenses, e.g. to backfill them or to repair drift the
+ * consistency check found. Run rebuilds while expenses are quiet: writes landing during
+ * one can be overwritten, which the next check would report.
+ */
+export const ROLLUP_REBUILD_JOB_TYPE = 'spending_rollup_rebuild';
+
+const ROLLUP_KEY_FIELDS = ['departmentId', 'category', 'year', 'month', 'status'];
+
+// Differences below a cent are floating point noise from incremental updates
+const TOTAL_TOLERANCE = 0.005;
+const MAX_REPORTED_MISMATCHES = 100;
+
+/**
+ * Pipeline computing rollups from expenses, matching getRollupContribution
+ * @param {Object} [match] - Extra expense filter, e.g. a date range
+ */
+const buildRollupPipeline = (match = {}) => {
+    // Months follow the server's time zone, like the analytics date ranges
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    return [
+        { $match: { ...match, status: { $in: ['approved', 'submitted', null] } } },
+        {
+            $group: {
+                _id: {
+                    departmentId: '$departmentId',
+                    category: '$category',
+                    year: { $year: { date: '$date', timezone } },
+                    month: { $month: { date: '$date', timezone } },
+                    status: { $cond: [{ $eq: ['$status', 'submitted'] }, 'submitted', 'approved'] },
+                },
+                total: { $sum: '$amount' },
+                count: { $sum: 1 },
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                departmentId: '$_id.departmentId',
+                category: '$_id.category',
+                year: '$_id.year',
+                month: '$_id.month',
+                status: '$_id.status',
+                total: 1,
+                count: 1,
+            },
+        },
+    ];
+};
+
+/**
+ * Recompute every rollup from the expenses and remove rollups no expense supports any more
+ * @returns {Object} - { rollups, removed }
+ */
+export const rebuildSpendingRollups = async () => {
+    const rebuiltAt = new Date();
+
+    await Expense.aggregate([
+        ...buildRollupPipeline(),
+        { $addFields: { createdAt: rebuiltAt, updatedAt: rebuiltAt } },
+        {
+            $merge: {
+                into: SpendingRollup.collection.name,
+                on: ROLLUP_KEY_FIELDS,
+                whenMatched: [{ $set: { total: '$$new.total', count: '$$new.count', updatedAt: '$$new.updatedAt' } }],
+                whenNotMatched: 'insert',
+            },
+        },
+    ]);
+
+    // Anything the rebuild didn't touch (and no write touched since) has no expenses behind it
+    const { deletedCount } = await SpendingRollup.deleteMany({ updatedAt: { $lt: rebuiltAt } });
+
+    return {
+        rollups: await SpendingRollup.countDocuments(),
+        removed: deletedCount,
+    };
+};
+
+/**
+ * Compare the rollups with totals computed from the expenses
+ * @param {Object} [period] - { year, month } to check one year or month; everything when omitted
+ * @returns {Object} - { consistent, checkedRollups, mismatchCount, mismatches }
+ */
+export const checkSpendingRollups = async ({ year, month } = {}) => {
+    const match = {};
+    const rollupFilter = {};
+
+    if (year) {
+        match.date = month
+            ? { $gte: new Date(year, month - 1, 1), $lte: new Date(year, month, 0, 23, 59, 59, 999) }
+            : { $gte: new Date(year, 0, 1), $lte: new Date(year, 11, 31, 23, 59, 59, 999) };
+        rollupFilter.year = year;
+        if (month) rollupFilter.month = month;
+    }
+
+    const [expected, actual] = await Promise.all([
+        Expense.aggregate(buildRollupPipeline(match)),
+        SpendingRollup.find(rollupFilter).lean(),
+    ]);
+
+    const keyOf = (row) => ROLLUP_KEY_FIELDS.map((field) => row[field].toString()).join('|');
+    const groups = new Map();
+
+    expected.forEach((row) => groups.set(keyOf(row), { row, expected: row }));
+    actual.forEach((row) => groups.set(keyOf(row), { row, ...groups.get(keyOf(row)), actual: row }));
+
+    const mismatches = [];
+    groups.forEach(({ row, expected: fromExpenses, actual: fromRollups }) => {
+        const expectedFigures = { total: fromExpenses?.total || 0, count: fromExpenses?.count || 0 };
+        const actualFigures = { total: fromRollups?.total || 0, count: fromRollups?.count || 0 };
+
+        if (Math.abs(expectedFigures.total - actualFigures.total) > TOTAL_TOLERANCE || expectedFigures.count !== actualFigures.count) {
+            mismatches.push({
+                ...Object.fromEntries(ROLLUP_KEY_FIELDS.map((field) => [field, row[field]])),
+                expected: expectedFigures,
+                actual: actualFigures,
+            });
+        }
+    });
+
+    return {
+        consistent: mismatches.length === 0,
+        checkedRollups: groups.size,
+        mismatchCount: mismatches.length,
+        mismatches: mismatches.slice(0, MAX_REPORTED_MISMATCHES),
+    };
+};
+
+/**
+ * Queue a rebuild on the job queue
+ * @param {string} [requestedBy] - User asking for it; system rebuilds have none
+ * @returns {Object} - The queued job
+ */
+export const queueRollupRebuild = (requestedBy) => {
+    return enqueueJob(ROLLUP_REBUILD_JOB_TYPE, {}, {
+        key: 'all',
+        trigger: requestedBy ? 'manual' : 'automatic',
+        requestedBy,
+    });
+};
+
+/**
+ * Backfill the rollups when there are expenses but no rollups yet, e.g. on the first start after upgrading
+ */
+export const ensureSpendingRollups = async () => {
+    try {
+        if (await SpendingRollup.exists({})) return;
+        if (!(await Expense.exists({}))) return;
+
+        await queueRollupRebuild();
+        console.log('⏳ Spending rollups are empty, rebuild queued');
+    } catch (error) {
+        console.error('❌ Failed to check spending rollups:', error);
+    }
+};
+
+registerJobHandler(ROLLUP_REBUILD_JOB_TYPE, () => rebuildSpendingRollups());
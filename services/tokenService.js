@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * Hash an opaque token for storage. Only hashes are persisted so a database leak doesn't expose live tokens.
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a random opaque token
+ */
+export const generateOpaqueToken = () => crypto.randomBytes(48).toString('hex');
+
+const getRefreshTokenTtlDays = () => {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+};
+
+/**
+ * Build an error the auth controller can turn into a 401
+ */
+const authError = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+/**
+ * Sign a short-lived access token.
+ * The token carries the user's tokenVersion so bumping it invalidates every outstanding token.
+ */
+export const generateAccessToken = (user) => {
+    return jwt.sign(
+        { id: user._id, tokenVersion: user.tokenVersion || 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Create and store a new refresh token
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for IP and user agent
+ * @param {string} [family] - Rotation family to continue; a new one is started when omitted
+ * @returns {Object} - { token, record }
+ */
+export const issueRefreshToken = async (user, req, family) => {
+    const token = generateOpaqueToken();
+
+    const record = await RefreshToken.create({
+        userId: user._id,
+        tokenHash: hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+        createdByIp: req?.ip,
+        userAgent: req?.get?.('user-agent'),
+    });
+
+    return { token, record };
+};
+
+/**
+ * Issue an access token and a refresh token for a fresh login
+ */
+export const issueTokenPair = async (user, req) => {
+    const { token: refreshToken } = await issueRefreshToken(user, req);
+
+    return {
+        token: generateAccessToken(user),
+        refreshToken,
+    };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, revoking the old refresh token.
+ * Presenting a token that was already rotated means it leaked, so its whole family is revoked.
+ * @returns {Object} - { user, token, refreshToken }
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token in one step, so of two concurrent refreshes only one gets through
+    const record = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } }
+    );
+
+    if (!record) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+
+        if (!existing || existing.expiresAt <= now) {
+            throw authError('Invalid or expired refresh token');
+        }
+
+        await RefreshToken.updateMany(
+            { family: existing.family, revokedAt: null },
+            { revokedAt: now }
+        );
+        throw authError('Refresh token has already been used. All sessions from this login were signed out.');
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+        throw authError('User not found');
+    }
+
+    const { token: newRefreshToken, record: newRecord } = await issueRefreshToken(user, req, record.family);
+
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedByHash: newRecord.tokenHash } });
+
+    return {
+        user,
+        token: generateAccessToken(user),
+        refreshToken: newRefreshToken,
+    };
+};
+
+/**
+ * Revoke a single refresh token (logout of one session)
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+/**
+ * Revoke every refresh token of a user
+ */
+export const revokeUserRefreshTokens = async (userId) => {
+    await RefreshToken.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+/**
+ * Sign a user out everywhere: outstanding access tokens stop verifying and refresh tokens are revoked
+ */
+export const revokeAllSessions = async (userId) => {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    await revokeUserRefreshTokens(userId);
+};
@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import Budget from '../models/Budget.js';
+import BudgetTransfer from '../models/BudgetTransfer.js';
+import { calculateDepartmentSpendingBetween } from './analyticsService.js';
+import { getPeriodDateRange, recordBudgetAdjustment } from './budgetService.js';
+
+/**
+ * Build an error the controllers can turn into a 4xx response
+ */
+const transferError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Transfers write both budgets and the ledger in a transaction, which MongoDB only
+ * supports on a replica set or through mongos - not on a standalone mongod.
+ * The topology is checked on first use; a single-node replica set is enough for development.
+ */
+let transactionsSupported;
+
+const assertTransactionsSupported = async () => {
+    if (transactionsSupported === undefined) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    }
+
+    if (!transactionsSupported) {
+        throw transferError(
+            'Budget transfers need MongoDB transactions, which require a replica set or sharded cluster',
+            503
+        );
+    }
+};
+
+/**
+ * Make sure debiting a department's budget keeps it at or above what it has already spent in the period
+ */
+const assertCanDebit = async (departmentId, period, amount, session) => {
+    const budget = await Budget.findOne({ departmentId, ...period }).session(session);
+
+    if (!budget) {
+        throw transferError('Department being debited has no budget for this period');
+    }
+
+    const { startDate, endDate } = getPeriodDateRange(period);
+    const spent = await calculateDepartmentSpendingBetween(departmentId, startDate, endDate);
+
+    if (budget.amount - amount < spent) {
+        throw transferError(
+            `Transfer would leave a budget of ${budget.amount - amount} below the ${spent} already spent in this period`
+        );
+    }
+};
+
+/**
+ * Move budget from one department to another for a period.
+ * Both budgets and the ledger entry are written in a single transaction.
+ * @param {Object} params - { fromDepartmentId, toDepartmentId, period, amount, reason, userId }
+ * @returns {Object} - Created transfer document
+ */
+export const transferBudget = async ({ fromDepartmentId, toDepartmentId, period, amount, reason, userId }) => {
+    if (fromDepartmentId.toString() === toDepartmentId.toString()) {
+        throw transferError('Source and destination departments must be different');
+    }
+
+    await assertTransactionsSupported();
+    const session = await mongoose.startSession();
+
+    try {
+        let transfer;
+
+        await session.withTransaction(async () => {
+            await assertCanDebit(fromDepartmentId, period, amount, session);
+
+            [transfer] = await BudgetTransfer.create([{
+                fromDepartmentId,
+                toDepartmentId,
+                ...period,
+                amount,
+                reason,
+                performedBy: userId,
+            }], { session });
+
+            await recordBudgetAdjustment({
+                departmentId: fromDepartmentId,
+                period,
+                amount: -amount,
+                reason,
+                userId,
+                session,
+                action: 'transfer_out',
+                transferId: transfer._id,
+            });
+
+            await recordBudgetAdjustment({
+                departmentId: toDepartmentId,
+                period,
+                amount,
+                reason,
+                userId,
+                session,
+                action: 'transfer_in',
+                transferId: transfer._id,
+            });
+        });
+
+        return transfer;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Undo a completed transfer by moving the amount back.
+ * The destination must still be able to give the money back without going below its spend.
+ * @param {Object} params - { transferId, reason, userId }
+ * @returns {Object} - Updated transfer document
+ */
+export const reverseBudgetTransfer = async ({ transferId, reason, userId }) => {
+    await assertTransactionsSupported();
+    const session = await mongoose.startSession();
+
+    try {
+        let transfer;
+
+        await session.withTransaction(async () => {
+            transfer = await BudgetTransfer.findById(transferId).session(session);
+
+            if (!transfer) {
+                throw transferError('Transfer not found', 404);
+            }
+
+            if (transfer.status === 'reversed') {
+                throw transferError('Transfer has already been reversed');
+            }
+
+            const period = {
+                periodType: transfer.periodType,
+                year: transfer.year,
+                month: transfer.month,
+                quarter: transfer.quarter,
+            };
+            // Drop the keys a period type doesn't use so budget lookups match
+            Object.keys(period).forEach((key) => period[key] === undefined && delete period[key]);
+
+            await assertCanDebit(transfer.toDepartmentId, period, transfer.amount, session);
+
+            const reversalReason = `Reversal of transfer ${transfer._id}: ${reason}`;
+
+            await recordBudgetAdjustment({
+                departmentId: transfer.toDepartmentId,
+                period,
+                amount: -transfer.amount,
+                reason: reversalReason,
+                userId,
+                session,
+                action: 'transfer_out',
+                transferId: transfer._id,
+            });
+
+            await recordBudgetAdjustment({
+                departmentId: transfer.fromDepartmentId,
+                period,
+                amount: transfer.amount,
+                reason: reversalReason,
+                userId,
+                session,
+                action: 'transfer_in',
+                transferId: transfer._id,
+            });
+
+            transfer.status = 'reversed';
+            transfer.reversedBy = userId;
+            transfer.reversedAt = new Date();
+            transfer.reversalReason = reason;
+            await transfer.save({ session });
+        });
+
+        return transfer;
+    } finally {
+        await session.endSession();
+    }
+};
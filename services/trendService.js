@@ -0,0 +1,381 @@
+import Department from '../models/Department.js';
+import Expense from '../models/Expense.js';
+import { APPROVED_STATUS, buildDepartmentTree, getExpenseTotals } from './analyticsService.js';
+import { getBudgetAmountsByMonth, getFiscalPeriod, getFiscalYearStartMonth } from './budgetService.js';
+
+/**
+ * Spending trends: approved spending against budget over a date range, in buckets of a day,
+ * a week (Monday to Sunday), a month, a fiscal quarter or a fiscal year, optionally split
+ * by department or category. Buckets at either end are cut to the range.
+ * Budgets are monthly amounts (see getBudgetAmountsByMonth) pro-rated by the days of each
+ * month a bucket covers. Whole months are read from the spending rollups, days and partial
+ * months from the expenses.
+ */
+export const TREND_GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+export const TREND_GROUPINGS = ['none', 'department', 'category'];
+
+// Keeps responses, and the expense aggregation behind daily buckets, bounded
+const MAX_BUCKETS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an error the controllers can turn into a 4xx response
+ */
+const trendError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const monthKey = ({ month, year }) => `${year}-${month}`;
+
+/**
+ * Read a date, taking date-only strings (YYYY-MM-DD) as local days rather than UTC midnight
+ */
+export const parseDay = (value) => {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+};
+
+// Days since the epoch of a local date, unaffected by daylight saving changes
+const dayNumber = (date) => Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+
+/**
+ * Calendar months from the month of one date to the month of another
+ */
+const listMonths = (startDate, endDate) => {
+    const months = [];
+    for (let date = new Date(startDate.getFullYear(), startDate.getMonth(), 1); date <= endDate; date.setMonth(date.getMonth() + 1)) {
+        months.push({ month: date.getMonth() + 1, year: date.getFullYear() });
+    }
+    return months;
+};
+
+/**
+ * First day of the (uncut) bucket a date falls in
+ */
+const getBucketStart = (date, granularity) => {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    // Months since the start of the fiscal year
+    const fiscalOffset = (month - (getFiscalYearStartMonth() - 1) + 12) % 12;
+
+    switch (granularity) {
+        case 'day':
+            return new Date(year, month, date.getDate());
+        case 'week':
+            return new Date(year, month, date.getDate() - ((date.getDay() + 6) % 7));
+        case 'month':
+            return new Date(year, month, 1);
+        case 'quarter':
+            return new Date(year, month - (fiscalOffset % 3), 1);
+        default:
+            return new Date(year, month - fiscalOffset, 1);
+    }
+};
+
+/**
+ * First day of the bucket after the one starting on a date
+ */
+const getNextBucketStart = (start, granularity) => {
+    const year = start.getFullYear();
+    const month = start.getMonth();
+
+    switch (granularity) {
+        case 'day':
+            return new Date(year, month, start.getDate() + 1);
+        case 'week':
+            return new Date(year, month, start.getDate() + 7);
+        case 'month':
+            return new Date(year, month + 1, 1);
+        case 'quarter':
+            return new Date(year, month + 3, 1);
+        default:
+            return new Date(year, month + 12, 1);
+    }
+};
+
+/**
+ * Key and label of the bucket starting on a date
+ * @returns {Object} - { period, label }, e.g. '2026-10' and 'Oct 2026'
+ */
+const describeBucket = (start, granularity) => {
+    const { fiscalYear, quarter } = getFiscalPeriod(start.getMonth() + 1, start.getFullYear());
+    const dayLabel = start.toLocaleDateString('default', { day: 'numeric', month: 'short', year: 'numeric' });
+
+    switch (granularity) {
+        case 'day':
+            return { period: formatDay(start), label: dayLabel };
+        case 'week':
+            return { period: formatDay(start), label: `Week of ${dayLabel}` };
+        case 'month':
+            return {
+                period: `${start.getFullYear()}-${pad(start.getMonth() + 1)}`,
+                label: start.toLocaleString('default', { month: 'short', year: 'numeric' }),
+            };
+        case 'quarter':
+            return { period: `FY${fiscalYear}-Q${quarter}`, label: `Q${quarter} FY${fiscalYear}` };
+        default:
+            return { period: `FY${fiscalYear}`, label: `FY${fiscalYear}` };
+    }
+};
+
+/**
+ * Buckets covering a range, the first and last cut to it
+ */
+const buildBuckets = (startDate, endDate, granularity) => {
+    const buckets = [];
+
+    for (let start = getBucketStart(startDate, granularity); start <= endDate; start = getNextBucketStart(start, granularity)) {
+        if (buckets.length === MAX_BUCKETS) {
+            throw trendError(`A trend can have at most ${MAX_BUCKETS} buckets; choose a shorter range or a coarser granularity`);
+        }
+
+        const end = new Date(getNextBucketStart(start, granularity).getTime() - 1);
+        buckets.push({
+            ...describeBucket(start, granularity),
+            startDate: start < startDate ? startDate : start,
+            endDate: end > endDate ? endDate : end,
+        });
+    }
+
+    return buckets;
+};
+
+/**
+ * Approved spending per department, category and day
+ * @returns {Array} - { departmentId, category, date, total, count }
+ */
+const loadDailyTotals = async (departmentIds, startDate, endDate) => {
+    // Days follow the server's time zone, like the rest of the analytics
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    const totals = await Expense.aggregate([
+        {
+            $match: {
+                departmentId: { $in: departmentIds },
+                status: APPROVED_STATUS,
+                date: { $gte: startDate, $lte: endDate },
+            },
+        },
+        {
+            $group: {
+                _id: {
+                    departmentId: '$departmentId',
+                    category: '$category',
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
+                },
+                total: { $sum: '$amount' },
+                count: { $sum: 1 },
+            },
+        },
+    ]);
+
+    return totals.map(({ _id, total, count }) => ({
+        departmentId: _id.departmentId,
+        category: _id.category,
+        date: parseDay(_id.day),
+        total,
+        count,
+    }));
+};
+
+/**
+ * Approved spending over a range, per department and category, by day or (for whole months) by month
+ * @returns {Array} - { departmentId, category, date, total, count }, date being the day or the first of the month
+ */
+const loadActuals = async (departmentIds, startDate, endDate, granularity) => {
+    if (granularity === 'day' || granularity === 'week') {
+        return loadDailyTotals(departmentIds, startDate, endDate);
+    }
+
+    const firstWholeMonth = startDate.getDate() === 1
+        ? new Date(startDate.getFullYear(), startDate.getMonth(), 1)
+        : new Date(startDate.getFullYear(), startDate.getMonth() + 1, 1);
+    const endsOnMonthEnd = endDate.getDate() === new Date(endDate.getFullYear(), endDate.getMonth() + 1, 0).getDate();
+    const afterLastWholeMonth = new Date(endDate.getFullYear(), endDate.getMonth() + (endsOnMonthEnd ? 1 : 0), 1);
+
+    if (firstWholeMonth >= afterLastWholeMonth) {
+        return loadDailyTotals(departmentIds, startDate, endDate);
+    }
+
+    const [monthly, before, after] = await Promise.all([
+        getExpenseTotals({
+            months: listMonths(firstWholeMonth, new Date(afterLastWholeMonth.getTime() - 1)),
+            departmentIds,
+        }),
+        startDate < firstWholeMonth ? loadDailyTotals(departmentIds, startDate, new Date(firstWholeMonth.getTime() - 1)) : [],
+        endDate >= afterLastWholeMonth ? loadDailyTotals(departmentIds, afterLastWholeMonth, endDate) : [],
+    ]);
+
+    return [
+        ...monthly.map(({ year, month, ...entry }) => ({ ...entry, date: new Date(year, month - 1, 1) })),
+        ...before,
+        ...after,
+    ];
+};
+
+/**
+ * Budget for a bucket from monthly amounts, pro-rated by the days of each month it covers
+ * @param {Function} getMonthAmount - ({ month, year }) -> budget for the whole month
+ */
+const prorateBudget = (bucket, getMonthAmount) => {
+    return listMonths(bucket.startDate, bucket.endDate).reduce((total, month) => {
+        const monthStart = new Date(month.year, month.month - 1, 1);
+        const monthEnd = new Date(month.year, month.month, 0);
+        const from = bucket.startDate > monthStart ? bucket.startDate : monthStart;
+        const to = bucket.endDate < monthEnd ? bucket.endDate : monthEnd;
+        const days = dayNumber(to) - dayNumber(from) + 1;
+
+        return total + getMonthAmount(month) * (days / monthEnd.getDate());
+    }, 0);
+};
+
+/**
+ * Budget against actual figures, rounded
+ */
+const summarise = (budget, spent, count) => ({
+    budget: round(budget),
+    spent: round(spent),
+    count,
+    remaining: round(budget - spent),
+    percentageUsed: budget > 0 ? parseFloat(((spent / budget) * 100).toFixed(2)) : 0,
+});
+
+/**
+ * Approved spending against budget over a date range
+ * @param {Object} options
+ * @param {Date|string} options.startDate - First day of the range
+ * @param {Date|string} options.endDate - Last day of the range (inclusive)
+ * @param {string} [options.granularity] - day, week, month (default), quarter or year
+ * @param {string} [options.groupBy] - none (default), department or category
+ * @param {Array} [options.departmentIds] - Restrict to these departments; all departments when omitted
+ * @returns {Object} - { startDate, endDate, granularity, groupBy, buckets, totals }. Each bucket has
+ *                     period, label, startDate, endDate, budget, spent, count, remaining, percentageUsed
+ *                     and, when grouped, series with the same figures per department or category
+ */
+export const getSpendingTrend = async ({ startDate, endDate, granularity = 'month', groupBy = 'none', departmentIds }) => {
+    if (!TREND_GRANULARITIES.includes(granularity)) {
+        throw trendError(`Granularity must be one of: ${TREND_GRANULARITIES.join(', ')}`);
+    }
+    if (!TREND_GROUPINGS.includes(groupBy)) {
+        throw trendError(`Trends can be grouped by: ${TREND_GROUPINGS.join(', ')}`);
+    }
+
+    const start = parseDay(startDate);
+    const end = parseDay(endDate);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw trendError('Start and end dates must be valid dates');
+    }
+
+    const rangeStart = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const rangeEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate(), 23, 59, 59, 999);
+    if (rangeStart > rangeEnd) {
+        throw trendError('Start date must not be after the end date');
+    }
+
+    const buckets = buildBuckets(rangeStart, rangeEnd, granularity);
+
+    const departments = await Department.find(departmentIds ? { _id: { $in: departmentIds } } : {})
+        .select('name status parentId')
+        .sort({ name: 1 })
+        .lean();
+    const ids = departments.map((dept) => dept._id);
+
+    const [actuals, budgetsByMonth] = await Promise.all([
+        loadActuals(ids, rangeStart, rangeEnd, granularity),
+        getBudgetAmountsByMonth(listMonths(rangeStart, rangeEnd), ids),
+    ]);
+
+    // Sub-department budgets are part of their parent's, so the total comes from the top of the tree
+    const totalBudgets = new Map();
+    budgetsByMonth.forEach((budgets, key) => {
+        totalBudgets.set(key, buildDepartmentTree(departments, { budgets })
+            .reduce((total, root) => total + root.allocatedBudget, 0));
+    });
+
+    const bucketIndex = new Map(buckets.map((bucket, index) => [bucket.period, index]));
+    const rowsByBucket = buckets.map(() => []);
+    actuals.forEach((row) => {
+        const index = bucketIndex.get(describeBucket(getBucketStart(row.date, granularity), granularity).period);
+        if (index !== undefined) rowsByBucket[index].push(row);
+    });
+
+    const sumRows = (rows) => ({
+        spent: rows.reduce((total, row) => total + row.total, 0),
+        count: rows.reduce((total, row) => total + row.count, 0),
+    });
+
+    // Departments show their own budget and spending, as on the department dashboard; categories have no budget
+    const seriesOf = (bucket, rows) => {
+        if (groupBy === 'department') {
+            return departments.map((dept) => {
+                const id = dept._id.toString();
+                const { spent, count } = sumRows(rows.filter((row) => row.departmentId.toString() === id));
+                const budget = prorateBudget(bucket, (month) => budgetsByMonth.get(monthKey(month))?.get(id) || 0);
+
+                return { departmentId: dept._id, departmentName: dept.name, ...summarise(budget, spent, count) };
+            });
+        }
+
+        const categories = [...new Set(actuals.map((row) => row.category))].sort();
+        return categories.map((category) => {
+            const { spent, count } = sumRows(rows.filter((row) => row.category === category));
+            return { category, spent: round(spent), count };
+        });
+    };
+
+    let totalBudget = 0;
+    const results = buckets.map((bucket, index) => {
+        const budget = prorateBudget(bucket, (month) => totalBudgets.get(monthKey(month)) || 0);
+        const { spent, count } = sumRows(rowsByBucket[index]);
+        totalBudget += budget;
+
+        return {
+            ...bucket,
+            ...summarise(budget, spent, count),
+            ...(groupBy !== 'none' && { series: seriesOf(bucket, rowsByBucket[index]) }),
+        };
+    });
+
+    const { spent, count } = sumRows(actuals);
+
+    return {
+        startDate: rangeStart,
+        endDate: rangeEnd,
+        granularity,
+        groupBy,
+        buckets: results,
+        totals: summarise(totalBudget, spent, count),
+    };
+};
+
+/**
+ * Monthly budget against actual for the months up to and including a month
+ * @param {number} month - Last month of the trend, 1-12
+ * @param {number} year - Year of the last month
+ * @param {Array} [departmentIds] - Restrict to these departments
+ * @param {number} [numberOfMonths]
+ * @returns {Array} - Month buckets (see getSpendingTrend) with month, year and monthName as well
+ */
+export const getMonthlyTrend = async (month, year, departmentIds, numberOfMonths = 6) => {
+    const trend = await getSpendingTrend({
+        startDate: new Date(year, month - numberOfMonths, 1),
+        endDate: new Date(year, month, 0),
+        departmentIds,
+    });
+
+    // month, year and monthName are what the dashboards returned before trend buckets; clients still read them
+    return trend.buckets.map((bucket) => ({
+        month: bucket.startDate.getMonth() + 1,
+        year: bucket.startDate.getFullYear(),
+        monthName: bucket.startDate.toLocaleString('default', { month: 'short' }),
+        ...bucket,
+    }));
+};
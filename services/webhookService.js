@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { PING_EVENT, matchesEvent } from '../config/webhookEvents.js';
+
+/**
+ * Outgoing webhooks. Each event is stored as one delivery per matching subscription and POSTed as JSON:
+ *   { id, event, createdAt, data }
+ * with the headers
+ *   X-Webhook-Event, X-Webhook-Delivery,
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the subscription secret>
+ * Non-2xx responses and network errors are retried with exponential backoff
+ * (WEBHOOK_RETRY_BASE_SECONDS, doubling, up to WEBHOOK_MAX_ATTEMPTS attempts).
+ */
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is retried by another run if its attempt never finishes
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_RESPONSE_LENGTH = 2000;
+
+let schedulerTimer = null;
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+
+/**
+ * Delay before the next attempt: base, 2 x base, 4 x base, ...
+ */
+export const getRetryDelayMs = (attempts) => {
+    const baseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS;
+    return baseSeconds * 1000 * 2 ** (attempts - 1);
+};
+
+/**
+ * Generate a secret for a new subscription
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Signature header value for a raw request body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Exact JSON string being sent
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ */
+export const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Turn a document (or plain object) into plain JSON data for a payload
+ */
+const toPayloadData = (data) => {
+    if (data && typeof data.toObject === 'function') {
+        return data.toObject({ depopulate: true });
+    }
+    return data;
+};
+
+/**
+ * Send one attempt of a delivery and record its outcome.
+ * Only deliveries that are due are attempted, and each attempt is claimed first
+ * so several server instances don't send the same delivery twice.
+ * @returns {Object|null} - Updated delivery, or null when it wasn't due
+ */
+export const attemptDelivery = async (deliveryId) => {
+    const now = new Date();
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) },
+        { new: true }
+    );
+    if (!delivery) return null;
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    if (!subscription) {
+        delivery.status = 'failed';
+        delivery.error = 'Subscription no longer exists';
+        delivery.nextAttemptAt = undefined;
+        return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    try {
+        const response = await axios.post(subscription.url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ManageMyPenny-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Signature': signWebhookPayload(subscription.secret, body),
+            },
+            // Keep the body as text for the delivery log
+            transformResponse: [(data) => data],
+        });
+
+        delivery.status = 'succeeded';
+        delivery.responseStatus = response.status;
+        delivery.responseBody = String(response.data ?? '').slice(0, MAX_RESPONSE_LENGTH);
+        delivery.error = undefined;
+        delivery.nextAttemptAt = undefined;
+    } catch (error) {
+        delivery.responseStatus = error.response?.status;
+        delivery.responseBody = error.response ? String(error.response.data ?? '').slice(0, MAX_RESPONSE_LENGTH) : undefined;
+        delivery.error = error.message;
+
+        if (delivery.attempts < getMaxAttempts()) {
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attempts));
+        } else {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = undefined;
+        }
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+    return delivery.save();
+};
+
+/**
+ * Create a delivery and send its first attempt right away
+ */
+const createDelivery = async (subscription, event, payload, extra = {}) => {
+    const delivery = await WebhookDelivery.create({
+        subscriptionId: subscription._id,
+        event,
+        payload,
+        nextAttemptAt: new Date(),
+        ...extra,
+    });
+
+    return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+/**
+ * Queue an event for every active subscription listening to it.
+ * Runs in the background: the request that caused the event never waits for or fails on webhooks.
+ * @param {string} event - Key of WEBHOOK_EVENTS, e.g. expense.created
+ * @param {Object} data - Document or plain object describing what changed
+ */
+export const emitWebhookEvent = (event, data) => {
+    const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date(),
+        data: toPayloadData(data),
+    };
+
+    const dispatch = async () => {
+        const subscriptions = await WebhookSubscription.find({ active: true });
+
+        await Promise.all(subscriptions
+            .filter((subscription) => matchesEvent(subscription.events, event))
+            .map((subscription) => createDelivery(subscription, event, payload)));
+    };
+
+    dispatch().catch((error) => {
+        console.error(`❌ Failed to dispatch webhook event ${event}:`, error);
+    });
+};
+
+/**
+ * Send a ping to a subscription and wait for the outcome (no retries are waited for)
+ * @returns {Object} - Delivery
+ */
+export const pingSubscription = async (subscription, userId) => {
+    const payload = {
+        id: crypto.randomUUID(),
+        event: PING_EVENT,
+        createdAt: new Date(),
+        data: { subscriptionId: subscription._id, message: 'Webhook test ping' },
+    };
+
+    return createDelivery(subscription, PING_EVENT, payload, { triggeredBy: userId });
+};
+
+/**
+ * Send an earlier delivery's payload again as a new delivery.
+ * The payload (including its id) is unchanged so receivers can deduplicate; the signature is fresh.
+ * @returns {Object} - New delivery
+ */
+export const replayDelivery = async (original, userId) => {
+    const subscription = await WebhookSubscription.findById(original.subscriptionId);
+
+    if (!subscription) {
+        const error = new Error('Subscription no longer exists');
+        error.status = 404;
+        throw error;
+    }
+
+    return createDelivery(subscription, original.event, original.payload, {
+        replayOf: original._id,
+        triggeredBy: userId,
+    });
+};
+
+/**
+ * Attempt every delivery whose retry is due
+ * @returns {number} - Deliveries attempted
+ */
+export const retryDueDeliveries = async () => {
+    const due = await WebhookDelivery.find({
+        status: { $in: ['pending', 'retrying'] },
+        nextAttemptAt: { $lte: new Date() },
+    }).select('_id').limit(100);
+
+    let attempted = 0;
+    for (const { _id } of due) {
+        if (await attemptDelivery(_id)) attempted++;
+    }
+
+    return attempted;
+};
+
+/**
+ * Start the in-process scheduler that retries failed deliveries.
+ * Retries are stored in the database, so they survive restarts.
+ */
+export const startWebhookRetryScheduler = () => {
+    if (schedulerTimer) return;
+
+    const seconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS;
+
+    const run = () => {
+        retryDueDeliveries().catch((error) => {
+            console.error('❌ Webhook retry scheduler failed:', error);
+        });
+    };
+
+    schedulerTimer = setInterval(run, seconds * 1000);
+
+    console.log(`🪝 Webhook retry scheduler running every ${seconds} second(s)`);
+};
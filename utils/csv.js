@@ -0,0 +1,76 @@
+/**
+ * Escape a single value for a CSV field (RFC 4180).
+ * Fields containing commas, quotes or line breaks are quoted and embedded quotes doubled.
+ */
+export const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+};
+
+/**
+ * Build one CSV line from a list of values, terminated with CRLF
+ */
+export const toCsvRow = (values) => {
+    return values.map(escapeCsvValue).join(',') + '\r\n';
+};
+
+/**
+ * Parse CSV text (RFC 4180) into an array of rows, each an array of strings.
+ * Handles quoted fields with embedded commas, doubled quotes and line breaks.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark written by spreadsheet tools
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter((values) => values.some((value) => value.trim() !== ''));
+};
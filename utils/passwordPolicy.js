@@ -0,0 +1,69 @@
+/**
+ * Password strength policy, configurable through the environment:
+ * PASSWORD_MIN_LENGTH (default 8) and PASSWORD_REQUIRE_UPPERCASE, PASSWORD_REQUIRE_LOWERCASE,
+ * PASSWORD_REQUIRE_NUMBER, PASSWORD_REQUIRE_SYMBOL ("true"/"false").
+ */
+const DEFAULT_MIN_LENGTH = 8;
+
+const readFlag = (name, defaultValue) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return defaultValue;
+    return value === 'true';
+};
+
+export const getPasswordPolicy = () => ({
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || DEFAULT_MIN_LENGTH,
+    requireUppercase: readFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireLowercase: readFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireNumber: readFlag('PASSWORD_REQUIRE_NUMBER', true),
+    requireSymbol: readFlag('PASSWORD_REQUIRE_SYMBOL', false),
+});
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} [user] - { email } of the account, which the password must not contain
+ * @returns {Array<string>} - Reasons the password is rejected, empty when it is acceptable
+ */
+export const validatePassword = (password, user = {}) => {
+    const policy = getPasswordPolicy();
+    const problems = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        problems.push(`Password must be at least ${policy.minLength} characters`);
+        if (typeof password !== 'string') return problems;
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        problems.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        problems.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+        problems.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        problems.push('Password must contain a symbol');
+    }
+
+    const lowered = password.toLowerCase();
+    const emailName = user.email?.split('@')[0]?.toLowerCase();
+    if (emailName && emailName.length >= 3 && lowered.includes(emailName)) {
+        problems.push('Password must not contain your email address');
+    }
+
+    return problems;
+};
+
+/**
+ * express-validator custom validator enforcing the policy.
+ * The account email is taken from the request body, or the signed-in user.
+ */
+export const passwordPolicyValidator = (password, { req }) => {
+    const problems = validatePassword(password, { email: req.body.email || req.user?.email });
+    if (problems.length > 0) {
+        throw new Error(problems.join('. '));
+    }
+    return true;
+};